@@ -0,0 +1,65 @@
+const nodemailer = require('nodemailer');
+
+// Plain-text alert email; the payload is the one webhooks receive
+function formatEmail({ type, disaster, report }) {
+  const where = report?.location_name || disaster.location_name || 'unknown location';
+  const subject = {
+    'disaster.created': `New disaster: ${disaster.title}`,
+    'disaster.updated': `Disaster update: ${disaster.title}`,
+    'report.critical': `Critical report: ${disaster.title}`,
+    test: 'Test alert'
+  }[type] || `Alert: ${disaster.title}`;
+
+  const lines = [
+    `${disaster.title} (${disaster.status}, ${disaster.severity})`,
+    `Location: ${where}`,
+    disaster.tags?.length ? `Tags: ${disaster.tags.join(', ')}` : null,
+    report ? `\nReport (${report.priority}): ${report.content}` : null,
+    disaster.description ? `\n${disaster.description}` : null
+  ];
+  return { subject: `[Disaster alert] ${subject}`, text: lines.filter(Boolean).join('\n') };
+}
+
+// Sent once when a subscription names an address; alerts only go out after the link is followed
+function formatConfirmationEmail(subscription, confirmUrl) {
+  return {
+    subject: '[Disaster alert] Confirm your alert subscription',
+    text: [
+      `Someone subscribed this address to disaster alerts${subscription.name ? ` ("${subscription.name}")` : ''}.`,
+      `To start receiving them, open:\n${confirmUrl}`,
+      'If this was not you, ignore this email and no alerts will be sent.'
+    ].join('\n\n')
+  };
+}
+
+// SMTP delivery to confirmed addresses. Any server works, including a local catcher such as MailHog or
+// smtp4dev (SMTP_HOST=localhost SMTP_PORT=1025) in development and tests.
+function createEmailChannel({ host, port = 587, secure = false, user, pass, from }) {
+  const transport = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass } : undefined
+  });
+
+  return {
+    name: 'email',
+    accepts: (subscription) => Boolean(subscription.email && subscription.email_confirmed),
+
+    async send(subscription, delivery) {
+      try {
+        await transport.sendMail({ from, to: subscription.email, ...formatEmail(delivery.payload) });
+      } catch (error) {
+        // 5xx SMTP replies (unknown mailbox, rejected sender) will not succeed on a retry
+        error.retryable = !(error.responseCode >= 500);
+        throw error;
+      }
+    },
+
+    async sendConfirmation(subscription, confirmUrl) {
+      await transport.sendMail({ from, to: subscription.email, ...formatConfirmationEmail(subscription, confirmUrl) });
+    }
+  };
+}
+
+module.exports = { createEmailChannel, formatEmail, formatConfirmationEmail };
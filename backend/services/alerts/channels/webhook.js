@@ -0,0 +1,59 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const { assertPublicUrl, publicLookup } = require('../../../utils/network');
+
+// Signature over `<timestamp>.<body>` with the subscription's secret, sent as
+// `X-DRP-Signature: t=<timestamp>,v1=<hex HMAC-SHA256>` so receivers can also reject replays
+function signPayload(secret, timestamp, body) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${digest}`;
+}
+
+// Timeouts, network errors, 408, 429 and 5xx answers are worth retrying; other 4xx are not
+function isRetryable(error) {
+  const status = error.response?.status;
+  return !status || status === 408 || status === 429 || status >= 500;
+}
+
+// Webhook URLs must stay on public hosts, checked again on every send since DNS can change
+// after the subscription was made; `allowPrivateHosts` is for tests against a local receiver
+function createWebhookChannel({ timeoutMs = 10000, allowPrivateHosts = false } = {}) {
+  return {
+    name: 'webhook',
+    accepts: (subscription) => Boolean(subscription.webhook_url),
+
+    async send(subscription, delivery) {
+      const body = JSON.stringify(delivery.payload);
+      const timestamp = Math.floor(Date.now() / 1000);
+
+      if (!allowPrivateHosts) {
+        try {
+          await assertPublicUrl(subscription.webhook_url, 'webhook_url');
+        } catch (error) {
+          error.retryable = false;
+          throw error;
+        }
+      }
+
+      try {
+        await axios.post(subscription.webhook_url, body, {
+          headers: {
+            'Content-Type': 'application/json',
+            'User-Agent': 'DisasterResponsePlatform/1.0',
+            'X-DRP-Event': delivery.event_type,
+            'X-DRP-Delivery': delivery.id,
+            'X-DRP-Signature': signPayload(subscription.webhook_secret, timestamp, body)
+          },
+          timeout: timeoutMs,
+          maxRedirects: 0,
+          ...(!allowPrivateHosts && { lookup: publicLookup })
+        });
+      } catch (error) {
+        error.retryable = isRetryable(error);
+        throw error;
+      }
+    }
+  };
+}
+
+module.exports = { createWebhookChannel, signPayload };
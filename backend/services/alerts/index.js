@@ -0,0 +1,146 @@
+const { createWebhookChannel } = require('./channels/webhook');
+const { createEmailChannel } = require('./channels/email');
+const { matchesSubscription, eventLocation, ALERT_EVENTS } = require('./rules');
+
+// Channel interface: { name, accepts(subscription), send(subscription, delivery) }, plus
+// sendConfirmation(subscription, confirmUrl) for email. A failed send throws;
+// `error.retryable === false` sends the delivery straight to the dead-letter log.
+// Webhooks are always available, email only once SMTP_HOST is set.
+function createAlertChannels() {
+  const channels = [createWebhookChannel({ timeoutMs: parseInt(process.env.ALERT_WEBHOOK_TIMEOUT_MS) || 10000 })];
+  if (process.env.SMTP_HOST) {
+    channels.push(createEmailChannel({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS,
+      from: process.env.ALERTS_FROM || 'Disaster Response Alerts <alerts@localhost>'
+    }));
+  }
+  return channels;
+}
+
+// What webhook receivers and email templates get for an event
+function alertPayload({ type, disaster, report }) {
+  const coordinates = eventLocation({ disaster, report });
+  return {
+    type,
+    occurred_at: new Date().toISOString(),
+    coordinates,
+    disaster: {
+      id: disaster.id,
+      title: disaster.title,
+      description: disaster.description,
+      status: disaster.status,
+      severity: disaster.severity,
+      tags: disaster.tags || [],
+      location_name: disaster.location_name
+    },
+    ...(report && {
+      report: {
+        id: report.id,
+        content: report.content,
+        priority: report.priority,
+        need_category: report.need_category,
+        location_name: report.location_name
+      }
+    })
+  };
+}
+
+// Evaluates subscriptions for each published event and delivers through every channel the
+// subscription uses. Each delivery is logged in storage.alertDeliveries; failures are retried
+// with exponential backoff (retryBaseMs, 2x, 4x, ...) until maxAttempts, then marked dead_letter.
+// Retry timers live in this process, so pending retries are lost on restart and can be
+// replayed from the dead-letter log.
+function createAlertDispatcher({ storage, channels, maxAttempts = 5, retryBaseMs = 2000 }) {
+  const channelFor = (name) => channels.find((channel) => channel.name === name);
+
+  async function attempt(delivery, subscription) {
+    const attempts = (delivery.attempts || 0) + 1;
+    try {
+      await channelFor(delivery.channel).send(subscription, delivery);
+      return storage.alertDeliveries.update(delivery.id, {
+        status: 'delivered',
+        attempts,
+        last_error: null,
+        delivered_at: new Date().toISOString()
+      });
+    } catch (error) {
+      const lastError = error.response ? `HTTP ${error.response.status}` : error.message;
+      if (error.retryable === false || attempts >= maxAttempts) {
+        console.error(`Alert delivery ${delivery.id} (${delivery.channel}) dead-lettered:`, lastError);
+        return storage.alertDeliveries.update(delivery.id, { status: 'dead_letter', attempts, last_error: lastError });
+      }
+
+      const updated = await storage.alertDeliveries.update(delivery.id, { status: 'pending', attempts, last_error: lastError });
+      setTimeout(() => {
+        attempt(updated, subscription).catch((retryError) => {
+          console.error(`Alert delivery ${delivery.id} retry error:`, retryError.message);
+        });
+      }, retryBaseMs * 2 ** (attempts - 1)).unref();
+      return updated;
+    }
+  }
+
+  async function deliver(subscription, type, payload) {
+    const targets = channels.filter((channel) => channel.accepts(subscription));
+    return Promise.all(targets.map(async (channel) => {
+      const delivery = await storage.alertDeliveries.create({
+        subscription_id: subscription.id,
+        channel: channel.name,
+        event_type: type,
+        payload,
+        status: 'pending',
+        attempts: 0,
+        last_error: null,
+        delivered_at: null
+      });
+      return attempt(delivery, subscription);
+    }));
+  }
+
+  // event: { type, disaster, report? } -> the deliveries after their first attempt
+  async function publish(event) {
+    const subscriptions = await storage.subscriptions.list();
+    const matching = subscriptions.filter((subscription) => matchesSubscription(subscription, event));
+    if (matching.length === 0) return [];
+
+    const payload = alertPayload(event);
+    const deliveries = await Promise.all(matching.map((subscription) => deliver(subscription, event.type, payload)));
+    return deliveries.flat();
+  }
+
+  // Sends a sample alert to one subscription regardless of its rules
+  async function sendTest(subscription) {
+    const payload = {
+      ...alertPayload({
+        type: 'test',
+        disaster: { id: null, title: 'Test alert', status: 'active', severity: 'minor', tags: [], location_name: null }
+      }),
+      coordinates: subscription.area?.type === 'circle' ? { lat: subscription.area.lat, lng: subscription.area.lng } : null
+    };
+    return deliver(subscription, 'test', payload);
+  }
+
+  // Mails the confirmation link for a subscription's address; false when email is not configured
+  async function requestEmailConfirmation(subscription, confirmUrl) {
+    const email = channelFor('email');
+    if (!email) return false;
+    await email.sendConfirmation(subscription, confirmUrl);
+    return true;
+  }
+
+  // Replays a dead-lettered delivery with a fresh attempt count
+  async function retry(delivery) {
+    const subscription = await storage.subscriptions.get(delivery.subscription_id);
+    if (!subscription) return null;
+    const reset = await storage.alertDeliveries.update(delivery.id, { status: 'pending', attempts: 0, last_error: null });
+    return attempt(reset, subscription);
+  }
+
+  return { publish, sendTest, retry, requestEmailConfirmation };
+}
+
+module.exports = { createAlertDispatcher, createAlertChannels, alertPayload, ALERT_EVENTS };
@@ -0,0 +1,43 @@
+// Which subscriptions an alert event concerns. Subscriptions look like
+//   { area: { type: 'circle', lat, lng, radius } | { type: 'polygon', coordinates: [[lng, lat], ...] },
+//     tags: [], min_severity, events: [] }
+// and events like { type, disaster, report? }, where the report's location (when it has one)
+// stands in for the disaster's.
+const { haversineDistance, pointInPolygon, parsePoint } = require('../../utils/geo');
+const { severityRank } = require('../disasterLifecycle');
+
+const ALERT_EVENTS = ['disaster.created', 'disaster.updated', 'report.critical'];
+
+function eventLocation({ disaster, report }) {
+  return parsePoint(report?.location) || parsePoint(disaster?.location);
+}
+
+function inArea(area, point) {
+  if (!area) return true;
+  if (!point) return false;
+  if (area.type === 'circle') {
+    return haversineDistance(area, point) <= area.radius;
+  }
+  return pointInPolygon(point, area.coordinates);
+}
+
+function hasTags(subscription, disaster) {
+  if (!subscription.tags?.length) return true;
+  const tags = (disaster.tags || []).map((tag) => tag.toLowerCase());
+  return subscription.tags.some((tag) => tags.includes(tag.toLowerCase()));
+}
+
+function severeEnough(subscription, disaster) {
+  if (!subscription.min_severity) return true;
+  return severityRank(disaster.severity) >= severityRank(subscription.min_severity);
+}
+
+function matchesSubscription(subscription, event) {
+  return subscription.active !== false &&
+    (!subscription.events?.length || subscription.events.includes(event.type)) &&
+    inArea(subscription.area, eventLocation(event)) &&
+    hasTags(subscription, event.disaster) &&
+    severeEnough(subscription, event.disaster);
+}
+
+module.exports = { ALERT_EVENTS, matchesSubscription, eventLocation };
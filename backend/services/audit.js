@@ -0,0 +1,60 @@
+// Field-level audit history shared by disasters, reports and resources
+const { diffRecords } = require('../utils/diff');
+
+// Bookkeeping fields that never show up in audit diffs
+const UNAUDITED_FIELDS = ['id', 'created_at', 'audit_trail', 'coordinates'];
+
+function auditEntry(action, userId, details = {}) {
+  return { action, user_id: userId, timestamp: new Date(), ...details };
+}
+
+// { field: { before, after } } for the fields `changes` would modify on `record`
+function fieldChanges(record, changes) {
+  return diffRecords(record, changes, { ignore: UNAUDITED_FIELDS });
+}
+
+function appendAudit(record, entry) {
+  return [...(record?.audit_trail || []), entry];
+}
+
+// Returns `changes` plus the audit trail with an entry describing them
+function withAudit(record, changes, action, userId, details = {}) {
+  const entry = auditEntry(action, userId, { ...details, changes: fieldChanges(record, changes) });
+  return { ...changes, audit_trail: appendAudit(record, entry) };
+}
+
+function softDelete(record, userId) {
+  return withAudit(record, { deleted_at: new Date().toISOString(), deleted_by: userId }, 'delete', userId);
+}
+
+function restore(record, userId) {
+  return withAudit(record, { deleted_at: null, deleted_by: null }, 'restore', userId);
+}
+
+const isDeleted = (record) => Boolean(record?.deleted_at);
+
+// Who created the record, from its audit trail (null for records that predate it)
+const createdBy = (record) => (record?.audit_trail || []).find((entry) => entry.action === 'create')?.user_id ?? null;
+
+// Shape returned by the history endpoints
+function historyOf(record) {
+  return {
+    id: record.id,
+    deleted_at: record.deleted_at || null,
+    deleted_by: record.deleted_by || null,
+    entries: record.audit_trail || []
+  };
+}
+
+module.exports = {
+  auditEntry,
+  fieldChanges,
+  appendAudit,
+  withAudit,
+  softDelete,
+  restore,
+  isDeleted,
+  createdBy,
+  historyOf,
+  UNAUDITED_FIELDS
+};
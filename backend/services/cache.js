@@ -0,0 +1,137 @@
+// Two-tier cache: an in-process LRU in front of the persistent `cache` table
+
+// TTLs in minutes, matched by key prefix
+const NAMESPACE_TTLS = {
+  geocode_: 24 * 60,
+  extract_location_: 6 * 60,
+  classify_: 24 * 60,
+  verify_image_: 7 * 24 * 60,
+  official_updates: 15
+};
+
+const DEFAULT_TTL_MINUTES = 60;
+
+function createCache(store, { maxEntries = 500, ttls = NAMESPACE_TTLS, defaultTtl = DEFAULT_TTL_MINUTES } = {}) {
+  // Map iteration order doubles as recency order: the first key is the least recently used
+  const lru = new Map();
+  const inflight = new Map();
+  const stats = { hits: 0, misses: 0, persistentHits: 0, coalesced: 0, evictions: 0 };
+
+  function namespaceOf(key) {
+    return Object.keys(ttls)
+      .filter((prefix) => key.startsWith(prefix))
+      .sort((a, b) => b.length - a.length)[0] || null;
+  }
+
+  function ttlFor(key) {
+    const namespace = namespaceOf(key);
+    return namespace ? ttls[namespace] : defaultTtl;
+  }
+
+  function remember(key, value, expiresAt) {
+    lru.delete(key);
+    lru.set(key, { value, expiresAt: new Date(expiresAt), hits: 0, storedAt: new Date() });
+
+    while (lru.size > maxEntries) {
+      lru.delete(lru.keys().next().value);
+      stats.evictions++;
+    }
+  }
+
+  async function get(key) {
+    const entry = lru.get(key);
+    if (entry) {
+      if (entry.expiresAt > new Date()) {
+        lru.delete(key);
+        lru.set(key, entry);
+        entry.hits++;
+        stats.hits++;
+        return entry.value;
+      }
+      lru.delete(key);
+    }
+
+    const data = await store.get(key);
+    if (data && new Date(data.expires_at) > new Date()) {
+      remember(key, data.value, data.expires_at);
+      stats.persistentHits++;
+      return data.value;
+    }
+
+    stats.misses++;
+    return null;
+  }
+
+  async function set(key, value, ttlMinutes = ttlFor(key)) {
+    const expiresAt = new Date(Date.now() + ttlMinutes * 60 * 1000);
+    remember(key, value, expiresAt);
+    await store.set(key, value, expiresAt);
+  }
+
+  // Returns the cached value or runs `producer` once per key, sharing the
+  // pending result with concurrent callers. Null results are not cached.
+  async function wrap(key, producer, ttlMinutes) {
+    const cached = await get(key);
+    if (cached !== null) return cached;
+
+    if (inflight.has(key)) {
+      stats.coalesced++;
+      return inflight.get(key);
+    }
+
+    const pending = (async () => {
+      try {
+        const value = await producer();
+        if (value !== null && value !== undefined) {
+          await set(key, value, ttlMinutes);
+        }
+        return value;
+      } finally {
+        inflight.delete(key);
+      }
+    })();
+
+    inflight.set(key, pending);
+    return pending;
+  }
+
+  async function invalidate(key) {
+    lru.delete(key);
+    await store.remove(key);
+  }
+
+  // Drops every key starting with `prefix`; an empty prefix clears the whole cache
+  async function invalidateNamespace(prefix = '') {
+    for (const key of [...lru.keys()]) {
+      if (key.startsWith(prefix)) lru.delete(key);
+    }
+    await store.removeByPrefix(prefix);
+  }
+
+  function entries({ namespace } = {}) {
+    return [...lru.entries()]
+      .filter(([key]) => !namespace || key.startsWith(namespace))
+      .map(([key, entry]) => ({
+        key,
+        namespace: namespaceOf(key),
+        expires_at: entry.expiresAt,
+        stored_at: entry.storedAt,
+        hits: entry.hits,
+        expired: entry.expiresAt <= new Date()
+      }));
+  }
+
+  function getStats() {
+    return {
+      ...stats,
+      size: lru.size,
+      maxEntries,
+      inflight: inflight.size,
+      ttls: { ...ttls, default: defaultTtl }
+    };
+  }
+
+  return { get, set, wrap, invalidate, invalidateNamespace, entries, stats: getStats };
+}
+
+module.exports = { createCache, NAMESPACE_TTLS };
@@ -0,0 +1,132 @@
+// Urgency classification for reports and social posts: a deterministic keyword
+// rule engine with an optional model pass layered on top
+const { z } = require('zod');
+
+const PRIORITIES = ['critical', 'high', 'medium', 'low'];
+const CATEGORIES = ['rescue', 'medical', 'food', 'shelter', 'info'];
+
+// Lower rank is more urgent
+const PRIORITY_RANK = Object.fromEntries(PRIORITIES.map((priority, index) => [priority, index]));
+
+// Shape the model has to answer with; anything else is treated as no answer
+const modelAnswer = z.object({
+  priority: z.enum(PRIORITIES),
+  category: z.enum(CATEGORIES)
+});
+
+// The most a model answer can raise the priority to. Critical reports fire alerts, and a model
+// can be talked into any answer by the text it reads, so critical takes a keyword the rules found.
+const MAX_MODEL_PRIORITY = 'high';
+// Unclassified items rank after every priority
+const priorityRank = (priority) => PRIORITY_RANK[priority] ?? PRIORITIES.length;
+
+const PRIORITY_RULES = {
+  critical: ['sos', 'trapped', 'drowning', 'not breathing', 'unconscious', 'life threatening', 'life-threatening',
+    'collapsed', "can't breathe", 'cannot breathe', 'heart attack', 'bleeding heavily', 'on the roof', 'mayday'],
+  high: ['urgent', 'urgently', 'emergency', 'injured', 'injuries', 'insulin', 'evacuate', 'evacuation', 'stranded',
+    'missing', 'rising water', 'water rising', 'fire', 'no power', 'elderly', 'asap'],
+  medium: ['need', 'needs', 'needed', 'shortage', 'running out', 'help', 'request', 'low on']
+};
+
+const CATEGORY_RULES = {
+  rescue: ['sos', 'trapped', 'stranded', 'rescue', 'drowning', 'missing', 'collapsed', 'roof', 'stuck', 'mayday'],
+  medical: ['medical', 'medic', 'injured', 'injuries', 'insulin', 'medicine', 'medication', 'doctor', 'ambulance',
+    'bleeding', 'hospital', 'first aid', 'clinic', 'breathe', 'unconscious'],
+  food: ['food', 'water', 'hungry', 'meal', 'meals', 'formula', 'groceries', 'drinking'],
+  shelter: ['shelter', 'cots', 'housing', 'beds', 'homeless', 'place to stay', 'blankets', 'evacuation center']
+};
+
+// Words that deny what follows them in the same clause: "no fire here", "nobody is injured"
+const NEGATIONS = ['no', 'not', 'never', 'without', 'nobody', 'none', 'neither', 'nor', 'zero'];
+const NEGATION_WINDOW = 3;
+
+// A lacking need is still a need ("no insulin left", "still no help"), so only reported
+// conditions lose their priority when negated
+const UNNEGATABLE = ['insulin', ...PRIORITY_RULES.medium];
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const isNegation = (word) => NEGATIONS.includes(word) || (word.endsWith("n't") && word !== "can't");
+
+// True when one of the few words before `index`, within its clause, is a negation
+function isNegated(text, index) {
+  const clause = text.slice(0, index).split(/[.,;:!?()\n]|\bbut\b/i).pop();
+  const words = clause.toLowerCase().replace(/\u2019/g, "'").match(/[a-z']+/g) || [];
+  return words.slice(-NEGATION_WINDOW).some(isNegation);
+}
+
+// Keywords found in `text`; with `negatable`, only those with an occurrence that is not negated
+function findKeywords(text, keywords, { negatable = false } = {}) {
+  return keywords.filter((keyword) => {
+    const pattern = new RegExp(`(^|[^a-z])(#?${escapeRegExp(keyword)})(?=[^a-z]|$)`, 'gi');
+    const skipNegated = negatable && !UNNEGATABLE.includes(keyword);
+    for (const match of text.matchAll(pattern)) {
+      if (!skipNegated || !isNegated(text, match.index + match[1].length)) return true;
+    }
+    return false;
+  });
+}
+
+const priorityKeywords = (text, level) => findKeywords(text, PRIORITY_RULES[level], { negatable: true });
+
+// Deterministic keyword classification; the same text always yields the same result.
+// Negated conditions do not raise the priority, but still hint at the need category.
+function classifyByRules(text = '') {
+  const priority = PRIORITIES.slice(0, -1).find((level) => priorityKeywords(text, level).length > 0) || 'low';
+
+  const categoryScores = Object.entries(CATEGORY_RULES)
+    .map(([category, keywords]) => ({ category, matches: findKeywords(text, keywords) }))
+    .filter(({ matches }) => matches.length > 0)
+    .sort((a, b) => b.matches.length - a.matches.length || CATEGORIES.indexOf(a.category) - CATEGORIES.indexOf(b.category));
+
+  return {
+    priority,
+    category: categoryScores[0]?.category || 'info',
+    keywords: [
+      ...(PRIORITY_RULES[priority] ? priorityKeywords(text, priority) : []),
+      ...categoryScores.flatMap(({ matches }) => matches)
+    ].filter((keyword, index, all) => all.indexOf(keyword) === index),
+    source: 'rules'
+  };
+}
+
+// `refine(text)` is an optional model pass returning parsed JSON in the `modelAnswer` shape.
+// Its answer can raise the rule priority up to MAX_MODEL_PRIORITY but never lower it, so
+// keyword-detected emergencies stay visible when the model misjudges them.
+function createClassifier({ refine } = {}) {
+  return async function classify(text = '') {
+    const result = classifyByRules(text);
+    if (!refine) return result;
+
+    try {
+      const parsed = modelAnswer.safeParse(await refine(text));
+      if (!parsed.success) return result;
+
+      const refinedRank = Math.max(PRIORITY_RANK[parsed.data.priority], PRIORITY_RANK[MAX_MODEL_PRIORITY]);
+      const priority = refinedRank < PRIORITY_RANK[result.priority] ? PRIORITIES[refinedRank] : result.priority;
+
+      return { ...result, priority, category: parsed.data.category, source: 'rules+gemini' };
+    } catch (error) {
+      console.error('Classifier refine error:', error.message);
+      return result;
+    }
+  };
+}
+
+// Applies `priority`, `category` and `sort=priority` query options to classified items
+function filterByClassification(items, { priority, category, sort } = {}) {
+  const priorities = priority ? priority.split(',') : null;
+  const categories = category ? category.split(',') : null;
+
+  const filtered = items.filter((item) =>
+    (!priorities || priorities.includes(item.priority)) &&
+    (!categories || categories.includes(item.need_category))
+  );
+
+  if (sort === 'priority') {
+    return filtered.sort((a, b) => priorityRank(a.priority) - priorityRank(b.priority));
+  }
+  return filtered;
+}
+
+module.exports = { createClassifier, classifyByRules, filterByClassification, priorityRank, PRIORITIES, CATEGORIES };
@@ -0,0 +1,35 @@
+// Disaster status workflow and severity levels
+
+const STATUSES = ['reported', 'verified', 'active', 'contained', 'resolved', 'archived'];
+
+// Allowed next statuses; a resolved or contained disaster can flare up again
+const TRANSITIONS = {
+  reported: ['verified', 'archived'],
+  verified: ['active', 'archived'],
+  active: ['contained', 'resolved'],
+  contained: ['active', 'resolved'],
+  resolved: ['active', 'archived'],
+  archived: []
+};
+
+// Ordered from least to most severe
+const SEVERITIES = ['minor', 'moderate', 'severe', 'catastrophic'];
+
+const DEFAULT_STATUS = 'reported';
+const DEFAULT_SEVERITY = 'moderate';
+
+function canTransition(from, to) {
+  return (TRANSITIONS[from || DEFAULT_STATUS] || []).includes(to);
+}
+
+const severityRank = (severity) => SEVERITIES.indexOf(severity);
+
+module.exports = {
+  STATUSES,
+  TRANSITIONS,
+  SEVERITIES,
+  DEFAULT_STATUS,
+  DEFAULT_SEVERITY,
+  canTransition,
+  severityRank
+};
@@ -0,0 +1,100 @@
+// Common Alerting Protocol 1.2 (OASIS) alerts, one per disaster. Reports and resources are not
+// alerts and are left out. A single disaster is exported as one <alert> document, a set as an
+// Atom feed with one alert per entry, the usual way CAP feeds are published.
+const { exportRow } = require('../records');
+const { escapeXml, element } = require('./xml');
+
+const CAP_NAMESPACE = 'urn:oasis:names:tc:emergency:cap:1.2';
+
+const CAP_SEVERITY = { minor: 'Minor', moderate: 'Moderate', severe: 'Severe', catastrophic: 'Extreme' };
+
+// Lifecycle status -> how soon to act and how sure the information is
+const CAP_URGENCY = {
+  reported: 'Expected', verified: 'Expected', active: 'Immediate', contained: 'Expected', resolved: 'Past', archived: 'Past'
+};
+const CAP_CERTAINTY = {
+  reported: 'Possible', verified: 'Likely', active: 'Observed', contained: 'Observed', resolved: 'Observed', archived: 'Observed'
+};
+
+// CAP event categories recognised in a disaster's tags and title; Other when none apply
+const CAP_CATEGORIES = {
+  Met: ['flood', 'flooding', 'hurricane', 'storm', 'tornado', 'cyclone', 'typhoon', 'blizzard', 'heatwave', 'snow', 'rain'],
+  Geo: ['earthquake', 'landslide', 'mudslide', 'tsunami', 'volcano', 'avalanche'],
+  Fire: ['fire', 'wildfire'],
+  Health: ['epidemic', 'outbreak', 'pandemic', 'disease'],
+  Infra: ['power', 'outage', 'blackout'],
+  CBRNE: ['chemical', 'radiation', 'nuclear', 'hazmat'],
+  Rescue: ['rescue']
+};
+
+function categoriesOf(disaster) {
+  const words = new Set([...(disaster.tags || []), ...String(disaster.title).split(/\W+/)].map((word) => word.toLowerCase()));
+  const categories = Object.keys(CAP_CATEGORIES).filter((category) => CAP_CATEGORIES[category].some((word) => words.has(word)));
+  return categories.length > 0 ? categories : ['Other'];
+}
+
+// CAP date-times carry an explicit offset and no fractional seconds
+const capTime = (value) => new Date(value).toISOString().replace(/\.\d{3}Z$/, '+00:00');
+
+const parameter = (name, value) => (value === null || value === undefined || value === ''
+  ? ''
+  : `<parameter>${element('valueName', name)}${element('value', value)}</parameter>`);
+
+// The alert describes the disaster as of its last change, so every version has its own identifier
+function alertXml(disaster, { sender }) {
+  const row = exportRow({ kind: 'disaster', record: disaster });
+  const sent = capTime(row.last_modified_at || disaster.created_at);
+  const area = row.lat === null ? '' : `<circle>${row.lat},${row.lng} 0</circle>`;
+
+  return `<alert xmlns="${CAP_NAMESPACE}">` +
+    element('identifier', `${disaster.id}.${Date.parse(sent) / 1000}`) +
+    element('sender', sender) +
+    element('sent', sent) +
+    '<status>Actual</status><msgType>Alert</msgType><scope>Public</scope>' +
+    '<info><language>en-US</language>' +
+    categoriesOf(disaster).map((category) => element('category', category)).join('') +
+    element('event', disaster.title) +
+    element('urgency', CAP_URGENCY[disaster.status] || 'Unknown') +
+    element('severity', CAP_SEVERITY[disaster.severity] || 'Unknown') +
+    element('certainty', CAP_CERTAINTY[disaster.status] || 'Unknown') +
+    element('senderName', 'Disaster Response Platform') +
+    element('headline', disaster.title) +
+    element('description', disaster.description) +
+    parameter('status', row.status) +
+    parameter('tags', row.tags.join(',')) +
+    parameter('created_by', row.created_by) +
+    parameter('last_action', row.last_action) +
+    parameter('last_modified_by', row.last_modified_by) +
+    parameter('audit_entries', row.audit_entries) +
+    `<area>${element('areaDesc', disaster.location_name || 'Unspecified')}${area}</area>` +
+    '</info></alert>';
+}
+
+async function* cap(items, { title, single, sender }) {
+  yield '<?xml version="1.0" encoding="UTF-8"?>\n';
+  if (single) {
+    for await (const { kind, record } of items) {
+      if (kind === 'disaster') yield `${alertXml(record, { sender })}\n`;
+    }
+    return;
+  }
+
+  const updated = capTime(new Date());
+  yield `<feed xmlns="http://www.w3.org/2005/Atom">${element('id', `urn:drp:export:${Date.parse(updated) / 1000}`)}` +
+    `${element('title', title)}${element('updated', updated)}<author><name>${escapeXml(sender)}</name></author>\n`;
+  for await (const { kind, record } of items) {
+    if (kind !== 'disaster') continue;
+    yield `<entry>${element('id', `urn:uuid:${record.id}`)}${element('title', record.title)}` +
+      `${element('updated', capTime(exportRow({ kind, record }).last_modified_at || record.created_at))}` +
+      `<content type="application/cap+xml">${alertXml(record, { sender })}</content></entry>\n`;
+  }
+  yield '</feed>\n';
+}
+
+module.exports = {
+  extension: 'xml',
+  contentType: 'application/cap+xml',
+  feedContentType: 'application/atom+xml',
+  kinds: ['disaster'],
+  serialize: cap
+};
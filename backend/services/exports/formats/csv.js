@@ -0,0 +1,25 @@
+const { EXPORT_FIELDS, exportRow } = require('../records');
+
+// RFC 4180 quoting. Text starting with =, +, - or @ is prefixed with ' so spreadsheets
+// do not run it as a formula; numbers are written as they are.
+function csvValue(value) {
+  if (value === null || value === undefined) return '';
+  if (Array.isArray(value)) return csvValue(value.join(';'));
+  if (typeof value !== 'string') return String(value);
+  const text = /^[=+\-@\t\r]/.test(value) ? `'${value}` : value;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+async function* csv(items) {
+  yield `${EXPORT_FIELDS.join(',')}\r\n`;
+  for await (const item of items) {
+    const row = exportRow(item);
+    yield `${EXPORT_FIELDS.map((field) => csvValue(row[field])).join(',')}\r\n`;
+  }
+}
+
+module.exports = {
+  extension: 'csv',
+  contentType: 'text/csv; charset=utf-8',
+  serialize: csv
+};
@@ -0,0 +1,26 @@
+const { exportRow } = require('../records');
+
+// A GeoJSON FeatureCollection; records without a stored point get a null geometry.
+// Properties carry the full audit trail next to its summary.
+async function* geojson(items, { title }) {
+  yield `{"type":"FeatureCollection","name":${JSON.stringify(title)},"features":[`;
+  let first = true;
+  for await (const item of items) {
+    const { lat, lng, ...properties } = exportRow(item);
+    const feature = {
+      type: 'Feature',
+      id: item.record.id,
+      geometry: lat === null ? null : { type: 'Point', coordinates: [lng, lat] },
+      properties: { ...properties, audit_trail: item.record.audit_trail || [] }
+    };
+    yield `${first ? '' : ','}\n${JSON.stringify(feature)}`;
+    first = false;
+  }
+  yield '\n]}\n';
+}
+
+module.exports = {
+  extension: 'geojson',
+  contentType: 'application/geo+json',
+  serialize: geojson
+};
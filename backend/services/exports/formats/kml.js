@@ -0,0 +1,33 @@
+const { EXPORT_FIELDS, exportRow } = require('../records');
+const { escapeXml, element } = require('./xml');
+
+// One Placemark per record, with every export field as ExtendedData; tags are joined with ";"
+function placemark(item) {
+  const row = exportRow(item);
+  const data = EXPORT_FIELDS
+    .filter((field) => row[field] !== null && !['lat', 'lng'].includes(field))
+    .map((field) => {
+      const value = Array.isArray(row[field]) ? row[field].join(';') : row[field];
+      return `<Data name="${field}"><value>${escapeXml(value)}</value></Data>`;
+    })
+    .join('');
+  const point = row.lat === null ? '' : `<Point><coordinates>${row.lng},${row.lat}</coordinates></Point>`;
+
+  return `<Placemark id="${escapeXml(`${row.kind}-${row.id}`)}">${element('name', row.name)}` +
+    `${element('description', row.description)}<ExtendedData>${data}</ExtendedData>${point}</Placemark>`;
+}
+
+async function* kml(items, { title }) {
+  yield '<?xml version="1.0" encoding="UTF-8"?>\n<kml xmlns="http://www.opengis.net/kml/2.2"><Document>' +
+    `${element('name', title)}\n`;
+  for await (const item of items) {
+    yield `${placemark(item)}\n`;
+  }
+  yield '</Document></kml>\n';
+}
+
+module.exports = {
+  extension: 'kml',
+  contentType: 'application/vnd.google-earth.kml+xml',
+  serialize: kml
+};
@@ -0,0 +1,14 @@
+// Minimal XML writing helpers for the KML and CAP formats
+const ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' };
+
+// Also drops characters XML 1.0 does not allow, which user text can contain
+const escapeXml = (value) => String(value)
+  .replace(/[^\x09\x0A\x0D\x20-\uD7FF\uE000-\uFFFD\u{10000}-\u{10FFFF}]/gu, '')
+  .replace(/[&<>"']/g, (char) => ESCAPES[char]);
+
+// `<name>value</name>`, or nothing for null/undefined/empty values
+const element = (name, value) => (value === null || value === undefined || value === ''
+  ? ''
+  : `<${name}>${escapeXml(value)}</${name}>`);
+
+module.exports = { escapeXml, element };
@@ -0,0 +1,66 @@
+// Streaming exports of disasters with their reports and resources. Formats are async generators
+// of text chunks over `{ kind, record }` items, so nothing is held in memory beyond one
+// disaster's reports and resources.
+const { Readable } = require('stream');
+const { decodeCursor } = require('../../utils/pagination');
+const { EXPORT_KINDS, EXPORT_FIELDS, exportRow } = require('./records');
+
+// Format interface: { extension, contentType, feedContentType?, kinds?, serialize(items, meta) }
+// where meta is { title, single, sender } and `kinds` lists the record kinds the format uses
+const exportFormats = {
+  geojson: require('./formats/geojson'),
+  csv: require('./formats/csv'),
+  kml: require('./formats/kml'),
+  cap: require('./formats/cap')
+};
+
+const EXPORT_FORMATS = Object.keys(exportFormats);
+
+// What a disaster export can carry besides the disasters themselves
+const EXPORT_INCLUDES = ['reports', 'resources'];
+
+const EXPORT_PAGE_SIZE = 100;
+
+// Every disaster matching the search filters, fetched a page at a time
+async function* searchAll(storage, filters) {
+  let cursor;
+  do {
+    const page = await storage.disasters.search({ ...filters, limit: EXPORT_PAGE_SIZE, cursor });
+    yield* page.data;
+    cursor = page.next_cursor && decodeCursor(page.next_cursor);
+  } while (cursor);
+}
+
+// Each disaster followed by its reports and resources, as far as `include` and the format want them
+async function* exportItems(storage, disasters, { include, kinds = EXPORT_KINDS }) {
+  const wants = (kind, option) => kinds.includes(kind) && include.includes(option);
+  for await (const disaster of disasters) {
+    yield { kind: 'disaster', record: disaster };
+    if (wants('report', 'reports')) {
+      for (const report of await storage.reports.listByDisaster(disaster.id)) yield { kind: 'report', record: report };
+    }
+    if (wants('resource', 'resources')) {
+      for (const resource of await storage.resources.listByDisaster(disaster.id)) yield { kind: 'resource', record: resource };
+    }
+  }
+}
+
+// -> { contentType, filename, stream } for one disaster (`disaster`) or a filtered set (`filters`)
+function createExport({ storage, format, include, disaster, filters, sender }) {
+  const definition = exportFormats[format];
+  const single = Boolean(disaster);
+  const disasters = single ? [disaster] : searchAll(storage, filters);
+  const title = single ? disaster.title : 'Disasters';
+  const name = single ? `disaster-${disaster.id}` : `disasters-${new Date().toISOString().slice(0, 10)}`;
+
+  return {
+    contentType: (!single && definition.feedContentType) || definition.contentType,
+    filename: `${name}.${definition.extension}`,
+    stream: Readable.from(definition.serialize(
+      exportItems(storage, disasters, { include, kinds: definition.kinds }),
+      { title, single, sender }
+    ))
+  };
+}
+
+module.exports = { createExport, EXPORT_FORMATS, EXPORT_INCLUDES, EXPORT_FIELDS, exportRow };
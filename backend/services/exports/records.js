@@ -0,0 +1,70 @@
+const { createdBy } = require('../audit');
+
+// The fields every export format shares: one flat row per disaster, report or resource
+const EXPORT_KINDS = ['disaster', 'report', 'resource'];
+
+// Column order of CSV exports and KML extended data
+const EXPORT_FIELDS = [
+  'kind', 'id', 'disaster_id', 'name', 'description', 'status', 'severity', 'priority', 'need_category',
+  'verification_status', 'verification_score', 'type', 'tags', 'location_name', 'lat', 'lng', 'created_at',
+  'created_by', 'last_action', 'last_modified_at', 'last_modified_by', 'audit_entries'
+];
+
+const titleOf = (text = '') => (text.length > 80 ? `${text.slice(0, 77)}...` : text);
+
+// Who created the record and the latest audit entry, for formats that cannot hold the whole trail
+function auditSummary(trail = []) {
+  const last = trail[trail.length - 1];
+  return {
+    created_by: createdBy({ audit_trail: trail }),
+    last_action: last?.action ?? null,
+    last_modified_at: last ? new Date(last.timestamp).toISOString() : null,
+    last_modified_by: last?.user_id ?? null,
+    audit_entries: trail.length
+  };
+}
+
+const KIND_FIELDS = {
+  disaster: (disaster) => ({
+    disaster_id: disaster.id,
+    name: disaster.title,
+    description: disaster.description ?? null,
+    status: disaster.status ?? null,
+    severity: disaster.severity ?? null,
+    tags: disaster.tags || []
+  }),
+  report: (report) => ({
+    disaster_id: report.disaster_id,
+    name: titleOf(report.content),
+    description: report.content,
+    priority: report.priority ?? null,
+    need_category: report.need_category ?? null,
+    verification_status: report.verification_status ?? null,
+    verification_score: report.verification_score ?? null
+  }),
+  resource: (resource) => ({
+    disaster_id: resource.disaster_id,
+    name: resource.name,
+    type: resource.type ?? null
+  })
+};
+
+// item: { kind, record } -> { field: value } with every EXPORT_FIELDS key; coordinates come
+// from the stored PostGIS point (the repositories' derived `coordinates` field)
+function exportRow({ kind, record }) {
+  const row = Object.fromEntries(EXPORT_FIELDS.map((field) => [field, null]));
+  return {
+    ...row,
+    tags: [],
+    kind,
+    id: record.id,
+    ...KIND_FIELDS[kind](record),
+    location_name: record.location_name ?? null,
+    lat: record.coordinates?.lat ?? null,
+    lng: record.coordinates?.lng ?? null,
+    created_at: record.created_at ?? null,
+    ...auditSummary(record.audit_trail)
+  };
+}
+
+module.exports = { EXPORT_KINDS, EXPORT_FIELDS, exportRow, auditSummary };
@@ -0,0 +1,36 @@
+// Candidate places returned by every geocoding provider:
+//   { name, display_name, lat, lng, bbox: { minLat, minLng, maxLat, maxLng } | null,
+//     confidence: 0-1, type, provider }
+const { haversineDistance } = require('../../utils/geo');
+
+const clamp = (value) => Math.min(1, Math.max(0, value));
+const round = (value) => Math.round(value * 100) / 100;
+
+function makeCandidate({ name, display_name, lat, lng, bbox = null, confidence, type = null, provider }) {
+  return {
+    name: name || display_name,
+    display_name: display_name || name,
+    lat: Number(lat),
+    lng: Number(lng),
+    bbox,
+    confidence: round(clamp(confidence)),
+    type,
+    provider
+  };
+}
+
+function bboxContains(bbox, { lat, lng }) {
+  return Boolean(bbox) && lat >= bbox.minLat && lat <= bbox.maxLat && lng >= bbox.minLng && lng <= bbox.maxLng;
+}
+
+// Reverse lookups: a place whose box contains the point is a strong match; otherwise
+// confidence fades with the distance to its center, reaching zero at `maxDistance` meters
+function reverseConfidence(origin, candidate, { maxDistance = 25000 } = {}) {
+  if (bboxContains(candidate.bbox, origin)) return 0.9;
+  const distance = haversineDistance(origin, candidate);
+  return 0.7 * clamp(1 - distance / maxDistance);
+}
+
+const byConfidence = (a, b) => b.confidence - a.confidence;
+
+module.exports = { makeCandidate, bboxContains, reverseConfidence, byConfidence };
@@ -0,0 +1,99 @@
+const path = require('path');
+const { createRateLimiter } = require('../../utils/rateLimiter');
+const { createNominatimProvider } = require('./providers/nominatim');
+const { createPhotonProvider } = require('./providers/photon');
+const { createGazetteerProvider, loadGazetteer } = require('./providers/gazetteer');
+const { byConfidence } = require('./candidates');
+
+// Provider interface: { name, remote, search(query, { limit }) -> [candidate], reverse({ lat, lng }) -> [candidate] }
+// Candidates are described in ./candidates.js. Remote providers share one rate limiter.
+const providerFactories = {
+  nominatim: ({ limiter }) => createNominatimProvider({
+    baseUrl: process.env.NOMINATIM_URL || undefined,
+    email: process.env.NOMINATIM_EMAIL,
+    limiter
+  }),
+  photon: ({ limiter }) => createPhotonProvider({
+    baseUrl: process.env.PHOTON_URL || undefined,
+    limiter
+  }),
+  gazetteer: () => createGazetteerProvider({ file: gazetteerFile() })
+};
+
+function gazetteerFile() {
+  return process.env.GAZETTEER_FILE || path.join(__dirname, '..', '..', 'config', 'gazetteer.json');
+}
+
+// Every gazetteer name and alias, for spotting known places in free text
+function gazetteerPlaceNames(file = gazetteerFile()) {
+  return loadGazetteer(file).flatMap((entry) => [entry.name, ...(entry.aliases || [])]);
+}
+
+// Builds the providers named in GEOCODER_PROVIDERS (comma separated, tried in order)
+function createGeocodingProviders(names = process.env.GEOCODER_PROVIDERS || 'nominatim,gazetteer', {
+  limiter = createRateLimiter({
+    intervalMs: parseInt(process.env.GEOCODER_MIN_INTERVAL_MS) || 1000,
+    maxQueue: parseInt(process.env.GEOCODER_MAX_QUEUE) || undefined
+  })
+} = {}) {
+  return names.split(',').map((name) => name.trim()).filter(Boolean).map((name) => {
+    const factory = providerFactories[name];
+    if (!factory) {
+      throw new Error(`Unknown geocoding provider "${name}" (expected one of: ${Object.keys(providerFactories).join(', ')})`);
+    }
+    return factory({ limiter });
+  });
+}
+
+// Tries each provider in order and answers with the first one that finds something.
+// A failing provider (network error, full rate-limit queue) is logged and skipped.
+function createGeocoder({ providers, cache }) {
+  async function firstMatch(method, args) {
+    for (const provider of providers) {
+      try {
+        const candidates = await provider[method](...args);
+        if (candidates.length > 0) {
+          return { candidates: [...candidates].sort(byConfidence), provider: provider.name };
+        }
+      } catch (error) {
+        console.error(`Geocoding provider ${provider.name} failed:`, error.message);
+      }
+    }
+    // Not cached, so a place missing now is looked up again next time
+    return null;
+  }
+
+  const searchKey = (query) => `geocode_search_${query.trim().toLowerCase()}`;
+
+  async function geocode(query, { limit = 5 } = {}) {
+    const result = await cache.wrap(searchKey(query), () => firstMatch('search', [query, { limit: 10 }]));
+    return result
+      ? { ...result, candidates: result.candidates.slice(0, limit) }
+      : { candidates: [], provider: null };
+  }
+
+  // Best match as { lat, lng }, or null
+  async function lookup(query) {
+    const [best] = (await geocode(query, { limit: 1 })).candidates;
+    return best ? { lat: best.lat, lng: best.lng } : null;
+  }
+
+  // Like lookup, from the cache alone: undefined when the place has not been found before
+  async function cachedLookup(query) {
+    const result = await cache.get(searchKey(query));
+    if (!result) return undefined;
+    const [best] = result.candidates;
+    return { lat: best.lat, lng: best.lng };
+  }
+
+  async function reverse({ lat, lng }) {
+    // ~1 m precision, so nearby lookups share a cache entry
+    const key = `geocode_reverse_${lat.toFixed(5)},${lng.toFixed(5)}`;
+    const result = await cache.wrap(key, () => firstMatch('reverse', [{ lat, lng }]));
+    return result || { candidates: [], provider: null };
+  }
+
+  return { geocode, lookup, cachedLookup, reverse };
+}
+
+module.exports = { createGeocoder, createGeocodingProviders, gazetteerPlaceNames };
@@ -0,0 +1,94 @@
+const fs = require('fs');
+const { makeCandidate, bboxContains, reverseConfidence, byConfidence } = require('../candidates');
+
+function loadGazetteer(file) {
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+// Offline lookups against a local JSON list of places, for development without network
+// access, tests and as the last resort of the chain. Each entry is
+// { name, region?, country?, type?, lat, lng, bbox?: [minLng, minLat, maxLng, maxLat], aliases?: [] }.
+function createGazetteerProvider({ file }) {
+  let places = null;
+
+  const normalize = (text) => String(text || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+
+  function load() {
+    return loadGazetteer(file).map((entry) => {
+      const [minLng, minLat, maxLng, maxLat] = entry.bbox || [];
+      return {
+        entry,
+        names: [entry.name, ...(entry.aliases || [])].map(normalize),
+        regions: [entry.region, entry.country].filter(Boolean).map(normalize),
+        bbox: entry.bbox ? { minLat, minLng, maxLat, maxLng } : null
+      };
+    });
+  }
+
+  const toCandidate = (place, confidence) => makeCandidate({
+    name: place.entry.name,
+    display_name: [place.entry.name, place.entry.region, place.entry.country].filter(Boolean).join(', '),
+    lat: place.entry.lat,
+    lng: place.entry.lng,
+    bbox: place.bbox,
+    confidence,
+    type: place.entry.type || null,
+    provider: 'gazetteer'
+  });
+
+  // "Red Hook, Brooklyn": the first part names the place, the rest should match its region
+  function score(place, query) {
+    const [head, ...rest] = query.split(',').map(normalize);
+    const qualifier = rest.join(' ');
+    const full = normalize(query);
+
+    if (place.names.includes(full)) return 0.95;
+    if (place.names.includes(head)) {
+      if (!qualifier) return 0.85;
+      return place.regions.some((region) => qualifier.includes(region) || region.includes(qualifier)) ? 0.9 : 0.7;
+    }
+    // The place is mentioned inside a longer phrase, e.g. "NYC Lower East Side"
+    if (place.names.some((name) => ` ${full} `.includes(` ${name} `))) return 0.6;
+    return 0;
+  }
+
+  // Smaller boxes are more specific places
+  const area = (place) => (place.bbox
+    ? (place.bbox.maxLat - place.bbox.minLat) * (place.bbox.maxLng - place.bbox.minLng)
+    : Infinity);
+
+  return {
+    name: 'gazetteer',
+    remote: false,
+
+    async search(query, { limit }) {
+      if (!places) places = load();
+      // "NYC Lower East Side" mentions both places; the neighbourhood is the better answer
+      return places
+        .map((place) => ({ place, confidence: score(place, query) }))
+        .filter(({ confidence }) => confidence > 0)
+        .sort((a, b) => b.confidence - a.confidence || area(a.place) - area(b.place))
+        .map(({ place, confidence }) => toCandidate(place, confidence))
+        .slice(0, limit);
+    },
+
+    // The most specific (smallest) place containing the point, else the nearest one nearby
+    async reverse(origin) {
+      if (!places) places = load();
+
+      const containing = places.filter((place) => bboxContains(place.bbox, origin)).sort((a, b) => area(a) - area(b));
+
+      const candidates = containing.length > 0
+        // Boxes overlap (a neighbourhood sits inside its borough and city), so larger ones rank lower
+        ? containing.map((place, index) => toCandidate(place, 0.9 - index * 0.05))
+        : places.map((place) => {
+          const candidate = toCandidate(place, 0);
+          return { ...candidate, confidence: reverseConfidence(origin, candidate) };
+        }).filter((candidate) => candidate.confidence > 0).sort(byConfidence);
+
+      return candidates.slice(0, 5);
+    }
+  };
+}
+
+module.exports = { createGazetteerProvider, loadGazetteer };
@@ -0,0 +1,51 @@
+const axios = require('axios');
+const { makeCandidate, reverseConfidence } = require('../candidates');
+
+// OpenStreetMap Nominatim. Its usage policy allows at most one request per second and
+// requires an identifying User-Agent, so every call goes through the shared rate limiter.
+function createNominatimProvider({ baseUrl = 'https://nominatim.openstreetmap.org', email, limiter }) {
+  const headers = { 'User-Agent': 'DisasterResponsePlatform/1.0' };
+
+  // Nominatim boxes are [minLat, maxLat, minLng, maxLng] as strings
+  const toBBox = (box) => (box?.length === 4
+    ? { minLat: Number(box[0]), maxLat: Number(box[1]), minLng: Number(box[2]), maxLng: Number(box[3]) }
+    : null);
+
+  const toCandidate = (result, confidence) => makeCandidate({
+    name: result.name,
+    display_name: result.display_name,
+    lat: result.lat,
+    lng: result.lon,
+    bbox: toBBox(result.boundingbox),
+    confidence,
+    type: result.addresstype || result.type || null,
+    provider: 'nominatim'
+  });
+
+  const get = (path, params) => limiter.schedule(() => axios.get(`${baseUrl}${path}`, {
+    params: { format: 'jsonv2', ...(email && { email }), ...params },
+    headers,
+    timeout: 10000
+  }));
+
+  return {
+    name: 'nominatim',
+    remote: true,
+
+    async search(query, { limit }) {
+      const response = await get('/search', { q: query, limit });
+      // `importance` (0-1) ranks how prominent the place is
+      return response.data.map((result) => toCandidate(result, result.importance ?? 0.5));
+    },
+
+    async reverse({ lat, lng }) {
+      const response = await get('/reverse', { lat, lon: lng, zoom: 16 });
+      if (!response.data || response.data.error) return [];
+
+      const candidate = toCandidate(response.data, 0);
+      return [{ ...candidate, confidence: reverseConfidence({ lat, lng }, candidate) }];
+    }
+  };
+}
+
+module.exports = { createNominatimProvider };
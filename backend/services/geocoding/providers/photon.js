@@ -0,0 +1,52 @@
+const axios = require('axios');
+const { makeCandidate, reverseConfidence } = require('../candidates');
+
+// Photon (komoot), an OpenStreetMap geocoder without API keys, used as a second opinion
+// when Nominatim fails or finds nothing. Results carry no score, so confidence follows rank.
+function createPhotonProvider({ baseUrl = 'https://photon.komoot.io', limiter }) {
+  const toCandidate = (feature, confidence) => {
+    const { properties = {}, geometry } = feature;
+    const [lng, lat] = geometry.coordinates;
+    // Photon extents are [minLng, maxLat, maxLng, minLat]
+    const extent = properties.extent;
+    const place = [properties.name, properties.city, properties.state, properties.country]
+      .filter((part, index, parts) => part && parts.indexOf(part) === index);
+
+    return makeCandidate({
+      name: properties.name || place[0],
+      display_name: place.join(', '),
+      lat,
+      lng,
+      bbox: extent ? { minLng: extent[0], maxLat: extent[1], maxLng: extent[2], minLat: extent[3] } : null,
+      confidence,
+      type: properties.osm_value || properties.type || null,
+      provider: 'photon'
+    });
+  };
+
+  const get = (path, params) => limiter.schedule(() => axios.get(`${baseUrl}${path}`, {
+    params,
+    headers: { 'User-Agent': 'DisasterResponsePlatform/1.0' },
+    timeout: 10000
+  }));
+
+  return {
+    name: 'photon',
+    remote: true,
+
+    async search(query, { limit }) {
+      const response = await get('/api', { q: query, limit });
+      return (response.data.features || []).map((feature, index) => toCandidate(feature, Math.max(0.3, 0.8 - index * 0.1)));
+    },
+
+    async reverse({ lat, lng }) {
+      const response = await get('/reverse', { lat, lon: lng, limit: 1 });
+      return (response.data.features || []).map((feature) => {
+        const candidate = toCandidate(feature, 0);
+        return { ...candidate, confidence: reverseConfidence({ lat, lng }, candidate) };
+      });
+    }
+  };
+}
+
+module.exports = { createPhotonProvider };
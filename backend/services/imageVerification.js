@@ -0,0 +1,198 @@
+const axios = require('axios');
+const Jimp = require('jimp');
+const exifr = require('exifr');
+const { haversineDistance, parsePoint } = require('../utils/geo');
+const { assertPublicUrl, publicLookup } = require('../utils/network');
+
+const MAX_IMAGE_BYTES = 10 * 1024 * 1024;
+const DUPLICATE_HAMMING_THRESHOLD = 6;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Redirects are not followed: each hop would need the public-host check again
+async function downloadImage(imageUrl) {
+  await assertPublicUrl(imageUrl, 'image_url');
+  const response = await axios.get(imageUrl, {
+    responseType: 'arraybuffer',
+    maxContentLength: MAX_IMAGE_BYTES,
+    maxRedirects: 0,
+    lookup: publicLookup,
+    timeout: 15000,
+    headers: { 'User-Agent': 'DisasterResponsePlatform/1.0' }
+  });
+
+  const mimeType = (response.headers['content-type'] || '').split(';')[0].trim();
+  if (!mimeType.startsWith('image/')) {
+    throw new Error(`URL did not return an image (content-type: ${mimeType || 'unknown'})`);
+  }
+  return { buffer: Buffer.from(response.data), mimeType };
+}
+
+// 64-bit difference hash: resilient to resizing, recompression and small edits
+async function computeDHash(buffer) {
+  const image = await Jimp.read(buffer);
+  image.resize(9, 8).greyscale();
+
+  let bits = '';
+  for (let y = 0; y < 8; y++) {
+    for (let x = 0; x < 8; x++) {
+      const left = Jimp.intToRGBA(image.getPixelColor(x, y)).r;
+      const right = Jimp.intToRGBA(image.getPixelColor(x + 1, y)).r;
+      bits += left > right ? '1' : '0';
+    }
+  }
+  return BigInt(`0b${bits}`).toString(16).padStart(16, '0');
+}
+
+function hammingDistance(a, b) {
+  let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let count = 0;
+  while (diff) {
+    count += Number(diff & 1n);
+    diff >>= 1n;
+  }
+  return count;
+}
+
+async function readExif(buffer) {
+  try {
+    const tags = await exifr.parse(buffer, { gps: true, pick: ['DateTimeOriginal', 'CreateDate', 'latitude', 'longitude'] });
+    const takenAt = tags?.DateTimeOriginal || tags?.CreateDate || null;
+    const gps = Number.isFinite(tags?.latitude) && Number.isFinite(tags?.longitude)
+      ? { lat: tags.latitude, lng: tags.longitude }
+      : null;
+    return { taken_at: takenAt ? new Date(takenAt).toISOString() : null, gps };
+  } catch (error) {
+    return { taken_at: null, gps: null };
+  }
+}
+
+// Turns the collected signals into a 0-10 score; the same signals always give the same score
+function scoreVerification(signals, { radiusMeters }) {
+  let score = 5;
+  const reasons = [];
+
+  if (signals.duplicates.otherDisasters > 0) {
+    score -= 3;
+    reasons.push(`Near-identical image already used in ${signals.duplicates.otherDisasters} report(s) for other disasters`);
+  } else if (signals.duplicates.sameDisaster > 0) {
+    score -= 1;
+    reasons.push(`Near-identical image already submitted in ${signals.duplicates.sameDisaster} other report(s) for this disaster`);
+  } else {
+    score += 1;
+    reasons.push('Image has not been seen in other reports');
+  }
+
+  if (signals.exif.taken_at && signals.disasterCreatedAt) {
+    const ageBeforeDisaster = new Date(signals.disasterCreatedAt) - new Date(signals.exif.taken_at);
+    if (ageBeforeDisaster > 7 * DAY_MS) {
+      score -= 2;
+      reasons.push(`Photo was taken ${Math.round(ageBeforeDisaster / DAY_MS)} days before the disaster was reported`);
+    } else {
+      score += 1;
+      reasons.push('Photo timestamp is consistent with the disaster timeline');
+    }
+  } else {
+    reasons.push('No EXIF timestamp available');
+  }
+
+  if (signals.gpsDistanceMeters !== null) {
+    const km = (signals.gpsDistanceMeters / 1000).toFixed(1);
+    if (signals.gpsDistanceMeters <= radiusMeters) {
+      score += 2;
+      reasons.push(`Photo GPS is ${km} km from the disaster location`);
+    } else {
+      score -= 3;
+      reasons.push(`Photo GPS is ${km} km from the disaster location, outside the ${radiusMeters / 1000} km radius`);
+    }
+  } else {
+    reasons.push('No usable GPS data to compare with the disaster location');
+  }
+
+  if (signals.model) {
+    score += (signals.model.score - 5) * 0.4;
+    if (signals.model.depicts_disaster === false) {
+      score -= 1;
+    }
+    reasons.push(`Model analysis (${signals.model.score}/10): ${signals.model.reasoning}`);
+  } else {
+    reasons.push('Model analysis unavailable');
+  }
+
+  score = Math.round(Math.min(10, Math.max(0, score)) * 10) / 10;
+  const status = score >= 7 ? 'verified' : score < 4 ? 'flagged' : 'pending';
+  return { score, status, reasoning: reasons.join('. ') };
+}
+
+// Downloads the image, fingerprints it, reads EXIF, asks the model and scores the result.
+// `analyzeWithModel(buffer, mimeType)` returns { score, depicts_disaster, reasoning } or null;
+// `download(imageUrl)` -> { buffer, mimeType } is only replaced in tests.
+function createImageVerifier({ storage, cache, analyzeWithModel, radiusMeters = 50000, download = downloadImage }) {
+  // The per-image analysis does not depend on the disaster, so it is cached by URL
+  async function analyzeImage(imageUrl) {
+    const cacheKey = `verify_image_${imageUrl}`;
+    const analysis = await cache.wrap(cacheKey, async () => {
+      const { buffer, mimeType } = await download(imageUrl);
+      const [hash, exif, model] = await Promise.all([
+        computeDHash(buffer),
+        readExif(buffer),
+        analyzeWithModel(buffer, mimeType)
+      ]);
+      return { hash, exif, model };
+    });
+
+    // Keep retrying the model on later requests instead of caching its failure
+    if (!analysis.model) {
+      await cache.invalidate(cacheKey);
+    }
+    return analysis;
+  }
+
+  // The reports being verified are this disaster's reports with this URL; the same URL in
+  // another disaster is a reused image like any other near-identical one
+  async function findDuplicates(hash, disasterId, imageUrl) {
+    const known = await storage.reports.listImageHashes();
+    const matches = known.filter((report) =>
+      !(report.disaster_id === disasterId && report.image_url === imageUrl)
+      && hammingDistance(report.image_hash, hash) <= DUPLICATE_HAMMING_THRESHOLD
+    );
+
+    return {
+      sameDisaster: matches.filter((report) => report.disaster_id === disasterId).length,
+      otherDisasters: matches.filter((report) => report.disaster_id !== disasterId).length,
+      report_ids: matches.map((report) => report.id)
+    };
+  }
+
+  async function verify({ disaster, imageUrl }) {
+    let analysis;
+    try {
+      analysis = await analyzeImage(imageUrl);
+    } catch (error) {
+      // The cause stays in the log: echoing it would let callers probe what the server can reach
+      console.error('Image download/analysis error:', error.message);
+      return { score: null, status: 'pending', reasoning: 'Unable to download or analyze the image', signals: null };
+    }
+
+    const duplicates = await findDuplicates(analysis.hash, disaster.id, imageUrl);
+
+    const disasterPoint = parsePoint(disaster.location);
+    const gpsDistanceMeters = disasterPoint && analysis.exif.gps
+      ? Math.round(haversineDistance(disasterPoint, analysis.exif.gps))
+      : null;
+
+    const signals = {
+      hash: analysis.hash,
+      duplicates,
+      exif: analysis.exif,
+      gpsDistanceMeters,
+      disasterCreatedAt: disaster.created_at,
+      model: analysis.model
+    };
+
+    return { ...scoreVerification(signals, { radiusMeters }), signals };
+  }
+
+  return { verify };
+}
+
+module.exports = { createImageVerifier, computeDHash, hammingDistance, scoreVerification };
@@ -0,0 +1,223 @@
+// Bulk imports: parse a CAP, GeoJSON or CSV file into rows, then plan what each row does to
+// the stored records (create, update, unchanged, reject or skip). Writing the plan is left to
+// the caller, so a dry run is the same plan without the writes.
+const { parseCsv } = require('./parsers/csv');
+const { parseGeoJson } = require('./parsers/geojson');
+const { parseCap } = require('./parsers/cap');
+const { haversineDistance } = require('../../utils/geo');
+const { diffRecords } = require('../../utils/diff');
+
+// Parsers return [{ row, fields, reject?, warnings? }] and throw on files they cannot read
+const importParsers = { cap: parseCap, geojson: parseGeoJson, csv: parseCsv };
+
+// Rows are matched to existing records by external id, else by name within `duplicateRadius` meters
+const IMPORT_TARGETS = {
+  disasters: { kind: 'disaster', formats: ['cap', 'geojson', 'csv'], nameField: 'title', duplicateRadius: 5000 },
+  resources: { kind: 'resource', formats: ['geojson', 'csv'], nameField: 'name', duplicateRadius: 100 }
+};
+
+const MAX_IMPORT_ROWS = 1000;
+
+// Points closer than this count as the same location when comparing for updates
+const SAME_PLACE_METERS = 10;
+
+// The format of an upload sent without `format`, from its Content-Type
+function detectFormat(contentType = '') {
+  if (/xml/i.test(contentType)) return 'cap';
+  if (/json/i.test(contentType)) return 'geojson';
+  if (/csv/i.test(contentType)) return 'csv';
+  return null;
+}
+
+function parseImport(format, body) {
+  return importParsers[format](body);
+}
+
+// Parsed row fields -> the fields the target's row schema checks
+const candidateFields = {
+  disasters: (fields) => ({
+    title: fields.title ?? fields.name,
+    description: fields.description,
+    tags: fields.tags,
+    severity: fields.severity,
+    location_name: fields.location_name,
+    lat: fields.lat,
+    lng: fields.lng
+  }),
+  resources: (fields) => ({
+    name: fields.name ?? fields.title,
+    type: fields.type,
+    location_name: fields.location_name,
+    lat: fields.lat,
+    lng: fields.lng
+  })
+};
+
+const normalize = (value) => String(value ?? '').toLowerCase().replace(/\s+/g, ' ').trim();
+
+const withoutUndefined = (values) => Object.fromEntries(Object.entries(values).filter(([, value]) => value !== undefined));
+
+// Records keep every external id they were imported under (a CAP alert and its updates), so
+// any version of a source record finds them. Our own ids match too, for re-imported exports.
+function sameIdentity(record, candidate) {
+  return candidate.external_ids.some((externalId) =>
+    externalId === record.id || (record.external_ids || []).includes(externalId));
+}
+
+// Same external id; or, unless both carry external ids, the same name at the same place
+function sameRecord(target, record, candidate) {
+  if (sameIdentity(record, candidate)) return true;
+  if (record.external_ids?.length && candidate.external_ids.length) return false;
+  if (normalize(record[target.nameField]) !== normalize(candidate[target.nameField])) return false;
+
+  if (record.coordinates && candidate.coordinates) {
+    return haversineDistance(record.coordinates, candidate.coordinates) <= target.duplicateRadius;
+  }
+  if (record.location_name || candidate.location_name) {
+    return normalize(record.location_name) === normalize(candidate.location_name);
+  }
+  return true;
+}
+
+// { field: { before, after } } the row would change; coordinates only when they move
+function rowChanges(record, candidate, values) {
+  const changes = diffRecords(record, withoutUndefined(values));
+  if (candidate.coordinates && (!record.coordinates ||
+      haversineDistance(record.coordinates, candidate.coordinates) > SAME_PLACE_METERS)) {
+    changes.coordinates = { before: record.coordinates || null, after: candidate.coordinates };
+  }
+  const known = record.external_ids || [];
+  const added = candidate.external_ids.filter((externalId) => externalId !== record.id && !known.includes(externalId));
+  if (added.length > 0) {
+    changes.external_ids = { before: known, after: [...added, ...known] };
+  }
+  return changes;
+}
+
+// What a candidate does: create a record, or update or leave alone the one it matched
+function outcome(match, candidate) {
+  const { coordinates, external_ids: externalIds, ...values } = candidate;
+  if (!match) {
+    return { action: 'create', record: { ...values, external_ids: externalIds, coordinates } };
+  }
+  const changes = rowChanges(match, candidate, values);
+  return { action: Object.keys(changes).length > 0 ? 'update' : 'unchanged', id: match.id, changes };
+}
+
+// `validateRow(target, fields)` -> { data } | { details: { field: problem } };
+// `geocodeLocation(name)` places rows that only have a place name. Remote geocoders allow about
+// one request a second, so one import looks up at most `maxGeocodes` places that
+// `cachedLocation(name)` (-> { lat, lng } | undefined) does not already know; rows beyond that
+// are rejected, and importing the file again picks up where it stopped.
+function createImportPlanner({ validateRow, geocodeLocation, cachedLocation = async () => undefined, maxGeocodes = Infinity }) {
+  // rows: parsed rows; existing: the live records rows may duplicate ->
+  // [{ row, action, id?, record?, changes?, reason?, errors?, warnings }]
+  return async function planImport(targetName, rows, existing) {
+    const target = IMPORT_TARGETS[targetName];
+    const planned = [];
+    const claimed = new Map();
+    const located = new Map();
+    let geocodesLeft = maxGeocodes;
+
+    // -> { lat, lng }, null when there is nothing to place or the place was not found,
+    // undefined when it would take a lookup beyond this import's share
+    async function locate({ lat, lng, location_name }, warnings) {
+      if (lat !== undefined) return { lat, lng };
+      if (!location_name) return null;
+
+      const key = normalize(location_name);
+      if (!located.has(key)) {
+        const cached = await cachedLocation(location_name);
+        if (cached === undefined && geocodesLeft <= 0) return undefined;
+        if (cached === undefined) geocodesLeft--;
+        located.set(key, cached === undefined ? await geocodeLocation(location_name) : cached);
+      }
+
+      const coordinates = located.get(key);
+      if (!coordinates) warnings.push(`Could not geocode "${location_name}"`);
+      return coordinates;
+    }
+
+    const results = [];
+    for (const { row, fields, reject, warnings: parseWarnings = [] } of rows) {
+      const warnings = [...parseWarnings];
+      if (fields.kind && fields.kind !== target.kind) {
+        results.push({ row, action: 'skip', reason: `${fields.kind} rows are not imported as ${targetName}`, warnings });
+        continue;
+      }
+      if (reject) {
+        results.push({ row, action: 'reject', reason: reject, warnings });
+        continue;
+      }
+
+      const checked = validateRow(targetName, candidateFields[targetName](fields));
+      if (checked.details) {
+        results.push({ row, action: 'reject', reason: 'Invalid row', errors: checked.details, warnings });
+        continue;
+      }
+
+      const { lat, lng, ...values } = checked.data;
+      const coordinates = await locate({ lat, lng, location_name: values.location_name }, warnings);
+      if (coordinates === undefined) {
+        results.push({
+          row,
+          action: 'reject',
+          reason: `Not geocoded: one import looks up at most ${maxGeocodes} new places; add lat/lng or import the file again`,
+          warnings
+        });
+        continue;
+      }
+      const candidate = { ...withoutUndefined(values), coordinates, external_ids: fields.external_ids || [] };
+
+      // A later version of a record earlier in the file (a CAP Update naming it in <references>)
+      // is folded into that row; later rows win
+      const earlier = planned.find((other) => sameRecord(target, other.candidate, candidate));
+      if (earlier && sameIdentity(earlier.candidate, candidate)) {
+        earlier.candidate = {
+          ...earlier.candidate,
+          ...candidate,
+          coordinates: coordinates || earlier.candidate.coordinates,
+          external_ids: [...new Set([...candidate.external_ids, ...earlier.candidate.external_ids])]
+        };
+        if (!earlier.match) {
+          earlier.match = existing.find((record) => !claimed.has(record.id) && sameRecord(target, record, earlier.candidate));
+          if (earlier.match) claimed.set(earlier.match.id, earlier.row);
+        }
+        for (const field of ['record', 'id', 'changes']) delete earlier.result[field];
+        Object.assign(earlier.result, outcome(earlier.match, earlier.candidate));
+        results.push({ row, action: 'skip', reason: `Merged into row ${earlier.row}, which it updates`, warnings });
+        continue;
+      }
+
+      const match = existing.find((record) => sameRecord(target, record, candidate));
+      const duplicateOf = earlier?.row ?? (match && claimed.get(match.id));
+      if (duplicateOf !== undefined) {
+        results.push({ row, action: 'reject', reason: `Duplicate of row ${duplicateOf}`, warnings });
+        continue;
+      }
+
+      const result = { row, ...outcome(match, candidate), warnings };
+      planned.push({ row, candidate, match, result });
+      if (match) claimed.set(match.id, row);
+      results.push(result);
+    }
+    return results;
+  };
+}
+
+// { create, update, unchanged, reject, skip } counts
+function summarize(results) {
+  const summary = { create: 0, update: 0, unchanged: 0, reject: 0, skip: 0 };
+  for (const { action } of results) summary[action]++;
+  return summary;
+}
+
+module.exports = {
+  IMPORT_TARGETS,
+  IMPORT_FORMATS: Object.keys(importParsers),
+  MAX_IMPORT_ROWS,
+  detectFormat,
+  parseImport,
+  createImportPlanner,
+  summarize
+};
@@ -0,0 +1,81 @@
+// CAP 1.2 alerts: a single <alert>, or any document holding several (an Atom feed, an
+// <alerts> wrapper). Element names are matched without their namespace prefix.
+const cheerio = require('cheerio');
+
+const CAP_SEVERITIES = { Extreme: 'catastrophic', Severe: 'severe', Moderate: 'moderate', Minor: 'minor' };
+
+const localName = (element) => element.name.split(':').pop();
+
+const descendants = ($, scope, name) => $(scope).find('*').toArray().filter((element) => localName(element) === name);
+
+const childrenNamed = ($, scope, name) => $(scope).children().toArray().filter((element) => localName(element) === name);
+
+const textOf = ($, scope, name) => {
+  const [element] = childrenNamed($, scope, name);
+  return element ? $(element).text().trim() || undefined : undefined;
+};
+
+// "lat,lng radius" circles and "lat,lng lat,lng ..." polygons -> their center
+function areaPoint(circle, polygon) {
+  if (circle) {
+    const [lat, lng] = circle.split(/\s+/)[0].split(',').map(Number);
+    if (Number.isFinite(lat) && Number.isFinite(lng)) return { lat, lng };
+  }
+  if (polygon) {
+    const points = polygon.trim().split(/\s+/).map((pair) => pair.split(',').map(Number))
+      .filter(([lat, lng]) => Number.isFinite(lat) && Number.isFinite(lng));
+    const vertices = points.length > 1 && points[0].join() === points[points.length - 1].join() ? points.slice(0, -1) : points;
+    if (vertices.length > 0) {
+      const average = (index) => Math.round(vertices.reduce((sum, point) => sum + point[index], 0) / vertices.length * 1e6) / 1e6;
+      return { lat: average(0), lng: average(1) };
+    }
+  }
+  return {};
+}
+
+function parseAlert($, alert, index) {
+  const sender = textOf($, alert, 'sender');
+  const identifier = textOf($, alert, 'identifier');
+  const status = textOf($, alert, 'status');
+  const msgType = textOf($, alert, 'msgType');
+  // "sender,identifier,sent" entries naming the alerts this one updates
+  const references = (textOf($, alert, 'references') || '').split(/\s+/).filter(Boolean)
+    .map((reference) => reference.split(',').slice(0, 2).join(','));
+
+  const infos = childrenNamed($, alert, 'info');
+  const info = infos.find((element) => /^en/i.test(textOf($, element, 'language') || 'en-US')) || infos[0];
+  const [area] = info ? childrenNamed($, info, 'area') : [];
+  const parameters = Object.fromEntries((info ? childrenNamed($, info, 'parameter') : [])
+    .map((parameter) => [textOf($, parameter, 'valueName'), textOf($, parameter, 'value')]));
+
+  const event = info && textOf($, info, 'event');
+  const reject = (status && status !== 'Actual' && `CAP status ${status} is not imported`) ||
+    (msgType === 'Cancel' && 'CAP Cancel messages are not imported') ||
+    (!info && 'The alert has no <info> block');
+
+  return {
+    row: index + 1,
+    reject: reject || undefined,
+    fields: {
+      external_ids: identifier ? [`${sender},${identifier}`, ...references] : undefined,
+      title: info && (textOf($, info, 'headline') || event),
+      description: info && textOf($, info, 'description'),
+      tags: parameters.tags
+        ? parameters.tags.split(',').map((tag) => tag.trim()).filter(Boolean)
+        : event && [event.toLowerCase().slice(0, 50)],
+      severity: info && CAP_SEVERITIES[textOf($, info, 'severity')],
+      location_name: area && textOf($, area, 'areaDesc'),
+      ...(area && areaPoint(textOf($, area, 'circle'), textOf($, area, 'polygon')))
+    }
+  };
+}
+
+function parseCap(xml) {
+  const $ = cheerio.load(String(xml), { xmlMode: true });
+  const root = $.root();
+  const alerts = descendants($, root, 'alert');
+  if (alerts.length === 0) throw new Error('No CAP <alert> elements found');
+  return alerts.map((alert, index) => parseAlert($, alert, index));
+}
+
+module.exports = { parseCap };
@@ -0,0 +1,90 @@
+// RFC 4180 CSV: quoted fields may hold commas, quotes ("") and line breaks
+function parseCsvRecords(text) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+
+  for (let index = 0; index < text.length; index++) {
+    const char = text[index];
+    if (quoted) {
+      if (char === '"' && text[index + 1] === '"') {
+        field += '"';
+        index++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[index + 1] === '\n') index++;
+      record.push(field);
+      records.push({ line: recordLine, values: record });
+      record = [];
+      field = '';
+      recordLine = ++line;
+    } else {
+      field += char;
+    }
+  }
+  if (quoted) throw new Error(`Unterminated quoted field starting on line ${recordLine}`);
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push({ line: recordLine, values: record });
+  }
+  return records.filter(({ values }) => values.some((value) => value.trim() !== ''));
+}
+
+const COLUMN_ALIASES = {
+  kind: ['kind'],
+  external_id: ['external_id', 'id'],
+  title: ['title', 'headline'],
+  name: ['name'],
+  description: ['description', 'content'],
+  tags: ['tags'],
+  severity: ['severity'],
+  type: ['type'],
+  location_name: ['location_name', 'location', 'address'],
+  lat: ['lat', 'latitude'],
+  lng: ['lng', 'lon', 'long', 'longitude']
+};
+
+// Exports prefix cells that look like formulas with ' (see services/exports/formats/csv.js)
+const unescapeCell = (value) => value.trim().replace(/^'(?=[=+\-@])/, '');
+
+// -> [{ row: line number, fields }], reading columns by header name (see COLUMN_ALIASES)
+function parseCsv(text) {
+  const [header, ...records] = parseCsvRecords(String(text).replace(/^\uFEFF/, ''));
+  if (!header) throw new Error('The file is empty');
+
+  const columns = header.values.map((name) => name.trim().toLowerCase());
+  const columnOf = Object.fromEntries(Object.entries(COLUMN_ALIASES).map(([field, aliases]) => [
+    field,
+    aliases.map((alias) => columns.indexOf(alias)).find((index) => index !== -1)
+  ]));
+  if (columnOf.title === undefined && columnOf.name === undefined) {
+    throw new Error('The header row needs a title or name column');
+  }
+
+  return records.map(({ line, values }) => {
+    const fields = {};
+    for (const [field, index] of Object.entries(columnOf)) {
+      const value = index === undefined ? '' : unescapeCell(values[index] ?? '');
+      if (value !== '') fields[field] = value;
+    }
+    if (fields.tags) fields.tags = fields.tags.split(/[;,]/).map((tag) => tag.trim()).filter(Boolean);
+    if (fields.external_id) fields.external_ids = [fields.external_id];
+    delete fields.external_id;
+    return { row: line, fields };
+  });
+}
+
+module.exports = { parseCsv, parseCsvRecords };
@@ -0,0 +1,51 @@
+// GeoJSON Features (or a FeatureCollection of them); properties are read by the same names as CSV columns
+const pick = (properties, names) => names.map((name) => properties[name]).find((value) => value !== undefined && value !== null && value !== '');
+
+// Point coordinates, or the average vertex of a polygon's outer ring
+function pointOf(geometry) {
+  if (!geometry) return {};
+  if (geometry.type === 'Point') {
+    const [lng, lat] = geometry.coordinates;
+    return { lat, lng };
+  }
+  const ring = geometry.type === 'Polygon' ? geometry.coordinates?.[0]
+    : geometry.type === 'MultiPolygon' ? geometry.coordinates?.[0]?.[0]
+      : null;
+  if (!ring?.length) return { warning: `${geometry.type} geometry is not supported and was ignored` };
+
+  const vertices = ring.length > 1 && ring[0].join() === ring[ring.length - 1].join() ? ring.slice(0, -1) : ring;
+  const average = (index) => Math.round(vertices.reduce((sum, vertex) => sum + vertex[index], 0) / vertices.length * 1e6) / 1e6;
+  return { lat: average(1), lng: average(0), warning: 'Polygon placed at the centroid of its vertices' };
+}
+
+function parseGeoJson(input) {
+  const document = typeof input === 'string' ? JSON.parse(input) : input;
+  const features = document?.type === 'FeatureCollection' ? document.features
+    : document?.type === 'Feature' ? [document]
+      : null;
+  if (!Array.isArray(features)) throw new Error('Expected a GeoJSON FeatureCollection or Feature');
+
+  return features.map((feature, index) => {
+    const properties = feature?.properties || {};
+    const { lat, lng, warning } = pointOf(feature?.geometry);
+    const tags = pick(properties, ['tags']);
+    const externalId = pick(properties, ['external_id']) ?? feature?.id ?? pick(properties, ['id']);
+
+    const fields = {
+      kind: pick(properties, ['kind']),
+      external_ids: externalId === undefined ? undefined : [String(externalId)],
+      title: pick(properties, ['title', 'headline']),
+      name: pick(properties, ['name']),
+      description: pick(properties, ['description', 'content']),
+      tags: typeof tags === 'string' ? tags.split(/[;,]/).map((tag) => tag.trim()).filter(Boolean) : tags,
+      severity: pick(properties, ['severity']),
+      type: pick(properties, ['type']),
+      location_name: pick(properties, ['location_name', 'location', 'address']),
+      lat,
+      lng
+    };
+    return { row: index + 1, fields, warnings: warning ? [warning] : [] };
+  });
+}
+
+module.exports = { parseGeoJson };
@@ -0,0 +1,167 @@
+// Location extraction for reports, posts and the /geocode tool: an optional model pass
+// returning structured JSON, with a deterministic pattern and gazetteer extractor behind it
+const { z } = require('zod');
+
+// incident: where something is happening; shelter: where people can go; route: roads and
+// crossings that are closed, used for evacuation or otherwise part of a path
+const ROLES = ['incident', 'shelter', 'route'];
+
+const MAX_LOCATIONS = 10;
+
+// Shape the model has to answer with; anything else is treated as no answer
+const modelAnswer = z.object({
+  locations: z.array(z.object({
+    mention: z.string().trim().min(1).max(200),
+    name: z.string().trim().min(1).max(200),
+    role: z.enum(ROLES)
+  })).max(MAX_LOCATIONS)
+});
+
+const ROLE_CUES = {
+  route: ['road', 'roads', 'route', 'highway', 'bridge', 'tunnel', 'detour', 'closed', 'closure', 'blocked',
+    'traffic', 'expressway', 'lane', 'lanes', 'via', 'along', 'through', 'impassable'],
+  shelter: ['shelter', 'shelters', 'evacuation center', 'evacuation centre', 'refuge', 'relief camp', 'staying at',
+    'cots', 'beds available', 'take refuge', 'safe place', 'warming center', 'cooling center']
+};
+
+const STREET_SUFFIXES = ['Street', 'St', 'Avenue', 'Ave', 'Road', 'Rd', 'Boulevard', 'Blvd', 'Bridge', 'Highway',
+  'Hwy', 'Park', 'Drive', 'Dr', 'Lane', 'Ln', 'Tunnel', 'Expressway', 'Parkway', 'Pkwy', 'Square', 'Sq'];
+
+// Capitalized words that start sentences or name organisations rather than places
+const NOT_PLACES = new Set(['I', 'We', 'My', 'Our', 'The', 'This', 'That', 'There', 'Please', 'Help', 'Urgent',
+  'Emergency', 'SOS', 'Need', 'Needs', 'Update', 'Breaking', 'Alert', 'Warning', 'Red Cross', 'FEMA', 'Monday',
+  'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday', 'Today', 'Tonight', 'Anyone', 'All']);
+
+const WORD = String.raw`(?:[A-Z][\w'-]*|\d+(?:st|nd|rd|th))`;
+// Capitalized words, optionally joined by "of"/"de"/... and ending in a number ("PS 15")
+const PHRASE = String.raw`${WORD}(?:\s+(?:(?:of|de|la|del)\s+)?${WORD})*(?:\s+\d+\b)?`;
+
+const PATTERNS = [
+  // "Houston, TX", "Malibu, California"; not "Canal Street, Lower East Side", which is two places
+  new RegExp(String.raw`\b[A-Z][a-z]+(?:\s[A-Z][a-z]+)*,\s(?:[A-Z]{2}|[A-Z][a-z]+)\b(?!\s[A-Z])`, 'g'),
+  // "Canal Street", "42nd St", "Brooklyn Bridge"
+  new RegExp(String.raw`\b${WORD}(?:\s+${WORD})*?\s+(?:${STREET_SUFFIXES.join('|')})\b\.?`, 'g'),
+  // Capitalized phrases after a locative preposition: "flooding in Lower Manhattan"
+  new RegExp(String.raw`\b(?:in|at|near|from|to|around|outside|into|toward|towards|across|between|and|via|along|on)\s+(${PHRASE})`, 'g')
+];
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const normalize = (text) => String(text).toLowerCase().replace(/\s+/g, ' ').trim();
+
+// Known place names (gazetteer names and aliases) found in the text. Short all-caps
+// aliases such as "NYC" or "LA" only match in capitals so ordinary words are not mistaken for them.
+function findKnownPlaces(text, places) {
+  return places.flatMap((place) => {
+    const caseSensitive = place.length <= 3 && place === place.toUpperCase();
+    const pattern = new RegExp(`(^|[^\\w])(${escapeRegExp(place)})(?=[^\\w]|$)`, caseSensitive ? 'g' : 'gi');
+    return [...text.matchAll(pattern)].map((match) => ({
+      mention: match[2],
+      start: match.index + match[1].length
+    }));
+  });
+}
+
+function findPatterns(text) {
+  return PATTERNS.flatMap((pattern) => [...text.matchAll(pattern)].map((match) => {
+    const mention = (match[1] || match[0]).replace(/[.,]$/, '');
+    return { mention, start: match.index + match[0].lastIndexOf(mention) };
+  }));
+}
+
+// Drops leading filler words ("Urgent Canal Street" -> "Canal Street") and pattern matches that are not places
+function cleanMention({ mention, start }) {
+  const words = mention.split(/\s+/);
+  while (words.length > 1 && NOT_PLACES.has(words[0])) {
+    start += words.shift().length + 1;
+  }
+  const cleaned = words.join(' ');
+  return NOT_PLACES.has(cleaned) ? null : { mention: cleaned, start };
+}
+
+// Longer mentions win over the shorter ones they overlap ("Red Hook, Brooklyn" over "Brooklyn")
+function removeOverlaps(mentions) {
+  const kept = [];
+  for (const mention of [...mentions].sort((a, b) => b.mention.length - a.mention.length || a.start - b.start)) {
+    const end = mention.start + mention.mention.length;
+    if (!kept.some((other) => mention.start < other.start + other.mention.length && end > other.start)) {
+      kept.push(mention);
+    }
+  }
+  return kept.sort((a, b) => a.start - b.start);
+}
+
+// The role comes from cue words in the clause around the mention; "from X to Y" and
+// "between X and Y" always describe a route
+function roleOf(text, { mention, start }) {
+  const clauseStart = Math.max(0, ...['.', '!', '?', ';', '\n'].map((mark) => text.lastIndexOf(mark, start - 1) + 1));
+  const clauseEnd = Math.min(...['.', '!', '?', ';', '\n']
+    .map((mark) => text.indexOf(mark, start + mention.length))
+    .map((index) => (index === -1 ? text.length : index)));
+  const clause = text.slice(clauseStart, clauseEnd).toLowerCase();
+  const before = text.slice(clauseStart, start).toLowerCase();
+
+  if (/\b(from|between)\b/.test(before) && /\b(to|and)\b/.test(clause)) return 'route';
+  if (STREET_SUFFIXES.some((suffix) => mention.endsWith(` ${suffix}`)) && ROLE_CUES.route.some((cue) => clause.includes(cue))) {
+    return 'route';
+  }
+  for (const role of ['shelter', 'route']) {
+    if (findCue(clause, ROLE_CUES[role])) return role;
+  }
+  return 'incident';
+}
+
+const findCue = (clause, cues) => cues.some((cue) => new RegExp(`(^|[^a-z])${escapeRegExp(cue)}([^a-z]|$)`).test(clause));
+
+// Deterministic extraction: the same text always yields the same locations, in text order
+function extractLocationsLocally(text = '', { places = [] } = {}) {
+  const mentions = [...findKnownPlaces(text, places), ...findPatterns(text).map(cleanMention).filter(Boolean)];
+
+  const seen = new Set();
+  return removeOverlaps(mentions)
+    .filter(({ mention }) => {
+      const key = normalize(mention);
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .slice(0, MAX_LOCATIONS)
+    .map((mention) => ({ name: mention.mention, mention: mention.mention, role: roleOf(text, mention), source: 'local' }));
+}
+
+// `model(text)` is an optional pass returning parsed JSON in the `modelAnswer` shape. Answers
+// that do not validate, or whose mentions do not occur in the text (the model was steered by
+// the text or made them up), fall back to the local extractor.
+function createLocationExtractor({ model, places = [] } = {}) {
+  async function fromModel(text) {
+    if (!model) return null;
+
+    try {
+      const parsed = modelAnswer.safeParse(await model(text));
+      if (!parsed.success) return null;
+
+      const haystack = normalize(text);
+      const locations = parsed.data.locations
+        .filter(({ mention }) => haystack.includes(normalize(mention)))
+        .map((location) => ({ ...location, source: 'gemini' }));
+      return locations.length > 0 ? locations : null;
+    } catch (error) {
+      console.error('Location extraction model error:', error.message);
+      return null;
+    }
+  }
+
+  // -> { locations: [{ name, mention, role, source }], method: 'gemini' | 'local' }
+  return async function extractLocations(text = '') {
+    const locations = await fromModel(text);
+    return locations
+      ? { locations, method: 'gemini' }
+      : { locations: extractLocationsLocally(text, { places }), method: 'local' };
+  };
+}
+
+// The location a single-place field (report or post location_name) should use
+function primaryLocation(locations) {
+  return (locations.find(({ role }) => role === 'incident') || locations[0])?.name || null;
+}
+
+module.exports = { ROLES, createLocationExtractor, extractLocationsLocally, primaryLocation };
@@ -0,0 +1,61 @@
+// Need-to-resource matching: works out what a report or social post asks for and where,
+// then ranks the disaster's resources by how well their type fits and how close they are
+const { classifyByRules } = require('./classifier');
+const { haversineDistance, parsePoint } = require('../utils/geo');
+
+// Need category (see services/classifier.js) -> resource types that can serve it, 0-1
+const COMPATIBILITY = {
+  food: { food: 1, water: 0.7, supplies: 0.4 },
+  medical: { medical: 1, supplies: 0.4 },
+  shelter: { shelter: 1, supplies: 0.3 },
+  rescue: { medical: 0.6, shelter: 0.5 },
+  info: {}
+};
+
+const MATCH_SOURCES = ['report', 'social_post'];
+
+const DEFAULT_RADIUS = 25000;
+
+const compatibility = (needType, resourceType) => COMPATIBILITY[needType]?.[resourceType] || 0;
+
+// Closeness is worth 60% of the score; resources with no known distance only score on type
+function matchScore(fit, distance, radius) {
+  const proximity = distance === null ? 0 : Math.max(0, 1 - distance / radius);
+  return Math.round(fit * (0.4 + 0.6 * proximity) * 100) / 100;
+}
+
+const textOf = (item) => item.content || item.post || '';
+
+// Needs are described from what was stored with the report or post: location extraction and
+// geocoding already ran when it was saved, so matching never calls Gemini or a geocoder
+function createMatcher() {
+  // -> { type, location_name, coordinates } for a report or social post
+  function describeNeed(item) {
+    return {
+      type: item.need_category || classifyByRules(textOf(item)).category,
+      location_name: item.location_name || null,
+      coordinates: parsePoint(item.location)
+    };
+  }
+
+  // -> { resource, compatibility, distance_meters, score }
+  function scoreResource(need, resource, { radius = DEFAULT_RADIUS } = {}) {
+    const point = parsePoint(resource.location);
+    const distance = need.coordinates && point ? Math.round(haversineDistance(need.coordinates, point)) : null;
+    const fit = compatibility(need.type, resource.type);
+    return { resource, compatibility: fit, distance_meters: distance, score: matchScore(fit, distance, radius) };
+  }
+
+  // Resources that can serve the need within `radius`, best first
+  function rankResources(need, resources, { radius = DEFAULT_RADIUS, limit = 5 } = {}) {
+    return resources
+      .map((resource) => scoreResource(need, resource, { radius }))
+      .filter((match) => match.compatibility > 0 && (match.distance_meters === null || match.distance_meters <= radius))
+      .sort((a, b) => b.score - a.score || (a.distance_meters ?? Infinity) - (b.distance_meters ?? Infinity))
+      .slice(0, limit);
+  }
+
+  return { describeNeed, scoreResource, rankResources };
+}
+
+module.exports = { createMatcher, compatibility, matchScore, COMPATIBILITY, MATCH_SOURCES, DEFAULT_RADIUS };
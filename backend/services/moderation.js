@@ -0,0 +1,50 @@
+// Report moderation: admin decisions on reports and the contributor trust scores they feed
+
+// Decision -> the verification_status it gives the report
+const MODERATION_ACTIONS = {
+  approve: 'verified',
+  reject: 'rejected',
+  misinformation: 'misinformation'
+};
+
+// pending: new reports; verified/flagged: set by image verification until a moderator decides
+const VERIFICATION_STATUSES = ['pending', 'verified', 'flagged', 'rejected', 'misinformation'];
+
+// Statuses listed by the moderation queue unless the query asks for others
+const QUEUE_STATUSES = ['pending', 'flagged'];
+
+// Misinformation weighs three times as much as an ordinary rejection
+const MISINFORMATION_WEIGHT = 3;
+
+// Once a moderator has decided, image verification no longer changes the status
+const isModerated = (report) => Boolean(report?.moderation);
+
+// Smoothed approval ratio between 0 and 1: a new contributor starts at 0.5, approvals raise it
+// and rejections lower it, each outcome counting for less as the history grows
+function trustScore({ approved = 0, rejected = 0, misinformation = 0 }) {
+  const score = (approved + 1) / (approved + rejected + MISINFORMATION_WEIGHT * misinformation + 2);
+  return Math.round(score * 100) / 100;
+}
+
+function newContributor(userId) {
+  return { user_id: userId, approved: 0, rejected: 0, misinformation: 0, trust_score: trustScore({}) };
+}
+
+const OUTCOME_COUNTERS = { approve: 'approved', reject: 'rejected', misinformation: 'misinformation' };
+
+// The contributor record after one more moderation outcome
+function applyOutcome(contributor, action) {
+  const counter = OUTCOME_COUNTERS[action];
+  const counts = { ...contributor, [counter]: (contributor[counter] || 0) + 1 };
+  return { ...counts, trust_score: trustScore(counts), updated_at: new Date().toISOString() };
+}
+
+module.exports = {
+  MODERATION_ACTIONS,
+  VERIFICATION_STATUSES,
+  QUEUE_STATUSES,
+  isModerated,
+  trustScore,
+  newContributor,
+  applyOutcome
+};
@@ -0,0 +1,159 @@
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const cheerio = require('cheerio');
+
+// Source registry entries look like:
+//   { id, name, url | file, baseUrl?, selectors: { item, title, content, link, date }, filter?: { keywords, regions } }
+// `file` is resolved relative to the registry file so sources can point at local HTML fixtures.
+// Selectors take an optional `@attr` suffix to read an attribute instead of the text.
+function loadSources(registryFile) {
+  const sources = JSON.parse(fs.readFileSync(registryFile, 'utf8'));
+
+  return sources.map((source) => {
+    if (!source.id || !source.selectors?.item || (!source.url && !source.file)) {
+      throw new Error(`Official source ${source.id || '(unnamed)'} needs an id, a url or file, and an item selector`);
+    }
+    return {
+      ...source,
+      name: source.name || source.id,
+      file: source.file && path.resolve(path.dirname(registryFile), source.file)
+    };
+  });
+}
+
+async function fetchSourceHtml(source) {
+  if (source.file) {
+    return fs.promises.readFile(source.file, 'utf8');
+  }
+
+  const response = await axios.get(source.url, {
+    headers: { 'User-Agent': 'DisasterResponsePlatform/1.0' },
+    timeout: 15000
+  });
+  return response.data;
+}
+
+function select($, scope, selector) {
+  if (!selector) return null;
+
+  const [query, attr] = selector.split('@');
+  const element = query ? $(scope).find(query).first() : $(scope);
+  const value = attr ? element.attr(attr) : element.text();
+  return value?.replace(/\s+/g, ' ').trim() || null;
+}
+
+function passesFilter(item, filter = {}) {
+  const text = `${item.title} ${item.content}`.toLowerCase();
+  const mentionsAny = (terms) => !terms?.length || terms.some((term) => text.includes(term.toLowerCase()));
+  return mentionsAny(filter.keywords) && mentionsAny(filter.regions);
+}
+
+// Extracts items from a page using the source's CSS selectors
+function parseSource(source, html) {
+  const $ = cheerio.load(html);
+  const base = source.baseUrl || source.url;
+
+  return $(source.selectors.item).toArray()
+    .map((element) => {
+      const link = select($, element, source.selectors.link);
+      const date = select($, element, source.selectors.date);
+      const parsedDate = date ? new Date(date) : null;
+
+      return {
+        source: source.name,
+        source_id: source.id,
+        title: select($, element, source.selectors.title),
+        content: select($, element, source.selectors.content) || '',
+        url: link && base ? new URL(link, base).toString() : link,
+        timestamp: parsedDate && !isNaN(parsedDate) ? parsedDate : null
+      };
+    })
+    .filter((item) => item.title && passesFilter(item, source.filter));
+}
+
+// An item belongs to a disaster when it mentions one of its tags or a part of its location name
+function matchesDisaster(item, disaster) {
+  const text = `${item.title} ${item.content}`.toLowerCase();
+  const terms = [
+    ...(disaster.tags || []),
+    ...(disaster.location_name || '').split(',').map((part) => part.trim())
+  ].filter((term) => term && term.length >= 3);
+
+  return terms.some((term) => text.includes(term.toLowerCase()));
+}
+
+// Scrapes every registered source on a schedule (each source cached separately),
+// stores items against matching disasters and broadcasts only the new ones
+function createOfficialUpdatesScraper({ sources, storage, emitToDisaster, cache, intervalMs = 15 * 60 * 1000 }) {
+  let timer = null;
+  let polling = null;
+
+  async function scrapeSource(source) {
+    const items = await cache.wrap(`official_updates_${source.id}`, async () => {
+      try {
+        return parseSource(source, await fetchSourceHtml(source));
+      } catch (error) {
+        console.error(`Official source ${source.id} error:`, error.message);
+        return null;
+      }
+    });
+    return items || [];
+  }
+
+  async function runPoll() {
+    const disasters = await storage.disasters.list();
+    if (disasters.length === 0) return;
+
+    for (const source of sources) {
+      const items = await scrapeSource(source);
+
+      for (const disaster of disasters) {
+        const matching = items.filter((item) => matchesDisaster(item, disaster));
+        if (matching.length === 0) continue;
+
+        const created = await storage.officialUpdates.createMany(matching.map((item) => ({
+          ...item,
+          disaster_id: disaster.id,
+          external_id: `${source.id}:${item.url || item.title}`
+        })));
+
+        if (created.length > 0) {
+          console.log(`Official updates: ${created.length} new item(s) from ${source.name} for disaster ${disaster.id}`);
+          emitToDisaster(disaster.id, 'official_updates_updated', { data: created });
+        }
+      }
+    }
+  }
+
+  // Overlapping polls share the one already running
+  function pollOnce() {
+    if (!polling) {
+      polling = runPoll()
+        .catch((error) => console.error('Error scraping official updates:', error.message))
+        .finally(() => {
+          polling = null;
+        });
+    }
+    return polling;
+  }
+
+  function start() {
+    if (timer) return;
+    pollOnce();
+    timer = setInterval(pollOnce, intervalMs);
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  async function getUpdates(disasterId) {
+    return storage.officialUpdates.listByDisaster(disasterId);
+  }
+
+  return { start, stop, pollOnce, getUpdates };
+}
+
+module.exports = { createOfficialUpdatesScraper, loadSources, parseSource };
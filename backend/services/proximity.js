@@ -0,0 +1,31 @@
+// Proximity search: the storage adapter's spatial query when it has one, else (or when it
+// fails) a geodesic scan applying the same radius. Results come nearest first with
+// `distance_meters`, and `method` tells callers which of the two answered.
+const { haversineDistance, parsePoint } = require('../utils/geo');
+
+function withDistance(row, origin) {
+  if (Number.isFinite(row.distance_meters)) return row;
+  const point = parsePoint(row.location);
+  return { ...row, distance_meters: point ? Math.round(haversineDistance(origin, point)) : null };
+}
+
+const nearestFirst = (a, b) => (a.distance_meters ?? Infinity) - (b.distance_meters ?? Infinity);
+
+// `spatial()` runs the indexed query (optional); `scan()` lists every candidate row
+async function findNearby({ spatial, scan, origin, radius, label }) {
+  if (spatial) {
+    try {
+      const rows = await spatial();
+      return { method: 'postgis', data: rows.map((row) => withDistance(row, origin)).sort(nearestFirst) };
+    } catch (error) {
+      console.error(`Spatial ${label} search failed, falling back to a geodesic scan:`, error.message);
+    }
+  }
+
+  const rows = (await scan())
+    .map((row) => withDistance(row, origin))
+    .filter((row) => row.distance_meters !== null && row.distance_meters <= radius);
+  return { method: 'geodesic', data: rows.sort(nearestFirst) };
+}
+
+module.exports = { findNearby };
@@ -0,0 +1,102 @@
+// Search filters and sort orders for disasters and reports, shared by the storage adapters.
+// Filters arrive normalized by the route schemas:
+//   { q, tags, tagMode, statuses, severities, priorities, categories, verificationStatuses, from, to,
+//     bbox: { minLat, minLng, maxLat, maxLng }, near: { lat, lng, radius }, includeDeleted, sort, limit, cursor }
+const { haversineDistance, parsePoint } = require('../utils/geo');
+const { severityRank } = require('./disasterLifecycle');
+const { priorityRank } = require('./classifier');
+
+const byCreated = (direction) => [
+  { column: 'created_at', direction },
+  { column: 'id', direction }
+];
+
+// Sort orders for keyset pagination (see utils/pagination.js). The rank columns are
+// generated columns in Postgres; `value` computes the same rank in JavaScript.
+const DISASTER_SORTS = {
+  newest: byCreated('desc'),
+  oldest: byCreated('asc'),
+  severity: [
+    { column: 'severity_rank', direction: 'desc', value: (disaster) => severityRank(disaster.severity) },
+    ...byCreated('desc')
+  ]
+};
+
+const REPORT_SORTS = {
+  newest: byCreated('desc'),
+  oldest: byCreated('asc'),
+  priority: [
+    { column: 'priority_rank', direction: 'asc', value: (report) => priorityRank(report.priority) },
+    ...byCreated('desc')
+  ]
+};
+
+// Fields covered by the `q` full-text filter (the `search_vector` column in Postgres)
+const DISASTER_TEXT_FIELDS = ['title', 'description', 'location_name'];
+const REPORT_TEXT_FIELDS = ['content', 'location_name'];
+
+const words = (text) => text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+
+// In-memory stand-in for Postgres full-text search: every query word must start a word of the text
+function matchesText(row, fields, q) {
+  if (!q) return true;
+  const text = words(fields.map((field) => row[field] || '').join(' '));
+  return words(q).every((term) => text.some((word) => word.startsWith(term)));
+}
+
+function matchesTags(row, tags, tagMode) {
+  if (!tags?.length) return true;
+  const rowTags = row.tags || [];
+  return tagMode === 'all'
+    ? tags.every((tag) => rowTags.includes(tag))
+    : tags.some((tag) => rowTags.includes(tag));
+}
+
+function inDateRange(row, { from, to }) {
+  const createdAt = new Date(row.created_at);
+  return (!from || createdAt >= new Date(from)) && (!to || createdAt <= new Date(to));
+}
+
+const includesOrAny = (values, value) => !values?.length || values.includes(value);
+
+function matchesDisaster(disaster, filters) {
+  return matchesText(disaster, DISASTER_TEXT_FIELDS, filters.q) &&
+    matchesTags(disaster, filters.tags, filters.tagMode) &&
+    includesOrAny(filters.statuses, disaster.status) &&
+    includesOrAny(filters.severities, disaster.severity) &&
+    inDateRange(disaster, filters);
+}
+
+function matchesReport(report, filters) {
+  return matchesText(report, REPORT_TEXT_FIELDS, filters.q) &&
+    includesOrAny(filters.priorities, report.priority) &&
+    includesOrAny(filters.categories, report.need_category) &&
+    includesOrAny(filters.verificationStatuses, report.verification_status) &&
+    inDateRange(report, filters);
+}
+
+// Applies the bbox and near filters: returns null for rows outside the area, and near-point
+// matches with their `distance_meters`
+function locate(row, { bbox, near }) {
+  if (!bbox && !near) return row;
+
+  const point = parsePoint(row.location);
+  if (!point) return null;
+
+  if (bbox && (point.lat < bbox.minLat || point.lat > bbox.maxLat || point.lng < bbox.minLng || point.lng > bbox.maxLng)) {
+    return null;
+  }
+  if (near) {
+    const distance = haversineDistance(near, point);
+    return distance <= near.radius ? { ...row, distance_meters: Math.round(distance) } : null;
+  }
+  return row;
+}
+
+module.exports = {
+  DISASTER_SORTS,
+  REPORT_SORTS,
+  matchesDisaster,
+  matchesReport,
+  locate
+};
@@ -0,0 +1,159 @@
+const { createMockProvider } = require('./providers/mock');
+const { createReplayProvider } = require('./providers/replay');
+const { haversineDistance, parsePoint } = require('../../utils/geo');
+
+// Provider interface: { name, fetchPosts() -> [{ id, post, user, timestamp, location_name?, lat?, lng? }] }
+const providerFactories = {
+  mock: () => createMockProvider(),
+  replay: () => createReplayProvider({
+    file: process.env.SOCIAL_MEDIA_REPLAY_FILE,
+    batchSize: parseInt(process.env.SOCIAL_MEDIA_REPLAY_BATCH) || undefined
+  })
+};
+
+// Builds the providers named in SOCIAL_MEDIA_PROVIDERS (comma separated, defaults to mock)
+function createProviders(names = process.env.SOCIAL_MEDIA_PROVIDERS || 'mock') {
+  return names.split(',').map((name) => name.trim()).filter(Boolean).map((name) => {
+    const factory = providerFactories[name];
+    if (!factory) {
+      throw new Error(`Unknown social media provider "${name}" (expected one of: ${Object.keys(providerFactories).join(', ')})`);
+    }
+    return factory();
+  });
+}
+
+// Tags match case-insensitively anywhere in the post, so `flood` matches `#floodrelief`
+function matchTags(text, tags = []) {
+  const lower = text.toLowerCase();
+  return tags.filter((tag) => tag && lower.includes(tag.toLowerCase().replace(/^#/, '')));
+}
+
+// Polls every provider on a schedule, matches posts to disasters by tags and
+// proximity, stores new matches and broadcasts them per disaster.
+function createSocialMediaPipeline({
+  providers,
+  storage,
+  emitToDisaster,
+  geocodeLocation,
+  extractLocation,
+  classify,
+  intervalMs = 60 * 1000,
+  radiusMeters = 50000
+}) {
+  let timer = null;
+  let polling = null;
+
+  async function locatePost(post) {
+    if (Number.isFinite(post.lat) && Number.isFinite(post.lng)) {
+      return { location_name: post.location_name || null, coords: { lat: post.lat, lng: post.lng } };
+    }
+
+    const locationName = post.location_name || await extractLocation(post.post);
+    const coords = locationName ? await geocodeLocation(locationName) : null;
+    return { location_name: locationName || null, coords };
+  }
+
+  // A post needs a tag match (when the disaster has tags) and, when both sides
+  // have coordinates, has to fall within the radius of the disaster
+  function matchDisaster(disaster, post, located) {
+    const matchedTags = matchTags(post.post, disaster.tags);
+    if (disaster.tags?.length && matchedTags.length === 0) return null;
+
+    const disasterPoint = parsePoint(disaster.location);
+    if (disasterPoint && located.coords) {
+      const distance = haversineDistance(disasterPoint, located.coords);
+      if (distance > radiusMeters) return null;
+      return { matchedTags, distance: Math.round(distance) };
+    }
+
+    if (!disaster.tags?.length) return null;
+    return { matchedTags, distance: null };
+  }
+
+  async function ingest(provider, posts, disasters) {
+    const created = new Map();
+
+    for (const post of posts) {
+      if (!post.post) continue;
+      const located = await locatePost(post);
+      let classification = null;
+
+      for (const disaster of disasters) {
+        const match = matchDisaster(disaster, post, located);
+        if (!match) continue;
+
+        classification = classification || await classify(post.post);
+        const [stored] = await storage.socialPosts.createMany([{
+          disaster_id: disaster.id,
+          external_id: `${provider.name}:${post.id}`,
+          provider: provider.name,
+          user: post.user,
+          post: post.post,
+          timestamp: post.timestamp || new Date(),
+          location_name: located.location_name,
+          location: located.coords ? `POINT(${located.coords.lng} ${located.coords.lat})` : null,
+          matched_tags: match.matchedTags,
+          distance_meters: match.distance,
+          priority: classification.priority,
+          need_category: classification.category
+        }]);
+
+        if (stored) {
+          created.set(disaster.id, [...(created.get(disaster.id) || []), stored]);
+        }
+      }
+    }
+
+    return created;
+  }
+
+  async function runPoll() {
+    const disasters = await storage.disasters.list();
+    if (disasters.length === 0) return;
+
+    for (const provider of providers) {
+      try {
+        const posts = await provider.fetchPosts();
+        const created = await ingest(provider, posts, disasters);
+
+        for (const [disasterId, data] of created) {
+          console.log(`Social media: ${data.length} new post(s) from ${provider.name} for disaster ${disasterId}`);
+          emitToDisaster(disasterId, 'social_media_updated', { data });
+        }
+      } catch (error) {
+        console.error(`Social media provider ${provider.name} error:`, error.message);
+      }
+    }
+  }
+
+  // Overlapping polls share the one already running
+  function pollOnce() {
+    if (!polling) {
+      polling = runPoll()
+        .catch((error) => console.error('Error polling social media:', error.message))
+        .finally(() => {
+          polling = null;
+        });
+    }
+    return polling;
+  }
+
+  function start() {
+    if (timer) return;
+    pollOnce();
+    timer = setInterval(pollOnce, intervalMs);
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  async function getPosts(disasterId) {
+    return storage.socialPosts.listByDisaster(disasterId);
+  }
+
+  return { start, stop, pollOnce, getPosts };
+}
+
+module.exports = { createSocialMediaPipeline, createProviders };
@@ -0,0 +1,17 @@
+// Default provider: a fixed set of sample posts standing in for a real social media API
+function createMockProvider() {
+  return {
+    name: 'mock',
+
+    async fetchPosts() {
+      return [
+        { id: 'mock-1', post: "#floodrelief Need food in NYC Lower East Side", user: "citizen1", location_name: "Lower East Side, New York", timestamp: new Date() },
+        { id: 'mock-2', post: "SOS: Family trapped in Manhattan basement #emergency", user: "citizen2", location_name: "Manhattan, New York", timestamp: new Date() },
+        { id: 'mock-3', post: "Red Cross shelter at 42nd Street has space #disaster", user: "reliefworker1", location_name: "42nd Street, New York", timestamp: new Date() },
+        { id: 'mock-4', post: "URGENT: Medical supplies needed in Brooklyn #help", user: "medic1", location_name: "Brooklyn, New York", timestamp: new Date() }
+      ];
+    }
+  };
+}
+
+module.exports = { createMockProvider };
@@ -0,0 +1,32 @@
+const fs = require('fs/promises');
+
+// Replays posts from a JSON array or JSONL file, handing out `batchSize` posts per poll.
+// Useful for tests and demos: each line is { id?, post, user, timestamp?, location_name?, lat?, lng? }.
+function createReplayProvider({ file, batchSize = 10 }) {
+  let posts = null;
+  let cursor = 0;
+
+  async function load() {
+    const raw = (await fs.readFile(file, 'utf8')).trim();
+    const records = raw.startsWith('[')
+      ? JSON.parse(raw)
+      : raw.split('\n').filter((line) => line.trim()).map((line) => JSON.parse(line));
+
+    return records.map((record, index) => ({ id: `replay-${index + 1}`, ...record }));
+  }
+
+  return {
+    name: 'replay',
+
+    async fetchPosts() {
+      if (!posts) posts = await load();
+
+      const batch = posts.slice(cursor, cursor + batchSize);
+      cursor += batch.length;
+
+      return batch.map((post) => ({ timestamp: new Date(), ...post }));
+    }
+  };
+}
+
+module.exports = { createReplayProvider };
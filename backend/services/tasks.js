@@ -0,0 +1,52 @@
+// Responder task workflow: tasks belong to a disaster and can start from a report or social post
+const { priorityRank } = require('./classifier');
+
+const TASK_STATUSES = ['open', 'in_progress', 'done', 'blocked'];
+
+// Allowed next statuses; blocked and done tasks can be picked up again
+const TASK_TRANSITIONS = {
+  open: ['in_progress', 'blocked'],
+  in_progress: ['done', 'blocked', 'open'],
+  blocked: ['in_progress', 'open'],
+  done: ['in_progress']
+};
+
+const TASK_SOURCES = ['report', 'social_post'];
+
+const DEFAULT_TASK_STATUS = 'open';
+const DEFAULT_TASK_PRIORITY = 'medium';
+
+function canMoveTask(from, to) {
+  return (TASK_TRANSITIONS[from || DEFAULT_TASK_STATUS] || []).includes(to);
+}
+
+// Most urgent first, then the earliest due (tasks without a due time last), then the oldest
+function compareTasks(a, b) {
+  const due = (task) => (task.due_at ? new Date(task.due_at).getTime() : Infinity);
+  return priorityRank(a.priority) - priorityRank(b.priority) ||
+    due(a) - due(b) ||
+    new Date(a.created_at) - new Date(b.created_at);
+}
+
+// Title, priority and location a task inherits from the report or post it was created from
+function taskDefaultsFrom(source) {
+  const text = (source.content || source.post || '').trim();
+  return {
+    title: text.length > 80 ? `${text.slice(0, 77)}...` : text,
+    description: text,
+    priority: source.priority || DEFAULT_TASK_PRIORITY,
+    location_name: source.location_name || null,
+    location: source.location || null
+  };
+}
+
+module.exports = {
+  TASK_STATUSES,
+  TASK_TRANSITIONS,
+  TASK_SOURCES,
+  DEFAULT_TASK_STATUS,
+  DEFAULT_TASK_PRIORITY,
+  canMoveTask,
+  compareTasks,
+  taskDefaultsFrom
+};
@@ -0,0 +1,88 @@
+// Sign-in accounts. Passwords are never stored: each account keeps an scrypt hash in the form
+// `scrypt$<salt hex>$<key hex>`, made with `npm run hash-password -- <password>`.
+const crypto = require('crypto');
+const fs = require('fs');
+
+const ROLES = ['admin', 'contributor'];
+const KEY_LENGTH = 64;
+
+// The demo accounts of local runs, given fresh random passwords on every start
+const DEVELOPMENT_ACCOUNTS = { netrunnerX: 'admin', reliefAdmin: 'admin', citizen1: 'contributor' };
+
+function hashPassword(password, salt = crypto.randomBytes(16)) {
+  const key = crypto.scryptSync(String(password), salt, KEY_LENGTH);
+  return `scrypt$${salt.toString('hex')}$${key.toString('hex')}`;
+}
+
+function verifyPassword(password, passwordHash) {
+  const [scheme, salt, key] = String(passwordHash).split('$');
+  if (scheme !== 'scrypt' || !salt || !key) return false;
+
+  const expected = Buffer.from(key, 'hex');
+  const given = crypto.scryptSync(String(password), Buffer.from(salt, 'hex'), expected.length);
+  return expected.length === KEY_LENGTH && crypto.timingSafeEqual(expected, given);
+}
+
+// { username: { role, password_hash } } -> { username: { id, role, password_hash } }
+function parseUsers(accounts, origin) {
+  if (!accounts || typeof accounts !== 'object' || Array.isArray(accounts)) {
+    throw new Error(`${origin} must be a JSON object of { "<username>": { "role", "password_hash" } }`);
+  }
+  return Object.fromEntries(Object.entries(accounts).map(([id, account]) => {
+    if (!ROLES.includes(account?.role) || !String(account.password_hash || '').startsWith('scrypt$')) {
+      throw new Error(`User ${id} in ${origin} needs a role (${ROLES.join(', ')}) and an scrypt password_hash`);
+    }
+    return [id, { id, role: account.role, password_hash: account.password_hash }];
+  }));
+}
+
+// Accounts from AUTH_USERS (JSON) or the file named by AUTH_USERS_FILE; null when neither is set
+function loadUsers({ json = process.env.AUTH_USERS, file = process.env.AUTH_USERS_FILE } = {}) {
+  if (json) return parseUsers(JSON.parse(json), 'AUTH_USERS');
+  if (file) return parseUsers(JSON.parse(fs.readFileSync(file, 'utf8')), file);
+  return null;
+}
+
+// -> { users, passwords }: the demo accounts with random passwords, to print for whoever started the server
+function developmentUsers() {
+  const passwords = {};
+  const users = Object.fromEntries(Object.entries(DEVELOPMENT_ACCOUNTS).map(([id, role]) => {
+    passwords[id] = crypto.randomBytes(9).toString('base64url');
+    return [id, { id, role, password_hash: hashPassword(passwords[id]) }];
+  }));
+  return { users, passwords };
+}
+
+function createUserDirectory(users) {
+  // Unknown usernames are checked against a throwaway hash, so they take as long to refuse
+  const decoy = hashPassword(crypto.randomBytes(16));
+
+  return {
+    // -> { id, role } for valid credentials, else null
+    authenticate(username, password) {
+      const user = Object.hasOwn(users, username) ? users[username] : null;
+      const valid = verifyPassword(password, user ? user.password_hash : decoy);
+      return user && valid ? { id: user.id, role: user.role } : null;
+    },
+
+    get(id) {
+      const user = Object.hasOwn(users, id) ? users[id] : null;
+      return user ? { id: user.id, role: user.role } : null;
+    },
+
+    list() {
+      return Object.values(users).map(({ id, role }) => ({ id, role }));
+    }
+  };
+}
+
+if (require.main === module) {
+  const password = process.argv[2];
+  if (!password) {
+    console.error('Usage: npm run hash-password -- <password>');
+    process.exit(1);
+  }
+  console.log(hashPassword(password));
+}
+
+module.exports = { ROLES, hashPassword, verifyPassword, loadUsers, developmentUsers, createUserDirectory };
@@ -0,0 +1,79 @@
+const { createSupabaseStorage } = require('./supabase');
+const { createMemoryStorage } = require('./memory');
+const { parsePoint } = require('../utils/geo');
+
+// Repository interface shared by every adapter:
+//   disasters: list({ tag, statuses, severities, includeDeleted }), search(filters) -> { data, next_cursor },
+//              findNearby?({ lat, lng, radius }), get(id), create(record), update(id, changes)
+//   reports:   listByDisaster(disasterId), search(disasterId | null, filters) -> { data, next_cursor },
+//              get(id), findByIdempotencyKey(userId, key), create(record) -> throws code 23505 for a
+//              duplicate (user_id, idempotency_key), update(id, changes),
+//              moderate(id, changes) -> the updated row, or null when the report already has a moderation,
+//              listImageHashes() -> [{ id, disaster_id, image_url, image_hash }]
+//   resources: get(id), listByDisaster(disasterId, { includeDeleted }),
+//              findNearby?(disasterId, { lat, lng, radius }, { includeDeleted }), create(record),
+//              update(disasterId, id, changes)
+//   tasks:     get(id), listByDisaster(disasterId), create(record), update(disasterId, id, changes)
+//   matches:   listByDisaster(disasterId), create(record) -> throws code 23505 for a duplicate
+//              (source_type, source_id, resource_id)
+//   socialPosts, officialUpdates:
+//              listByDisaster(disasterId), createMany(records) -> newly inserted rows
+//   socialPosts also has get(id)
+//   contributors:
+//              get(userId), list() -> lowest trust first, modify(userId, change) -> the stored record,
+//              where change(current | null) returns the new record; atomic against concurrent modify calls
+//   subscriptions:
+//              get(id), list({ ownerId }) -> newest first, create(record), update(id, changes), remove(id)
+//   alertDeliveries:
+//              get(id), list({ status, limit }) -> newest first, create(record), update(id, changes)
+//   cache:     get(key) -> { value, expires_at } | null, set(key, value, expiresAt),
+//              remove(key), removeByPrefix(prefix)
+// findNearby? is an optional spatial-index query; without it services/proximity.js scans instead.
+// Search filters and sort orders are described in services/search.js.
+// Deletes are soft: rows get a `deleted_at` marker, list queries skip them unless asked to
+// include them (`includeDeleted`) and get() still returns them so history and restore keep working.
+// Every method returns a promise and throws on storage errors. Rows with a `location`
+// column come back with a derived `coordinates: { lat, lng } | null` field.
+
+const adapters = {
+  supabase: () => createSupabaseStorage({
+    url: process.env.SUPABASE_URL,
+    key: process.env.SUPABASE_ANON_KEY
+  }),
+  memory: () => createMemoryStorage()
+};
+
+// Stored points are WKT or hex EWKB depending on the adapter; clients get plain lat/lng
+function addCoordinates(result) {
+  if (Array.isArray(result)) return result.map(addCoordinates);
+  if (result && Array.isArray(result.data) && 'next_cursor' in result) {
+    return { ...result, data: addCoordinates(result.data) };
+  }
+  if (result && typeof result === 'object' && 'location' in result) {
+    return { ...result, coordinates: parsePoint(result.location) };
+  }
+  return result;
+}
+
+function withCoordinates(repository) {
+  return Object.fromEntries(Object.entries(repository).map(([method, fn]) => [
+    method,
+    async (...args) => addCoordinates(await fn(...args))
+  ]));
+}
+
+// Picks the adapter named by STORAGE_ADAPTER (defaults to supabase)
+function createStorage(name = process.env.STORAGE_ADAPTER || 'supabase') {
+  const adapter = adapters[name];
+  if (!adapter) {
+    throw new Error(`Unknown STORAGE_ADAPTER "${name}" (expected one of: ${Object.keys(adapters).join(', ')})`);
+  }
+
+  const storage = adapter();
+  for (const table of ['disasters', 'reports', 'resources', 'tasks', 'socialPosts']) {
+    storage[table] = withCoordinates(storage[table]);
+  }
+  return storage;
+}
+
+module.exports = { createStorage };
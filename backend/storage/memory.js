@@ -0,0 +1,362 @@
+const crypto = require('crypto');
+const { compareRows, isAfterCursor, toPage } = require('../utils/pagination');
+const {
+  DISASTER_SORTS, REPORT_SORTS, matchesDisaster, matchesReport, locate
+} = require('../services/search');
+
+// Rows are serialized on the way in and out, like they would be over the wire
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+// Mirrors the PostgREST error returned by `.single()` when no row matches
+function notFound(table, id) {
+  const error = new Error(`No ${table} row with id ${id}`);
+  error.code = 'PGRST116';
+  return error;
+}
+
+const newestFirst = (a, b) => new Date(b.created_at) - new Date(a.created_at);
+const notDeleted = (row) => !row.deleted_at;
+
+// Sorts matching rows and returns the page after `filters.cursor`
+function searchPage(rows, sorts, filters) {
+  const keys = sorts[filters.sort];
+  const after = filters.cursor
+    ? rows.filter((row) => isAfterCursor(row, keys, filters.cursor.values))
+    : rows;
+  const sorted = after.sort(compareRows(keys)).slice(0, filters.limit + 1);
+  return toPage(sorted.map(clone), { sort: filters.sort, keys, limit: filters.limit });
+}
+
+// In-process storage for offline development and tests. It has no spatial index, so
+// proximity searches use the geodesic scan in services/proximity.js
+function createMemoryStorage() {
+  const tables = {
+    disasters: new Map(),
+    reports: new Map(),
+    resources: new Map(),
+    tasks: new Map(),
+    resource_matches: new Map(),
+    social_posts: new Map(),
+    official_updates: new Map(),
+    contributors: new Map(),
+    subscriptions: new Map(),
+    alert_deliveries: new Map(),
+    cache: new Map()
+  };
+
+  function insert(table, record) {
+    const row = { id: crypto.randomUUID(), created_at: new Date().toISOString(), ...clone(record) };
+    tables[table].set(row.id, row);
+    return clone(row);
+  }
+
+  function patch(table, row, changes) {
+    Object.assign(row, clone(changes));
+    return clone(row);
+  }
+
+  const disasters = {
+    async list({ tag, statuses, severities, includeDeleted = false } = {}) {
+      return [...tables.disasters.values()]
+        .filter((disaster) => includeDeleted || notDeleted(disaster))
+        .filter((disaster) => !tag || (disaster.tags || []).includes(tag))
+        .filter((disaster) => !statuses?.length || statuses.includes(disaster.status))
+        .filter((disaster) => !severities?.length || severities.includes(disaster.severity))
+        .sort(newestFirst)
+        .map(clone);
+    },
+
+    async search(filters) {
+      const rows = [...tables.disasters.values()]
+        .filter((disaster) => (filters.includeDeleted || notDeleted(disaster)) && matchesDisaster(disaster, filters))
+        .map((disaster) => locate(disaster, filters))
+        .filter(Boolean);
+      return searchPage(rows, DISASTER_SORTS, filters);
+    },
+
+    async get(id) {
+      const row = tables.disasters.get(id);
+      return row ? clone(row) : null;
+    },
+
+    async create(record) {
+      return insert('disasters', record);
+    },
+
+    async update(id, changes) {
+      const row = tables.disasters.get(id);
+      if (!row) throw notFound('disasters', id);
+      return patch('disasters', row, changes);
+    }
+  };
+
+  const reports = {
+    async listByDisaster(disasterId) {
+      return [...tables.reports.values()]
+        .filter((report) => report.disaster_id === disasterId && notDeleted(report))
+        .sort(newestFirst)
+        .map(clone);
+    },
+
+    async search(disasterId, filters) {
+      const rows = [...tables.reports.values()]
+        .filter((report) => (!disasterId || report.disaster_id === disasterId) && (filters.includeDeleted || notDeleted(report)))
+        .filter((report) => matchesReport(report, filters))
+        .map((report) => locate(report, filters))
+        .filter(Boolean);
+      return searchPage(rows, REPORT_SORTS, filters);
+    },
+
+    async get(id) {
+      const row = tables.reports.get(id);
+      return row ? clone(row) : null;
+    },
+
+    async findByIdempotencyKey(userId, key) {
+      const row = [...tables.reports.values()]
+        .find((report) => report.user_id === userId && report.idempotency_key === key);
+      return row ? clone(row) : null;
+    },
+
+    // Mirrors the unique (user_id, idempotency_key) constraint
+    async create(record) {
+      if (record.idempotency_key && await reports.findByIdempotencyKey(record.user_id, record.idempotency_key)) {
+        const error = new Error('duplicate key value violates unique constraint "reports_user_idempotency_key"');
+        error.code = '23505';
+        throw error;
+      }
+      return insert('reports', record);
+    },
+
+    async update(id, changes) {
+      const row = tables.reports.get(id);
+      if (!row) throw notFound('reports', id);
+      return patch('reports', row, changes);
+    },
+
+    async moderate(id, changes) {
+      const row = tables.reports.get(id);
+      if (!row) throw notFound('reports', id);
+      return row.moderation ? null : patch('reports', row, changes);
+    },
+
+    async listImageHashes() {
+      return [...tables.reports.values()]
+        .filter((report) => report.image_hash)
+        .map(({ id, disaster_id, image_url, image_hash }) => ({ id, disaster_id, image_url, image_hash }));
+    }
+  };
+
+  const resources = {
+    async get(id) {
+      const row = tables.resources.get(id);
+      return row ? clone(row) : null;
+    },
+
+    async listByDisaster(disasterId, { includeDeleted = false } = {}) {
+      return [...tables.resources.values()]
+        .filter((resource) => resource.disaster_id === disasterId && (includeDeleted || notDeleted(resource)))
+        .map(clone);
+    },
+
+    async create(record) {
+      return insert('resources', record);
+    },
+
+    async update(disasterId, id, changes) {
+      const row = tables.resources.get(id);
+      if (!row || row.disaster_id !== disasterId) throw notFound('resources', id);
+      return patch('resources', row, changes);
+    }
+  };
+
+  const tasks = {
+    async get(id) {
+      const row = tables.tasks.get(id);
+      return row ? clone(row) : null;
+    },
+
+    async listByDisaster(disasterId) {
+      return [...tables.tasks.values()]
+        .filter((task) => task.disaster_id === disasterId && notDeleted(task))
+        .map(clone);
+    },
+
+    async create(record) {
+      return insert('tasks', record);
+    },
+
+    async update(disasterId, id, changes) {
+      const row = tables.tasks.get(id);
+      if (!row || row.disaster_id !== disasterId) throw notFound('tasks', id);
+      return patch('tasks', row, changes);
+    }
+  };
+
+  const matches = {
+    async listByDisaster(disasterId) {
+      return [...tables.resource_matches.values()]
+        .filter((match) => match.disaster_id === disasterId)
+        .sort(newestFirst)
+        .map(clone);
+    },
+
+    // Mirrors the unique (source_type, source_id, resource_id) constraint
+    async create(record) {
+      const duplicate = [...tables.resource_matches.values()].some((match) =>
+        match.source_type === record.source_type && match.source_id === record.source_id && match.resource_id === record.resource_id);
+      if (duplicate) {
+        const error = new Error('duplicate key value violates unique constraint "resource_matches_source_resource_key"');
+        error.code = '23505';
+        throw error;
+      }
+      return insert('resource_matches', record);
+    }
+  };
+
+  // Inserts rows whose (disaster_id, external_id) is not taken yet and returns only those
+  function insertNew(table, records) {
+    const existing = new Set([...tables[table].values()]
+      .map((row) => `${row.disaster_id}|${row.external_id}`));
+
+    return records
+      .filter((record) => !existing.has(`${record.disaster_id}|${record.external_id}`))
+      .map((record) => {
+        existing.add(`${record.disaster_id}|${record.external_id}`);
+        return insert(table, record);
+      });
+  }
+
+  const newestTimestampFirst = (a, b) => new Date(b.timestamp || 0) - new Date(a.timestamp || 0);
+
+  const socialPosts = {
+    async get(id) {
+      const row = tables.social_posts.get(id);
+      return row ? clone(row) : null;
+    },
+
+    async listByDisaster(disasterId) {
+      return [...tables.social_posts.values()]
+        .filter((post) => post.disaster_id === disasterId)
+        .sort(newestTimestampFirst)
+        .map(clone);
+    },
+
+    async createMany(records) {
+      return insertNew('social_posts', records);
+    }
+  };
+
+  const officialUpdates = {
+    async listByDisaster(disasterId) {
+      return [...tables.official_updates.values()]
+        .filter((update) => update.disaster_id === disasterId)
+        .sort(newestTimestampFirst)
+        .map(clone);
+    },
+
+    async createMany(records) {
+      return insertNew('official_updates', records);
+    }
+  };
+
+  const contributors = {
+    async get(userId) {
+      const row = tables.contributors.get(userId);
+      return row ? clone(row) : null;
+    },
+
+    async list() {
+      return [...tables.contributors.values()]
+        .sort((a, b) => a.trust_score - b.trust_score)
+        .map(clone);
+    },
+
+    // `change(current | null)` returns the record to store; nothing runs in between in one process
+    async modify(userId, change) {
+      const row = tables.contributors.get(userId);
+      const record = change(row ? clone(row) : null);
+      tables.contributors.set(userId, clone(record));
+      return clone(record);
+    }
+  };
+
+  const subscriptions = {
+    async get(id) {
+      const row = tables.subscriptions.get(id);
+      return row ? clone(row) : null;
+    },
+
+    async list({ ownerId } = {}) {
+      return [...tables.subscriptions.values()]
+        .filter((subscription) => !ownerId || subscription.owner_id === ownerId)
+        .sort(newestFirst)
+        .map(clone);
+    },
+
+    async create(record) {
+      return insert('subscriptions', record);
+    },
+
+    async update(id, changes) {
+      const row = tables.subscriptions.get(id);
+      if (!row) throw notFound('subscriptions', id);
+      return patch('subscriptions', row, changes);
+    },
+
+    async remove(id) {
+      tables.subscriptions.delete(id);
+    }
+  };
+
+  const alertDeliveries = {
+    async get(id) {
+      const row = tables.alert_deliveries.get(id);
+      return row ? clone(row) : null;
+    },
+
+    async list({ status, limit = 100 } = {}) {
+      return [...tables.alert_deliveries.values()]
+        .filter((delivery) => !status || delivery.status === status)
+        .sort(newestFirst)
+        .slice(0, limit)
+        .map(clone);
+    },
+
+    async create(record) {
+      return insert('alert_deliveries', record);
+    },
+
+    async update(id, changes) {
+      const row = tables.alert_deliveries.get(id);
+      if (!row) throw notFound('alert_deliveries', id);
+      return patch('alert_deliveries', row, { ...changes, updated_at: new Date().toISOString() });
+    }
+  };
+
+  const cache = {
+    async get(key) {
+      const entry = tables.cache.get(key);
+      return entry ? clone(entry) : null;
+    },
+
+    async set(key, value, expiresAt) {
+      tables.cache.set(key, clone({ value, expires_at: expiresAt }));
+    },
+
+    async remove(key) {
+      tables.cache.delete(key);
+    },
+
+    async removeByPrefix(prefix) {
+      for (const key of [...tables.cache.keys()]) {
+        if (key.startsWith(prefix)) tables.cache.delete(key);
+      }
+    }
+  };
+
+  return { name: 'memory', disasters, reports, resources, tasks, matches, socialPosts, officialUpdates, contributors,
+    subscriptions, alertDeliveries, cache };
+}
+
+module.exports = { createMemoryStorage };
@@ -0,0 +1,435 @@
+const { createClient } = require('@supabase/supabase-js');
+const { boundsAround } = require('../utils/geo');
+const { toPage } = require('../utils/pagination');
+const { DISASTER_SORTS, REPORT_SORTS, locate } = require('../services/search');
+
+// PostgREST `or` filter selecting the rows after a keyset cursor position
+function keysetFilter(keys, values) {
+  const quote = (value) => `"${String(value).replace(/(["\\])/g, '\\$1')}"`;
+  return keys.map((key, index) => {
+    const operator = key.direction === 'desc' ? 'lt' : 'gt';
+    const conditions = [
+      ...keys.slice(0, index).map((previous, i) => `${previous.column}.eq.${quote(values[i])}`),
+      `${key.column}.${operator}.${quote(values[index])}`
+    ];
+    return conditions.length === 1 ? conditions[0] : `and(${conditions.join(',')})`;
+  }).join(',');
+}
+
+// Filters shared by the disaster and report searches. Areas are matched on the generated
+// lat/lng columns; radius searches use the enclosing box here and are narrowed to the circle afterwards.
+function applySearchFilters(query, { q, from, to, bbox, near, includeDeleted }) {
+  if (!includeDeleted) {
+    query = query.is('deleted_at', null);
+  }
+  if (q) {
+    query = query.textSearch('search_vector', q, { type: 'websearch', config: 'english' });
+  }
+  if (from) {
+    query = query.gte('created_at', from);
+  }
+  if (to) {
+    query = query.lte('created_at', to);
+  }
+  for (const box of [bbox, near && boundsAround(near)].filter(Boolean)) {
+    query = query.gte('lat', box.minLat).lte('lat', box.maxLat).gte('lng', box.minLng).lte('lng', box.maxLng);
+  }
+  return query;
+}
+
+async function fetchPage(query, sorts, filters) {
+  const keys = sorts[filters.sort];
+  if (filters.cursor) {
+    query = query.or(keysetFilter(keys, filters.cursor.values));
+  }
+  for (const key of keys) {
+    query = query.order(key.column, { ascending: key.direction === 'asc' });
+  }
+
+  const { data: rows, error } = await query.limit(filters.limit + 1);
+  if (error) throw error;
+
+  // The page is cut before the radius refinement, so it can hold fewer than `limit` rows
+  const page = toPage(rows, { sort: filters.sort, keys, limit: filters.limit });
+  return { ...page, data: page.data.map((row) => locate(row, filters)).filter(Boolean) };
+}
+
+// Tries of contributors.modify before giving up on a row that keeps changing
+const MAX_CONTRIBUTOR_ATTEMPTS = 5;
+
+// Supabase-backed storage, using PostGIS for proximity search
+function createSupabaseStorage({ url, key }) {
+  const supabase = createClient(url, key);
+
+  // Unwraps a Supabase response, throwing its error if there is one
+  function unwrap({ data, error }) {
+    if (error) throw error;
+    return data;
+  }
+
+  const disasters = {
+    async list({ tag, statuses, severities, includeDeleted = false } = {}) {
+      let query = supabase.from('disasters').select('*');
+
+      if (!includeDeleted) {
+        query = query.is('deleted_at', null);
+      }
+
+      if (tag) {
+        query = query.contains('tags', [tag]);
+      }
+      if (statuses?.length) {
+        query = query.in('status', statuses);
+      }
+      if (severities?.length) {
+        query = query.in('severity', severities);
+      }
+
+      return unwrap(await query.order('created_at', { ascending: false }));
+    },
+
+    async search(filters) {
+      let query = applySearchFilters(supabase.from('disasters').select('*'), filters);
+
+      if (filters.tags?.length) {
+        query = filters.tagMode === 'all'
+          ? query.contains('tags', filters.tags)
+          : query.overlaps('tags', filters.tags);
+      }
+      if (filters.statuses?.length) {
+        query = query.in('status', filters.statuses);
+      }
+      if (filters.severities?.length) {
+        query = query.in('severity', filters.severities);
+      }
+
+      return fetchPage(query, DISASTER_SORTS, filters);
+    },
+
+    async findNearby({ lat, lng, radius }) {
+      return unwrap(await supabase.rpc('get_nearby_disasters', {
+        user_lat: lat,
+        user_lng: lng,
+        radius_meters: radius
+      }));
+    },
+
+    async get(id) {
+      return unwrap(await supabase.from('disasters').select('*').eq('id', id).maybeSingle());
+    },
+
+    async create(record) {
+      return unwrap(await supabase.from('disasters').insert(record).select().single());
+    },
+
+    async update(id, changes) {
+      return unwrap(await supabase.from('disasters').update(changes).eq('id', id).select().single());
+    }
+  };
+
+  const reports = {
+    async listByDisaster(disasterId) {
+      return unwrap(await supabase
+        .from('reports')
+        .select('*')
+        .eq('disaster_id', disasterId)
+        .is('deleted_at', null)
+        .order('created_at', { ascending: false }));
+    },
+
+    async search(disasterId, filters) {
+      let query = applySearchFilters(supabase.from('reports').select('*'), filters);
+
+      if (disasterId) {
+        query = query.eq('disaster_id', disasterId);
+      }
+      if (filters.verificationStatuses?.length) {
+        query = query.in('verification_status', filters.verificationStatuses);
+      }
+
+      if (filters.priorities?.length) {
+        query = query.in('priority', filters.priorities);
+      }
+      if (filters.categories?.length) {
+        query = query.in('need_category', filters.categories);
+      }
+
+      return fetchPage(query, REPORT_SORTS, filters);
+    },
+
+    async get(id) {
+      return unwrap(await supabase.from('reports').select('*').eq('id', id).maybeSingle());
+    },
+
+    async findByIdempotencyKey(userId, key) {
+      return unwrap(await supabase
+        .from('reports')
+        .select('*')
+        .eq('user_id', userId)
+        .eq('idempotency_key', key)
+        .maybeSingle());
+    },
+
+    async create(record) {
+      return unwrap(await supabase.from('reports').insert(record).select().single());
+    },
+
+    async update(id, changes) {
+      return unwrap(await supabase.from('reports').update(changes).eq('id', id).select().single());
+    },
+
+    async moderate(id, changes) {
+      return unwrap(await supabase
+        .from('reports')
+        .update(changes)
+        .eq('id', id)
+        .is('moderation', null)
+        .select()
+        .maybeSingle());
+    },
+
+    async listImageHashes() {
+      return unwrap(await supabase
+        .from('reports')
+        .select('id, disaster_id, image_url, image_hash')
+        .not('image_hash', 'is', null));
+    }
+  };
+
+  const resources = {
+    async get(id) {
+      return unwrap(await supabase.from('resources').select('*').eq('id', id).maybeSingle());
+    },
+
+    async listByDisaster(disasterId, { includeDeleted = false } = {}) {
+      let query = supabase.from('resources').select('*').eq('disaster_id', disasterId);
+      if (!includeDeleted) {
+        query = query.is('deleted_at', null);
+      }
+      return unwrap(await query);
+    },
+
+    async findNearby(disasterId, { lat, lng, radius }, { includeDeleted = false } = {}) {
+      const rows = unwrap(await supabase.rpc('get_nearby_resources', {
+        disaster_id: disasterId,
+        user_lat: lat,
+        user_lng: lng,
+        radius_meters: radius
+      }));
+      return rows.filter((resource) => includeDeleted || !resource.deleted_at);
+    },
+
+    async create(record) {
+      return unwrap(await supabase.from('resources').insert(record).select().single());
+    },
+
+    async update(disasterId, id, changes) {
+      return unwrap(await supabase
+        .from('resources')
+        .update(changes)
+        .eq('id', id)
+        .eq('disaster_id', disasterId)
+        .select()
+        .single());
+    }
+  };
+
+  const tasks = {
+    async get(id) {
+      return unwrap(await supabase.from('tasks').select('*').eq('id', id).maybeSingle());
+    },
+
+    async listByDisaster(disasterId) {
+      return unwrap(await supabase
+        .from('tasks')
+        .select('*')
+        .eq('disaster_id', disasterId)
+        .is('deleted_at', null));
+    },
+
+    async create(record) {
+      return unwrap(await supabase.from('tasks').insert(record).select().single());
+    },
+
+    async update(disasterId, id, changes) {
+      return unwrap(await supabase
+        .from('tasks')
+        .update(changes)
+        .eq('id', id)
+        .eq('disaster_id', disasterId)
+        .select()
+        .single());
+    }
+  };
+
+  const matches = {
+    async listByDisaster(disasterId) {
+      return unwrap(await supabase
+        .from('resource_matches')
+        .select('*')
+        .eq('disaster_id', disasterId)
+        .order('created_at', { ascending: false }));
+    },
+
+    async create(record) {
+      return unwrap(await supabase.from('resource_matches').insert(record).select().single());
+    }
+  };
+
+  const socialPosts = {
+    async get(id) {
+      return unwrap(await supabase.from('social_posts').select('*').eq('id', id).maybeSingle());
+    },
+
+    async listByDisaster(disasterId) {
+      return unwrap(await supabase
+        .from('social_posts')
+        .select('*')
+        .eq('disaster_id', disasterId)
+        .order('timestamp', { ascending: false }));
+    },
+
+    // Rows whose (disaster_id, external_id) already exists are skipped; only new rows are returned
+    async createMany(records) {
+      return unwrap(await supabase
+        .from('social_posts')
+        .upsert(records, { onConflict: 'disaster_id,external_id', ignoreDuplicates: true })
+        .select());
+    }
+  };
+
+  const officialUpdates = {
+    async listByDisaster(disasterId) {
+      return unwrap(await supabase
+        .from('official_updates')
+        .select('*')
+        .eq('disaster_id', disasterId)
+        .order('timestamp', { ascending: false, nullsFirst: false }));
+    },
+
+    // Rows whose (disaster_id, external_id) already exists are skipped; only new rows are returned
+    async createMany(records) {
+      return unwrap(await supabase
+        .from('official_updates')
+        .upsert(records, { onConflict: 'disaster_id,external_id', ignoreDuplicates: true })
+        .select());
+    }
+  };
+
+  const contributors = {
+    async get(userId) {
+      return unwrap(await supabase.from('contributors').select('*').eq('user_id', userId).maybeSingle());
+    },
+
+    async list() {
+      return unwrap(await supabase.from('contributors').select('*').order('trust_score', { ascending: true }));
+    },
+
+    // Compare-and-set on the outcome counts: when another moderation changed them in between,
+    // the change is recomputed from the new row, so no outcome is lost
+    async modify(userId, change) {
+      for (let attempt = 0; attempt < MAX_CONTRIBUTOR_ATTEMPTS; attempt++) {
+        const current = await contributors.get(userId);
+        const record = change(current);
+
+        if (!current) {
+          const { data, error } = await supabase.from('contributors').insert(record).select().single();
+          if (!error) return data;
+          if (error.code !== '23505') throw error;
+          continue;
+        }
+
+        const updated = unwrap(await supabase
+          .from('contributors')
+          .update(record)
+          .eq('user_id', userId)
+          .eq('approved', current.approved)
+          .eq('rejected', current.rejected)
+          .eq('misinformation', current.misinformation)
+          .select()
+          .maybeSingle());
+        if (updated) return updated;
+      }
+      throw new Error(`Contributor ${userId} kept changing during ${MAX_CONTRIBUTOR_ATTEMPTS} attempts to update it`);
+    }
+  };
+
+  const subscriptions = {
+    async get(id) {
+      return unwrap(await supabase.from('subscriptions').select('*').eq('id', id).maybeSingle());
+    },
+
+    async list({ ownerId } = {}) {
+      let query = supabase.from('subscriptions').select('*');
+      if (ownerId) query = query.eq('owner_id', ownerId);
+      return unwrap(await query.order('created_at', { ascending: false }));
+    },
+
+    async create(record) {
+      return unwrap(await supabase.from('subscriptions').insert(record).select().single());
+    },
+
+    async update(id, changes) {
+      return unwrap(await supabase.from('subscriptions').update(changes).eq('id', id).select().single());
+    },
+
+    async remove(id) {
+      unwrap(await supabase.from('subscriptions').delete().eq('id', id));
+    }
+  };
+
+  const alertDeliveries = {
+    async get(id) {
+      return unwrap(await supabase.from('alert_deliveries').select('*').eq('id', id).maybeSingle());
+    },
+
+    async list({ status, limit = 100 } = {}) {
+      let query = supabase.from('alert_deliveries').select('*');
+      if (status) query = query.eq('status', status);
+      return unwrap(await query.order('created_at', { ascending: false }).limit(limit));
+    },
+
+    async create(record) {
+      return unwrap(await supabase.from('alert_deliveries').insert(record).select().single());
+    },
+
+    async update(id, changes) {
+      return unwrap(await supabase
+        .from('alert_deliveries')
+        .update({ ...changes, updated_at: new Date().toISOString() })
+        .eq('id', id)
+        .select()
+        .single());
+    }
+  };
+
+  const cache = {
+    // Lookup failures are treated as a cache miss
+    async get(key) {
+      const { data } = await supabase
+        .from('cache')
+        .select('value, expires_at')
+        .eq('key', key)
+        .maybeSingle();
+      return data || null;
+    },
+
+    async set(key, value, expiresAt) {
+      await supabase.from('cache').upsert({ key, value, expires_at: expiresAt });
+    },
+
+    async remove(key) {
+      unwrap(await supabase.from('cache').delete().eq('key', key));
+    },
+
+    async removeByPrefix(prefix) {
+      const pattern = `${prefix.replace(/[\\%_]/g, '\\$&')}%`;
+      unwrap(await supabase.from('cache').delete().like('key', pattern));
+    }
+  };
+
+  return { name: 'supabase', disasters, reports, resources, tasks, matches, socialPosts, officialUpdates, contributors,
+    subscriptions, alertDeliveries, cache };
+}
+
+module.exports = { createSupabaseStorage };
@@ -0,0 +1,156 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+const net = require('net');
+const { createWebhookChannel, signPayload } = require('../services/alerts/channels/webhook');
+const { createEmailChannel } = require('../services/alerts/channels/email');
+
+const delivery = {
+  id: 'delivery-1',
+  event_type: 'disaster.created',
+  payload: { type: 'disaster.created', disaster: { title: 'Harbor flood', status: 'active', severity: 'severe', tags: ['flood'], location_name: 'Red Hook' } }
+};
+
+const listen = (server) => new Promise((resolve) => server.listen(0, '127.0.0.1', () => resolve(server.address().port)));
+const close = (server) => new Promise((resolve) => server.close(resolve));
+
+// Records each request with its raw body and answers with `status`
+async function webhookReceiver(status = 204) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ headers: req.headers, body });
+      res.writeHead(status).end();
+    });
+  });
+  const port = await listen(server);
+  return { url: `http://127.0.0.1:${port}/hook`, requests, close: () => close(server) };
+}
+
+// Just enough SMTP to accept mail from nodemailer; recipients in `reject` get a permanent 550
+async function smtpCatcher({ reject = [] } = {}) {
+  const messages = [];
+  const server = net.createServer((socket) => {
+    let buffer = '';
+    let message = null;
+    const reply = (line) => socket.write(`${line}\r\n`);
+    reply('220 catcher ESMTP');
+
+    socket.on('data', (chunk) => {
+      buffer += chunk;
+      let end;
+      while ((end = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+
+        if (message?.reading) {
+          if (line === '.') {
+            message.reading = false;
+            messages.push({ to: message.to, data: message.lines.join('\n') });
+            reply('250 Queued');
+          } else {
+            message.lines.push(line);
+          }
+          continue;
+        }
+
+        const command = line.slice(0, 4).toUpperCase();
+        if (command === 'EHLO' || command === 'HELO') reply('250 catcher');
+        else if (command === 'MAIL') {
+          message = { to: [], lines: [] };
+          reply('250 OK');
+        } else if (command === 'RCPT') {
+          const to = line.match(/<(.*)>/)[1];
+          if (reject.includes(to)) {
+            reply('550 No such mailbox');
+          } else {
+            message.to.push(to);
+            reply('250 OK');
+          }
+        } else if (command === 'DATA') {
+          message.reading = true;
+          reply('354 End data with <CR><LF>.<CR><LF>');
+        } else if (command === 'QUIT') {
+          reply('221 Bye');
+          socket.end();
+        } else reply('250 OK');
+      }
+    });
+  });
+  const port = await listen(server);
+  return { port, messages, close: () => close(server) };
+}
+
+test('webhooks are posted with a signature the receiver can verify', async () => {
+  const receiver = await webhookReceiver();
+  const secret = crypto.randomBytes(32).toString('hex');
+  const channel = createWebhookChannel({ allowPrivateHosts: true });
+
+  try {
+    await channel.send({ webhook_url: receiver.url, webhook_secret: secret }, delivery);
+  } finally {
+    await receiver.close();
+  }
+
+  const [{ headers, body }] = receiver.requests;
+  assert.equal(headers['x-drp-event'], 'disaster.created');
+  assert.equal(headers['x-drp-delivery'], 'delivery-1');
+  assert.deepEqual(JSON.parse(body), delivery.payload);
+
+  const { t, v1 } = Object.fromEntries(headers['x-drp-signature'].split(',').map((part) => part.split('=')));
+  const expected = crypto.createHmac('sha256', secret).update(`${t}.${body}`).digest('hex');
+  assert.ok(crypto.timingSafeEqual(Buffer.from(v1), Buffer.from(expected)));
+  assert.ok(Math.abs(Date.now() / 1000 - Number(t)) < 60);
+  assert.notEqual(signPayload('other-secret', t, body), headers['x-drp-signature']);
+});
+
+test('webhook answers decide whether a failed delivery is retried', async () => {
+  const channel = createWebhookChannel({ allowPrivateHosts: true });
+  for (const [status, retryable] of [[404, false], [429, true], [503, true]]) {
+    const receiver = await webhookReceiver(status);
+    try {
+      await assert.rejects(channel.send({ webhook_url: receiver.url, webhook_secret: 's' }, delivery), (error) => error.retryable === retryable);
+    } finally {
+      await receiver.close();
+    }
+  }
+});
+
+test('webhooks to internal hosts are refused without a retry', async () => {
+  const receiver = await webhookReceiver();
+  try {
+    await assert.rejects(
+      createWebhookChannel().send({ webhook_url: receiver.url, webhook_secret: 's' }, delivery),
+      (error) => error.retryable === false && /public host/.test(error.message)
+    );
+  } finally {
+    await receiver.close();
+  }
+  assert.equal(receiver.requests.length, 0);
+});
+
+test('alert emails go only to confirmed addresses, through SMTP', async () => {
+  const catcher = await smtpCatcher({ reject: ['gone@example.org'] });
+  const channel = createEmailChannel({ host: '127.0.0.1', port: catcher.port, from: 'alerts@example.org' });
+
+  try {
+    assert.equal(channel.accepts({ email: 'ops@example.org', email_confirmed: false }), false);
+    assert.equal(channel.accepts({ email: 'ops@example.org', email_confirmed: true }), true);
+
+    await channel.sendConfirmation({ email: 'ops@example.org', name: 'Harbor' }, 'http://api.example.org/subscriptions/s1/confirm?token=abc');
+    await channel.send({ email: 'ops@example.org', email_confirmed: true }, delivery);
+    await assert.rejects(channel.send({ email: 'gone@example.org', email_confirmed: true }, delivery), (error) => error.retryable === false);
+  } finally {
+    await catcher.close();
+  }
+
+  const [confirmation, alert] = catcher.messages;
+  assert.deepEqual(confirmation.to, ['ops@example.org']);
+  assert.match(confirmation.data, /Subject: \[Disaster alert\] Confirm your alert subscription/);
+  assert.match(confirmation.data, /subscriptions\/s1\/confirm\?token=abc/);
+  assert.match(alert.data, /Subject: \[Disaster alert\] New disaster: Harbor flood/);
+  assert.match(alert.data, /Location: Red Hook/);
+});
@@ -0,0 +1,106 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createAlertDispatcher, alertPayload } = require('../services/alerts');
+const { matchesSubscription } = require('../services/alerts/rules');
+const { createMemoryStorage } = require('../storage/memory');
+
+const disaster = {
+  id: 'd1',
+  title: 'Harbor flood',
+  status: 'active',
+  severity: 'severe',
+  tags: ['Flood'],
+  location: 'POINT(-74.0083 40.6734)',
+  location_name: 'Red Hook'
+};
+const event = { type: 'disaster.created', disaster };
+const circle = (radius) => ({ type: 'circle', lat: 40.6782, lng: -73.9442, radius });
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// A channel whose sends fail with `failures` (in order) before succeeding
+function fakeChannel(failures = []) {
+  const channel = {
+    name: 'webhook',
+    sent: [],
+    accepts: (subscription) => Boolean(subscription.webhook_url),
+    async send(subscription, delivery) {
+      const failure = failures.shift();
+      if (failure) throw failure;
+      channel.sent.push(delivery);
+    }
+  };
+  return channel;
+}
+
+const failure = (message, retryable) => Object.assign(new Error(message), { retryable });
+
+async function setup(failures, options) {
+  const storage = createMemoryStorage();
+  const channel = fakeChannel(failures);
+  const subscription = await storage.subscriptions.create({ area: circle(10000), webhook_url: 'https://hooks.example.org', active: true });
+  const alerts = createAlertDispatcher({ storage, channels: [channel], retryBaseMs: 5, ...options });
+  return { storage, channel, subscription, alerts };
+}
+
+test('subscriptions match on area, tags, severity and event type', () => {
+  assert.ok(matchesSubscription({ area: circle(10000) }, event));
+  assert.ok(!matchesSubscription({ area: circle(1000) }, event));
+  assert.ok(matchesSubscription({ area: { type: 'polygon', coordinates: [[-74.1, 40.6], [-73.9, 40.6], [-73.9, 40.8], [-74.1, 40.8]] } }, event));
+  assert.ok(matchesSubscription({ tags: ['flood'] }, event));
+  assert.ok(!matchesSubscription({ tags: ['fire'] }, event));
+  assert.ok(matchesSubscription({ min_severity: 'severe' }, event));
+  assert.ok(!matchesSubscription({ min_severity: 'catastrophic' }, event));
+  assert.ok(!matchesSubscription({ events: ['report.critical'] }, event));
+  assert.ok(!matchesSubscription({ active: false }, event));
+});
+
+test('a critical report is located at the report rather than the disaster', () => {
+  const report = { id: 'r1', content: 'Trapped', priority: 'critical', location: 'POINT(-118.7798 34.0259)' };
+  assert.ok(!matchesSubscription({ area: circle(10000) }, { type: 'report.critical', disaster, report }));
+  assert.deepEqual(alertPayload({ type: 'report.critical', disaster, report }).coordinates, { lat: 34.0259, lng: -118.7798 });
+});
+
+test('a matching event is delivered and logged', async () => {
+  const { storage, channel, alerts } = await setup();
+  const [delivery] = await alerts.publish(event);
+
+  assert.equal(delivery.status, 'delivered');
+  assert.equal(delivery.attempts, 1);
+  assert.equal(channel.sent[0].payload.disaster.title, 'Harbor flood');
+  assert.equal((await storage.alertDeliveries.list()).length, 1);
+});
+
+test('failed deliveries are retried with backoff until they succeed', async () => {
+  const { storage, alerts } = await setup([failure('timeout', true)]);
+  const [delivery] = await alerts.publish(event);
+  assert.equal(delivery.status, 'pending');
+  assert.equal(delivery.last_error, 'timeout');
+
+  await sleep(50);
+  const retried = await storage.alertDeliveries.get(delivery.id);
+  assert.equal(retried.status, 'delivered');
+  assert.equal(retried.attempts, 2);
+});
+
+test('deliveries are dead-lettered after the last attempt or a permanent failure, and can be replayed', async () => {
+  const exhausted = await setup([failure('down', true), failure('down', true)], { maxAttempts: 2 });
+  const [delivery] = await exhausted.alerts.publish(event);
+  await sleep(50);
+  assert.equal((await exhausted.storage.alertDeliveries.get(delivery.id)).status, 'dead_letter');
+
+  const permanent = await setup([failure('HTTP 404', false)]);
+  const [rejected] = await permanent.alerts.publish(event);
+  assert.equal(rejected.status, 'dead_letter');
+  assert.equal(rejected.attempts, 1);
+
+  const replayed = await permanent.alerts.retry(rejected);
+  assert.equal(replayed.status, 'delivered');
+  assert.equal(replayed.attempts, 1);
+});
+
+test('non-matching events create no deliveries', async () => {
+  const { storage, alerts } = await setup();
+  assert.deepEqual(await alerts.publish({ ...event, disaster: { ...disaster, location: 'POINT(-118.7798 34.0259)' } }), []);
+  assert.deepEqual(await storage.alertDeliveries.list(), []);
+});
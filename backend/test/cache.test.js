@@ -0,0 +1,83 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createCache } = require('../services/cache');
+const { createMemoryStorage } = require('../storage/memory');
+
+const newCache = (options) => {
+  const store = createMemoryStorage().cache;
+  return { store, cache: createCache(store, options) };
+};
+
+test('wrap runs the producer once and serves later calls from memory', async () => {
+  const { cache } = newCache();
+  let calls = 0;
+  const producer = async () => ({ value: ++calls });
+
+  assert.deepEqual(await cache.wrap('geocode_search_x', producer), { value: 1 });
+  assert.deepEqual(await cache.wrap('geocode_search_x', producer), { value: 1 });
+  assert.equal(calls, 1);
+  assert.equal(cache.stats().hits, 1);
+});
+
+test('concurrent lookups of one key share a single producer call', async () => {
+  const { cache } = newCache();
+  let calls = 0;
+  const producer = () => new Promise((resolve) => setTimeout(() => resolve(++calls), 10));
+
+  const results = await Promise.all([cache.wrap('k', producer), cache.wrap('k', producer), cache.wrap('k', producer)]);
+  assert.deepEqual(results, [1, 1, 1]);
+  assert.equal(calls, 1);
+  assert.equal(cache.stats().coalesced, 2);
+});
+
+test('null results are not cached', async () => {
+  const { cache } = newCache();
+  let calls = 0;
+  await cache.wrap('missing', async () => { calls++; return null; });
+  await cache.wrap('missing', async () => { calls++; return null; });
+  assert.equal(calls, 2);
+});
+
+test('the least recently used entry is evicted and then read back from the persistent tier', async () => {
+  const { cache } = newCache({ maxEntries: 2 });
+  await cache.set('a', 1);
+  await cache.set('b', 2);
+  await cache.get('a');
+  await cache.set('c', 3);
+
+  assert.deepEqual(cache.entries().map((entry) => entry.key), ['a', 'c']);
+  assert.equal(cache.stats().evictions, 1);
+
+  assert.equal(await cache.get('b'), 2);
+  assert.equal(cache.stats().persistentHits, 1);
+});
+
+test('expired entries are misses in both tiers', async () => {
+  const { cache } = newCache();
+  await cache.set('short', 'value', -1);
+  assert.equal(await cache.get('short'), null);
+  assert.equal(cache.stats().misses, 1);
+});
+
+test('TTLs come from the longest matching namespace prefix', async () => {
+  const { store, cache } = newCache({ ttls: { geocode_: 10, geocode_reverse_: 1 }, defaultTtl: 5 });
+  const minutesLeft = async (key) => Math.round((new Date((await store.get(key)).expires_at) - Date.now()) / 60000);
+
+  await cache.set('geocode_search_x', 1);
+  await cache.set('geocode_reverse_x', 1);
+  await cache.set('other', 1);
+  assert.equal(await minutesLeft('geocode_search_x'), 10);
+  assert.equal(await minutesLeft('geocode_reverse_x'), 1);
+  assert.equal(await minutesLeft('other'), 5);
+});
+
+test('invalidating a namespace clears it from both tiers', async () => {
+  const { store, cache } = newCache();
+  await cache.set('geocode_search_a', 1);
+  await cache.set('classify_a', 2);
+
+  await cache.invalidateNamespace('geocode_');
+  assert.equal(await cache.get('geocode_search_a'), null);
+  assert.equal(await store.get('geocode_search_a'), null);
+  assert.equal(await cache.get('classify_a'), 2);
+});
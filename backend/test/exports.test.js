@@ -0,0 +1,82 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { createExport, EXPORT_FIELDS } = require('../services/exports');
+const { createStorage } = require('../storage');
+const { auditEntry } = require('../services/audit');
+
+let storage;
+let disaster;
+
+before(async () => {
+  storage = createStorage('memory');
+  disaster = await storage.disasters.create({
+    title: 'Harbor flood',
+    description: 'Water, rising',
+    location_name: 'Red Hook',
+    location: 'POINT(-74.0083 40.6734)',
+    tags: ['flood', 'urgent'],
+    status: 'active',
+    severity: 'severe',
+    audit_trail: [auditEntry('create', 'netrunnerX')]
+  });
+  await storage.reports.create({ disaster_id: disaster.id, content: '=HYPERLINK("x")', priority: 'high', audit_trail: [] });
+  await storage.resources.create({ disaster_id: disaster.id, name: 'Shelter', type: 'shelter', location: null, audit_trail: [] });
+});
+
+const read = async (options) => {
+  const { stream, ...meta } = createExport({ storage, include: ['reports', 'resources'], sender: 'alerts@example.org', ...options });
+  let text = '';
+  for await (const chunk of stream) text += chunk;
+  return { ...meta, text };
+};
+
+test('CSV exports one escaped row per record under the shared header', async () => {
+  const { text, contentType, filename } = await read({ format: 'csv', disaster });
+  const lines = text.trim().split('\r\n');
+
+  assert.equal(contentType, 'text/csv; charset=utf-8');
+  assert.equal(filename, `disaster-${disaster.id}.csv`);
+  assert.equal(lines[0], EXPORT_FIELDS.join(','));
+  assert.equal(lines.length, 4);
+  assert.ok(lines[1].includes('"Water, rising"'));
+  assert.ok(lines[1].includes('flood;urgent'));
+  assert.ok(lines[2].includes(`"'=HYPERLINK(""x"")"`));
+});
+
+test('GeoJSON exports points, null geometries and the audit trail', async () => {
+  const { text } = await read({ format: 'geojson', disaster });
+  const collection = JSON.parse(text);
+
+  assert.equal(collection.type, 'FeatureCollection');
+  assert.deepEqual(collection.features.map((feature) => feature.properties.kind), ['disaster', 'report', 'resource']);
+  assert.deepEqual(collection.features[0].geometry, { type: 'Point', coordinates: [-74.0083, 40.6734] });
+  assert.equal(collection.features[2].geometry, null);
+  assert.equal(collection.features[0].properties.created_by, 'netrunnerX');
+  assert.equal(collection.features[0].properties.audit_trail.length, 1);
+});
+
+test('a filtered export only includes what was asked for', async () => {
+  const { text } = await read({ format: 'geojson', include: [], filters: { tags: ['flood'], sort: 'newest' } });
+  assert.deepEqual(JSON.parse(text).features.map((feature) => feature.id), [disaster.id]);
+
+  const none = await read({ format: 'geojson', include: [], filters: { tags: ['fire'], sort: 'newest' } });
+  assert.deepEqual(JSON.parse(none.text).features, []);
+});
+
+test('KML writes a placemark per located record', async () => {
+  const { text } = await read({ format: 'kml', disaster });
+  assert.match(text, /<Placemark[^>]*>[\s\S]*<name>Harbor flood<\/name>/);
+  assert.match(text, /<coordinates>-74.0083,40.6734<\/coordinates>/);
+});
+
+test('CAP exports one alert for a disaster and a feed for a set', async () => {
+  const single = await read({ format: 'cap', disaster });
+  assert.match(single.text, /<alert xmlns="urn:oasis:names:tc:emergency:cap:1.2">/);
+  assert.match(single.text, /<sender>alerts@example.org<\/sender>/);
+  assert.match(single.text, /<severity>Severe<\/severity>/);
+  assert.doesNotMatch(single.text, /HYPERLINK/);
+
+  const feed = await read({ format: 'cap', include: [], filters: { sort: 'newest' } });
+  assert.match(feed.text, /<feed xmlns="http:\/\/www.w3.org\/2005\/Atom"/);
+  assert.equal(feed.text.match(/<entry>/g).length, 1);
+});
@@ -0,0 +1,96 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createGeocoder, createGeocodingProviders } = require('../services/geocoding');
+const { makeCandidate } = require('../services/geocoding/candidates');
+const { createCache } = require('../services/cache');
+const { createMemoryStorage } = require('../storage/memory');
+const { createRateLimiter } = require('../utils/rateLimiter');
+
+const newCache = () => createCache(createMemoryStorage().cache);
+
+// A provider answering from a fixed list and counting its calls
+function fakeProvider(name, answer) {
+  const provider = {
+    name,
+    calls: 0,
+    async search() {
+      provider.calls++;
+      if (answer instanceof Error) throw answer;
+      return answer.map((candidate) => makeCandidate({ ...candidate, provider: name }));
+    },
+    async reverse() {
+      return provider.search();
+    }
+  };
+  return provider;
+}
+
+const place = (name, confidence) => ({ name, lat: 40.7, lng: -74, confidence });
+
+test('the first provider with a result answers, best candidate first', async () => {
+  const empty = fakeProvider('empty', []);
+  const found = fakeProvider('found', [place('Weak', 0.3), place('Strong', 0.9)]);
+  const never = fakeProvider('never', [place('Unused', 1)]);
+  const geocoder = createGeocoder({ providers: [empty, found, never], cache: newCache() });
+
+  const result = await geocoder.geocode('somewhere');
+  assert.equal(result.provider, 'found');
+  assert.deepEqual(result.candidates.map((candidate) => candidate.name), ['Strong', 'Weak']);
+  assert.equal(never.calls, 0);
+});
+
+test('a failing provider is skipped', async () => {
+  const failing = fakeProvider('failing', new Error('network down'));
+  const backup = fakeProvider('backup', [place('Backup', 0.5)]);
+  const geocoder = createGeocoder({ providers: [failing, backup], cache: newCache() });
+
+  assert.deepEqual(await geocoder.lookup('somewhere'), { lat: 40.7, lng: -74 });
+});
+
+test('found places are cached and missing ones looked up again', async () => {
+  const provider = fakeProvider('only', [place('Cached', 0.8)]);
+  const geocoder = createGeocoder({ providers: [provider], cache: newCache() });
+  await geocoder.geocode('Somewhere');
+  await geocoder.geocode('  somewhere ');
+  assert.equal(provider.calls, 1);
+
+  const nothing = fakeProvider('nothing', []);
+  const empty = createGeocoder({ providers: [nothing], cache: newCache() });
+  assert.equal(await empty.lookup('nowhere'), null);
+  assert.equal(await empty.lookup('nowhere'), null);
+  assert.equal(nothing.calls, 2);
+});
+
+test('a cache-only lookup answers for places found before without calling a provider', async () => {
+  const provider = fakeProvider('only', [place('Cached', 0.8)]);
+  const geocoder = createGeocoder({ providers: [provider], cache: newCache() });
+
+  assert.equal(await geocoder.cachedLookup('Somewhere'), undefined);
+  await geocoder.lookup('Somewhere');
+  assert.deepEqual(await geocoder.cachedLookup('somewhere '), { lat: 40.7, lng: -74 });
+  assert.equal(provider.calls, 1);
+});
+
+test('the gazetteer resolves places offline, with the region narrowing the match', async () => {
+  const geocoder = createGeocoder({ providers: createGeocodingProviders('gazetteer'), cache: newCache() });
+
+  assert.deepEqual(await geocoder.lookup('Red Hook, Brooklyn'), { lat: 40.6734, lng: -74.0083 });
+  const { candidates } = await geocoder.reverse({ lat: 40.7831, lng: -73.9712 });
+  assert.equal(candidates[0].name, 'Manhattan');
+});
+
+test('unknown provider names are refused', () => {
+  assert.throws(() => createGeocodingProviders('gazetteer,carrier-pigeon'), /Unknown geocoding provider "carrier-pigeon"/);
+});
+
+test('the rate limiter spaces task starts and rejects once its queue is full', async () => {
+  const limiter = createRateLimiter({ intervalMs: 30, maxQueue: 1 });
+  const starts = [];
+  const task = () => starts.push(Date.now());
+
+  const first = limiter.schedule(task);
+  const second = limiter.schedule(task);
+  await assert.rejects(limiter.schedule(task), (error) => error.code === 'RATE_LIMIT_QUEUE_FULL');
+  await Promise.all([first, second]);
+  assert.ok(starts[1] - starts[0] >= 25);
+});
@@ -0,0 +1,62 @@
+// Runs the API in-process against the memory storage with offline providers only, so the
+// suites need no Supabase project, Gemini key or network. Each test file is its own process
+// under `node --test`, so every file gets a fresh store.
+const path = require('path');
+const { hashPassword } = require('../services/users');
+
+const USERS = {
+  admin: { username: 'netrunnerX', password: 'test-admin-password', role: 'admin' },
+  contributor: { username: 'citizen1', password: 'test-contributor-password', role: 'contributor' },
+  responder: { username: 'citizen2', password: 'test-responder-password', role: 'contributor' }
+};
+
+Object.assign(process.env, {
+  AUTH_USERS: JSON.stringify(Object.fromEntries(Object.values(USERS).map(({ username, password, role }) =>
+    [username, { role, password_hash: hashPassword(password) }]))),
+  STORAGE_ADAPTER: 'memory',
+  GEOCODER_PROVIDERS: 'gazetteer',
+  SOCIAL_MEDIA_PROVIDERS: 'mock',
+  CLASSIFIER_USE_GEMINI: 'false',
+  GEMINI_API_KEY: '',
+  SMTP_HOST: '',
+  OFFICIAL_SOURCES_FILE: path.join(__dirname, '..', 'config', 'official-sources.fixtures.json')
+});
+
+// -> { baseUrl, request, login, close }, where request(path, { method, token, body, headers })
+// resolves to { status, headers, body } with JSON bodies parsed
+async function startServer() {
+  const { server } = require('../server');
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  async function request(path, { method = 'GET', token, body, headers = {} } = {}) {
+    const isText = typeof body === 'string';
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: {
+        ...(body !== undefined && { 'Content-Type': isText ? 'text/plain' : 'application/json' }),
+        ...(token && { Authorization: `Bearer ${token}` }),
+        ...headers
+      },
+      body: body === undefined || isText ? body : JSON.stringify(body)
+    });
+    const text = await response.text();
+    const isJson = (response.headers.get('content-type') || '').includes('json');
+    return { status: response.status, headers: response.headers, body: isJson && text ? JSON.parse(text) : text };
+  }
+
+  async function login(role) {
+    const { username, password } = USERS[role];
+    const { body } = await request('/auth/login', { method: 'POST', body: { username, password } });
+    return body.token;
+  }
+
+  const close = () => new Promise((resolve) => {
+    server.closeAllConnections();
+    server.close(resolve);
+  });
+
+  return { baseUrl, request, login, close };
+}
+
+module.exports = { startServer, USERS };
@@ -0,0 +1,72 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const Jimp = require('jimp');
+const { createImageVerifier, computeDHash } = require('../services/imageVerification');
+const { createCache } = require('../services/cache');
+const { createMemoryStorage } = require('../storage/memory');
+const { assertPublicUrl, isPublicAddress } = require('../utils/network');
+
+// A left-to-right gradient, so the difference hash is not all zeros
+async function gradientPng() {
+  const image = new Jimp(32, 32);
+  image.scan(0, 0, 32, 32, (x, y, index) => {
+    image.bitmap.data.fill(255 - x * 8, index, index + 3);
+    image.bitmap.data[index + 3] = 255;
+  });
+  return image.getBufferAsync(Jimp.MIME_PNG);
+}
+
+test('internal addresses are not public', () => {
+  for (const address of ['127.0.0.1', '10.1.2.3', '172.20.0.1', '192.168.1.1', '169.254.169.254', '100.100.100.200',
+    '0.0.0.0', '::1', '::', 'fd00:ec2::254', 'fe80::1', '::ffff:127.0.0.1', '::ffff:7f00:1']) {
+    assert.equal(isPublicAddress(address), false, address);
+  }
+  for (const address of ['93.184.216.34', '2606:2800:220:1:248:1893:25c8:1946']) {
+    assert.equal(isPublicAddress(address), true, address);
+  }
+});
+
+test('URLs are refused unless they are http(s) on a public host', async () => {
+  for (const url of ['http://127.0.0.1:5000/admin', 'http://169.254.169.254/latest/meta-data/', 'http://[::1]/',
+    'http://[::ffff:10.0.0.1]/', 'http://2130706433/', 'http://localhost/', 'file:///etc/passwd', 'ftp://93.184.216.34/', 'nonsense']) {
+    await assert.rejects(assertPublicUrl(url, 'image_url'), (error) =>
+      error.status === 400 && error.message === 'image_url must be an http(s) URL on a public host', url);
+  }
+  assert.equal((await assertPublicUrl('https://93.184.216.34/photo.jpg')).hostname, '93.184.216.34');
+});
+
+test('the same image URL in another disaster counts as reuse, unlike the reports being verified', async () => {
+  const png = await gradientPng();
+  const hash = await computeDHash(png);
+  const storage = createMemoryStorage();
+  const verifier = createImageVerifier({
+    storage,
+    cache: createCache(storage.cache),
+    analyzeWithModel: async () => null,
+    download: async () => ({ buffer: png, mimeType: 'image/png' })
+  });
+  const imageUrl = 'https://images.example.org/flood.png';
+  const disaster = { id: 'd1', location: 'POINT(-74.0083 40.6734)', created_at: new Date().toISOString() };
+
+  await storage.reports.create({ disaster_id: 'd1', image_url: imageUrl, image_hash: hash });
+  const first = await verifier.verify({ disaster, imageUrl });
+  assert.deepEqual(first.signals.duplicates, { sameDisaster: 0, otherDisasters: 0, report_ids: [] });
+
+  const elsewhere = await storage.reports.create({ disaster_id: 'd2', image_url: imageUrl, image_hash: hash });
+  const reused = await verifier.verify({ disaster, imageUrl });
+  assert.deepEqual(reused.signals.duplicates, { sameDisaster: 0, otherDisasters: 1, report_ids: [elsewhere.id] });
+  assert.match(reused.reasoning, /already used in 1 report\(s\) for other disasters/);
+});
+
+test('download failures are reported without the upstream details', async () => {
+  const storage = createMemoryStorage();
+  const verifier = createImageVerifier({
+    storage,
+    cache: createCache(storage.cache),
+    analyzeWithModel: async () => null,
+    download: async () => { throw new Error('connect ECONNREFUSED 10.0.0.7:6379'); }
+  });
+  const result = await verifier.verify({ disaster: { id: 'd1' }, imageUrl: 'https://images.example.org/gone.png' });
+  assert.equal(result.signals, null);
+  assert.equal(result.reasoning, 'Unable to download or analyze the image');
+});
@@ -0,0 +1,168 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { detectFormat, parseImport, createImportPlanner, summarize } = require('../services/imports');
+const { checkFields, schemas } = require('../validation');
+
+const capAlert = ({ identifier = 'A-1', status = 'Actual', msgType = 'Alert', references = '' } = {}) => `
+<alert xmlns="urn:oasis:names:tc:emergency:cap:1.2">
+  <identifier>${identifier}</identifier>
+  <sender>nws@example.gov</sender>
+  <sent>2024-05-01T10:00:00-00:00</sent>
+  <status>${status}</status>
+  <msgType>${msgType}</msgType>
+  ${references && `<references>${references}</references>`}
+  <scope>Public</scope>
+  <info>
+    <language>en-US</language>
+    <event>Flood Warning</event>
+    <severity>Severe</severity>
+    <headline>Flood warning for Red Hook</headline>
+    <description>River expected to crest tonight</description>
+    <area>
+      <areaDesc>Red Hook, Brooklyn</areaDesc>
+      <circle>40.6734,-74.0083 5</circle>
+    </area>
+  </info>
+</alert>`;
+
+test('the format follows the Content-Type when none is given', () => {
+  assert.equal(detectFormat('application/cap+xml'), 'cap');
+  assert.equal(detectFormat('application/geo+json'), 'geojson');
+  assert.equal(detectFormat('text/csv; charset=utf-8'), 'csv');
+  assert.equal(detectFormat('text/plain'), null);
+});
+
+test('CSV columns are read by header name, with quoting and export escapes undone', () => {
+  const rows = parseImport('csv', [
+    'Title,Description,Tags,Latitude,Longitude,id',
+    '"Flood, east side","Says ""evacuate""",flood;urgent,40.7,-74,ext-1',
+    "'=cmd,,,,,",
+    ',,,,,'
+  ].join('\r\n'));
+
+  assert.deepEqual(rows, [
+    {
+      row: 2,
+      fields: {
+        title: 'Flood, east side',
+        description: 'Says "evacuate"',
+        tags: ['flood', 'urgent'],
+        lat: '40.7',
+        lng: '-74',
+        external_ids: ['ext-1']
+      }
+    },
+    { row: 3, fields: { title: '=cmd' } }
+  ]);
+  assert.throws(() => parseImport('csv', 'description\nno title column'), /title or name column/);
+});
+
+test('GeoJSON points are read from the geometry and polygons placed at their centroid', () => {
+  const rows = parseImport('geojson', JSON.stringify({
+    type: 'FeatureCollection',
+    features: [
+      { type: 'Feature', id: 'f1', geometry: { type: 'Point', coordinates: [-74, 40.7] }, properties: { name: 'Shelter', type: 'shelter' } },
+      {
+        type: 'Feature',
+        geometry: { type: 'Polygon', coordinates: [[[0, 0], [2, 0], [2, 2], [0, 2], [0, 0]]] },
+        properties: { title: 'Area', tags: 'a;b' }
+      }
+    ]
+  }));
+
+  assert.equal(rows[0].fields.name, 'Shelter');
+  assert.deepEqual(rows[0].fields.external_ids, ['f1']);
+  assert.deepEqual([rows[0].fields.lat, rows[0].fields.lng], [40.7, -74]);
+  assert.deepEqual([rows[1].fields.lat, rows[1].fields.lng], [1, 1]);
+  assert.deepEqual(rows[1].fields.tags, ['a', 'b']);
+  assert.match(rows[1].warnings[0], /centroid/);
+});
+
+test('CAP alerts map to disasters and test or cancel messages are rejected', () => {
+  const [alert] = parseImport('cap', capAlert({ references: 'nws@example.gov,A-0,2024-04-30T10:00:00-00:00' }));
+  assert.equal(alert.reject, undefined);
+  assert.deepEqual(alert.fields, {
+    external_ids: ['nws@example.gov,A-1', 'nws@example.gov,A-0'],
+    title: 'Flood warning for Red Hook',
+    description: 'River expected to crest tonight',
+    tags: ['flood warning'],
+    severity: 'severe',
+    location_name: 'Red Hook, Brooklyn',
+    lat: 40.6734,
+    lng: -74.0083
+  });
+
+  assert.match(parseImport('cap', capAlert({ status: 'Exercise' }))[0].reject, /Exercise/);
+  assert.match(parseImport('cap', capAlert({ msgType: 'Cancel' }))[0].reject, /Cancel/);
+  assert.throws(() => parseImport('cap', '<feed/>'), /No CAP <alert>/);
+});
+
+// A planner whose geocoder knows a few places and counts its lookups
+function planner(options = {}) {
+  const places = { 'red hook': { lat: 40.6734, lng: -74.0083 }, 'gowanus': { lat: 40.6733, lng: -73.9903 }, 'dumbo': { lat: 40.7033, lng: -73.9881 } };
+  const lookups = [];
+  const planImport = createImportPlanner({
+    validateRow: (target, fields) => checkFields(schemas.importRows[target], fields),
+    geocodeLocation: async (name) => {
+      lookups.push(name);
+      return places[name.toLowerCase()] || null;
+    },
+    ...options
+  });
+  return { planImport, lookups };
+}
+
+const existing = [
+  { id: 'd1', title: 'Harbor flood', location_name: 'Red Hook', coordinates: { lat: 40.6734, lng: -74.0083 }, external_ids: ['nws@example.gov,A-1'] },
+  { id: 'd2', title: 'Canal spill', location_name: 'Gowanus', coordinates: { lat: 40.6733, lng: -73.9903 }, external_ids: [] }
+];
+
+test('rows matching stored records by external id or by name and place update them', async () => {
+  const { planImport } = planner();
+  const results = await planImport('disasters', [
+    { row: 1, fields: { external_ids: ['nws@example.gov,A-1'], title: 'Harbor flood', description: 'Cresting tonight', location_name: 'Red Hook' } },
+    { row: 2, fields: { title: 'Canal spill', lat: 40.67335, lng: -73.99032 } },
+    { row: 3, fields: { title: 'Canal spill', lat: 40.8, lng: -73.9 } }
+  ], existing);
+
+  assert.deepEqual(results.map(({ action, id }) => [action, id]), [['update', 'd1'], ['unchanged', 'd2'], ['create', undefined]]);
+  assert.deepEqual(results[0].changes.description, { before: null, after: 'Cresting tonight' });
+});
+
+test('repeats within a file are rejected and later versions merged into the first', async () => {
+  const { planImport } = planner();
+  const results = await planImport('disasters', [
+    { row: 1, fields: { external_ids: ['cap,B-1'], title: 'Bridge fire', lat: 40.7, lng: -74 } },
+    { row: 2, fields: { external_ids: ['cap,B-2', 'cap,B-1'], title: 'Bridge fire', description: 'Contained', lat: 40.7, lng: -74 } },
+    { row: 3, fields: { title: 'Harbor flood', location_name: 'Red Hook' } },
+    { row: 4, fields: { title: 'Harbor Flood', location_name: 'red hook' } }
+  ], existing);
+
+  assert.deepEqual(results.map(({ action }) => action), ['create', 'skip', 'unchanged', 'reject']);
+  assert.equal(results[0].record.description, 'Contained');
+  assert.deepEqual(results[0].record.external_ids, ['cap,B-2', 'cap,B-1']);
+  assert.match(results[1].reason, /Merged into row 1/);
+  assert.equal(results[3].reason, 'Duplicate of row 3');
+  assert.deepEqual(summarize(results), { create: 1, update: 0, unchanged: 1, reject: 1, skip: 1 });
+});
+
+test('one import geocodes each place once and at most maxGeocodes uncached places', async () => {
+  const { planImport, lookups } = planner({
+    maxGeocodes: 2,
+    cachedLocation: async (name) => (name === 'Dumbo' ? { lat: 40.7033, lng: -73.9881 } : undefined)
+  });
+  const results = await planImport('resources', [
+    { row: 1, fields: { name: 'Pantry', type: 'food', location_name: 'Red Hook' } },
+    { row: 2, fields: { name: 'Clinic', type: 'medical', location_name: 'RED HOOK' } },
+    { row: 3, fields: { name: 'Gym', type: 'shelter', location_name: 'Dumbo' } },
+    { row: 4, fields: { name: 'Depot', type: 'supplies', location_name: 'Atlantis' } },
+    { row: 5, fields: { name: 'Church', type: 'shelter', location_name: 'Gowanus' } },
+    { row: 6, fields: { name: 'Tent', type: 'shelter', lat: 40.7, lng: -74 } }
+  ], []);
+
+  assert.deepEqual(lookups, ['Red Hook', 'Atlantis']);
+  assert.deepEqual(results.map(({ action }) => action), ['create', 'create', 'create', 'create', 'reject', 'create']);
+  assert.deepEqual(results[2].record.coordinates, { lat: 40.7033, lng: -73.9881 });
+  assert.deepEqual(results[3].warnings, ['Could not geocode "Atlantis"']);
+  assert.match(results[4].reason, /at most 2 new places/);
+});
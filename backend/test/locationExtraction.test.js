@@ -0,0 +1,65 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createLocationExtractor, extractLocationsLocally, primaryLocation } = require('../services/locationExtraction');
+
+const places = ['Manhattan', 'Brooklyn', 'NYC'];
+const roles = (text) => extractLocationsLocally(text, { places }).map(({ name, role }) => `${name}:${role}`);
+
+test('the local extractor finds incidents, shelters and routes in text order', () => {
+  assert.deepEqual(roles('Flooding in Lower Manhattan. Shelter open at PS 15 in Red Hook, Brooklyn.'), [
+    'Lower Manhattan:incident', 'PS 15:shelter', 'Red Hook, Brooklyn:shelter'
+  ]);
+  assert.deepEqual(roles('Canal Street is closed to traffic; fire reported near Chinatown'), [
+    'Canal Street:route', 'Chinatown:incident'
+  ]);
+  assert.deepEqual(roles('Evacuate from Coney Island to Prospect Park'), ['Coney Island:route', 'Prospect Park:route']);
+});
+
+test('the local extractor skips filler words, known aliases in lower case and repeats', () => {
+  const locations = extractLocationsLocally('Urgent Canal Street flooding. Help needed in nyc, then NYC and Brooklyn, brooklyn again', { places });
+  assert.deepEqual(locations.map(({ name }) => name), ['Canal Street', 'NYC', 'Brooklyn']);
+  assert.ok(locations.every(({ source }) => source === 'local'));
+  assert.deepEqual(extractLocationsLocally('Please help, we need water', { places }), []);
+});
+
+test('the primary location is the first incident, else the first place', () => {
+  assert.equal(primaryLocation([{ name: 'PS 15', role: 'shelter' }, { name: 'Red Hook', role: 'incident' }]), 'Red Hook');
+  assert.equal(primaryLocation([{ name: 'PS 15', role: 'shelter' }]), 'PS 15');
+  assert.equal(primaryLocation([]), null);
+});
+
+test('a valid model answer is used when its mentions occur in the text', async () => {
+  const extract = createLocationExtractor({
+    places,
+    model: async () => ({ locations: [{ mention: 'the Navy Yard', name: 'Brooklyn Navy Yard, Brooklyn, NY', role: 'incident' }] })
+  });
+  assert.deepEqual(await extract('Fire at the Navy Yard'), {
+    locations: [{ mention: 'the Navy Yard', name: 'Brooklyn Navy Yard, Brooklyn, NY', role: 'incident', source: 'gemini' }],
+    method: 'gemini'
+  });
+});
+
+test('malformed, invented or failing model answers fall back to the local extractor', async (t) => {
+  const text = 'Flooding in Lower Manhattan';
+  const local = { locations: extractLocationsLocally(text, { places }), method: 'local' };
+  const answers = [
+    'Lower Manhattan',
+    { locations: 'Lower Manhattan' },
+    { locations: [{ mention: 'Lower Manhattan', name: 'Lower Manhattan', role: 'landmark' }] },
+    { locations: [{ mention: 'Lower Manhattan', role: 'incident' }] },
+    { locations: Array.from({ length: 11 }, () => ({ mention: 'Lower Manhattan', name: 'Lower Manhattan', role: 'incident' })) },
+    // Mentions the text does not contain
+    { locations: [{ mention: 'Times Square', name: 'Times Square', role: 'incident' }] },
+    { locations: [] }
+  ];
+
+  for (const answer of answers) {
+    const extract = createLocationExtractor({ places, model: async () => answer });
+    assert.deepEqual(await extract(text), local, JSON.stringify(answer));
+  }
+
+  t.mock.method(console, 'error', () => {});
+  const failing = createLocationExtractor({ places, model: async () => { throw new Error('quota exceeded'); } });
+  assert.deepEqual(await failing(text), local);
+  assert.deepEqual(await createLocationExtractor({ places })(text), local);
+});
@@ -0,0 +1,40 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMatcher, matchScore } = require('../services/matching');
+
+const matcher = createMatcher();
+const resource = (name, type, location) => ({ id: name, name, type, location });
+
+test('needs are described from the stored category and location alone', () => {
+  assert.deepEqual(
+    matcher.describeNeed({ content: 'Need food', need_category: 'food', location_name: 'Red Hook', location: 'POINT(-74.0083 40.6734)' }),
+    { type: 'food', location_name: 'Red Hook', coordinates: { lat: 40.6734, lng: -74.0083 } }
+  );
+  // Older rows without a category are classified locally; without a location there is no place to guess
+  assert.deepEqual(
+    matcher.describeNeed({ post: 'Trapped in Brooklyn, send help' }),
+    { type: 'rescue', location_name: null, coordinates: null }
+  );
+});
+
+test('resources are ranked by fit and closeness within the radius', () => {
+  const need = matcher.describeNeed({ need_category: 'food', location: 'POINT(-74.0083 40.6734)' });
+  const ranked = matcher.rankResources(need, [
+    resource('Far pantry', 'food', 'POINT(-73.9442 40.6782)'),
+    resource('Near water', 'water', 'POINT(-74.0090 40.6740)'),
+    resource('Near pantry', 'food', 'POINT(-74.0090 40.6740)'),
+    resource('Clinic', 'medical', 'POINT(-74.0090 40.6740)'),
+    resource('Other city', 'food', 'POINT(-118.7798 34.0259)')
+  ]);
+
+  assert.deepEqual(ranked.map((match) => match.resource.name), ['Near pantry', 'Far pantry', 'Near water']);
+  assert.equal(ranked[0].score, matchScore(1, ranked[0].distance_meters, 25000));
+});
+
+test('a need without a location is matched on type alone', () => {
+  const ranked = matcher.rankResources({ type: 'shelter', coordinates: null }, [
+    resource('Gym', 'shelter', 'POINT(-74.0090 40.6740)'),
+    resource('Depot', 'supplies', null)
+  ]);
+  assert.deepEqual(ranked.map((match) => [match.resource.name, match.distance_meters, match.score]), [['Gym', null, 0.4], ['Depot', null, 0.12]]);
+});
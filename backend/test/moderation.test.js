@@ -0,0 +1,114 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+const { trustScore, newContributor, applyOutcome } = require('../services/moderation');
+const { createMemoryStorage } = require('../storage/memory');
+
+test('trust starts at one half and moves less with every outcome', () => {
+  assert.equal(trustScore({}), 0.5);
+  assert.equal(trustScore({ approved: 1 }), 0.67);
+  assert.equal(trustScore({ rejected: 1 }), 0.33);
+  assert.equal(trustScore({ approved: 8 }), 0.9);
+  assert.equal(trustScore({ approved: 8, rejected: 1 }), 0.82);
+  // Misinformation weighs three rejections
+  assert.equal(trustScore({ misinformation: 1 }), 0.2);
+  assert.equal(trustScore({ misinformation: 1 }), trustScore({ rejected: 3 }));
+});
+
+test('each outcome adds one to its counter and rescores', () => {
+  let contributor = newContributor('citizen1');
+  assert.deepEqual(contributor, { user_id: 'citizen1', approved: 0, rejected: 0, misinformation: 0, trust_score: 0.5 });
+
+  for (const action of ['approve', 'approve', 'reject', 'misinformation']) {
+    contributor = applyOutcome(contributor, action);
+  }
+  assert.equal(contributor.approved, 2);
+  assert.equal(contributor.rejected, 1);
+  assert.equal(contributor.misinformation, 1);
+  assert.equal(contributor.trust_score, trustScore({ approved: 2, rejected: 1, misinformation: 1 }));
+  assert.ok(contributor.updated_at);
+});
+
+test('concurrent outcomes for one contributor are all counted', async () => {
+  const storage = createMemoryStorage();
+  const record = (action) => storage.contributors.modify('citizen1', (current) => applyOutcome(current || newContributor('citizen1'), action));
+  await Promise.all(['approve', 'approve', 'reject', 'approve'].map(record));
+
+  const contributor = await storage.contributors.get('citizen1');
+  assert.equal(contributor.approved, 3);
+  assert.equal(contributor.rejected, 1);
+});
+
+// The queue and decisions, through the API
+let api;
+let storage;
+let admin;
+let contributor;
+let disaster;
+
+before(async () => {
+  api = await startServer();
+  ({ storage } = require('../server'));
+  admin = await api.login('admin');
+  contributor = await api.login('contributor');
+  ({ body: disaster } = await api.request('/disasters', {
+    method: 'POST', token: admin, body: { title: 'Moderation flood', location_name: 'Brooklyn', description: 'Water rising', tags: ['flood'] }
+  }));
+});
+
+after(() => api.close());
+
+const submit = async (content) => (await api.request('/reports', {
+  method: 'POST', token: contributor, body: { disaster_id: disaster.id, content }
+})).body;
+const moderate = (report, action, reason = 'Checked against the fire department log') => api.request(`/disasters/${disaster.id}/reports/${report.id}/moderate`, {
+  method: 'POST', token: admin, body: { action, reason }
+});
+const queue = async (query = '') => (await api.request(`/moderation/queue?limit=100${query}`, { token: admin })).body.data;
+const queued = async (report, query) => (await queue(query)).find((item) => item.id === report.id);
+
+test('the queue lists pending and flagged reports with their author\'s trust, oldest first', async () => {
+  const pending = await submit('Queue: water in the basement');
+  const flagged = await submit('Queue: photo of the levee');
+  const verified = await submit('Queue: shelter opened');
+  await storage.reports.update(flagged.id, { verification_status: 'flagged' });
+  await storage.reports.update(verified.id, { verification_status: 'verified' });
+
+  const ids = (await queue()).map((report) => report.id);
+  assert.ok(ids.indexOf(pending.id) < ids.indexOf(flagged.id));
+  assert.ok(!ids.includes(verified.id));
+  assert.equal((await queued(pending)).contributor.user_id, 'citizen1');
+
+  assert.deepEqual((await queue('&status=flagged')).map((report) => report.id), [flagged.id]);
+  assert.ok(await queued(verified, '&status=verified'));
+  assert.equal((await api.request('/moderation/queue', { token: contributor })).status, 403);
+});
+
+test('a report takes one decision, which moves it out of the queue and into its author\'s trust', async () => {
+  const report = await submit('Decision: bridge closed on Atlantic Ave');
+  const before = (await queued(report)).contributor;
+
+  const decided = await moderate(report, 'approve', 'Confirmed by the fire department');
+  assert.equal(decided.status, 200);
+  assert.equal(decided.body.report.verification_status, 'verified');
+  assert.equal(decided.body.report.moderation.moderator_id, 'netrunnerX');
+  assert.equal(decided.body.contributor.approved, before.approved + 1);
+  assert.equal(await queued(report), undefined);
+
+  const again = await moderate(report, 'misinformation');
+  assert.equal(again.status, 409);
+  assert.equal(again.body.error.code, 'conflict');
+  assert.equal((await storage.reports.get(report.id)).verification_status, 'verified');
+});
+
+test('decisions sent at the same time land once per report and are all counted', async () => {
+  const [first, second] = [await submit('Race: tree down on 5th'), await submit('Race: power out on 6th')];
+  const { approved, rejected } = (await queued(first)).contributor;
+
+  const sameReport = await Promise.all([moderate(first, 'approve'), moderate(first, 'reject')]);
+  assert.deepEqual(sameReport.map((response) => response.status).sort(), [200, 409]);
+
+  await moderate(second, 'approve');
+  const counts = (await api.request('/contributors', { token: admin })).body.find((item) => item.user_id === 'citizen1');
+  assert.equal(counts.approved + counts.rejected, approved + rejected + 2);
+});
@@ -0,0 +1,70 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createOfficialUpdatesScraper, loadSources, parseSource } = require('../services/officialUpdates');
+const { createCache } = require('../services/cache');
+const { createMemoryStorage } = require('../storage/memory');
+
+const config = (name) => path.join(__dirname, '..', 'config', name);
+const fixtureSources = () => loadSources(config('official-sources.fixtures.json'));
+const parseFixture = (source) => parseSource(source, fs.readFileSync(source.file, 'utf8'));
+
+test('the default registry scrapes the live sites and the fixture registry the local pages', () => {
+  for (const source of loadSources(config('official-sources.json'))) {
+    assert.match(source.url, /^https:\/\//);
+    assert.equal(source.file, undefined);
+  }
+
+  const fixtures = fixtureSources();
+  assert.deepEqual(fixtures.map((source) => source.id), ['fema', 'redcross']);
+  for (const source of fixtures) assert.ok(fs.existsSync(source.file), source.file);
+});
+
+test('FEMA releases are read with attribute selectors and absolute links', () => {
+  const [fema] = fixtureSources();
+  const [first] = parseFixture(fema);
+
+  assert.equal(first.source, 'FEMA');
+  assert.equal(first.title, 'Emergency Response Activated for New York Flooding');
+  assert.match(first.content, /Manhattan/);
+  assert.equal(first.url, 'https://www.fema.gov/press-release/nyc-flooding-response');
+  assert.deepEqual(first.timestamp, new Date('2026-10-18T14:00:00Z'));
+});
+
+test('Red Cross updates outside the keyword filter are dropped', () => {
+  const redcross = fixtureSources()[1];
+  assert.deepEqual(parseFixture(redcross).map((item) => item.title), ['Shelter Operations Expanded in New York']);
+});
+
+test('a source without the required fields is refused', () => {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'sources-')), 'sources.json');
+  fs.writeFileSync(file, JSON.stringify([{ id: 'broken', selectors: {} }]));
+  assert.throws(() => loadSources(file), /broken needs an id, a url or file, and an item selector/);
+});
+
+test('scraped items are stored against matching disasters and only new ones are broadcast', async () => {
+  const storage = createMemoryStorage();
+  const nyc = await storage.disasters.create({ title: 'NYC Flood', location_name: 'Manhattan, NYC', tags: ['flood'] });
+  const other = await storage.disasters.create({ title: 'Dust storm', location_name: 'Phoenix, AZ', tags: ['dust'] });
+  const emitted = [];
+  const scraper = createOfficialUpdatesScraper({
+    sources: fixtureSources(),
+    storage,
+    cache: createCache(storage.cache),
+    emitToDisaster: (disasterId, event, payload) => emitted.push({ disasterId, event, count: payload.data.length })
+  });
+
+  await scraper.pollOnce();
+  const stored = await scraper.getUpdates(nyc.id);
+  assert.ok(stored.some((item) => item.source === 'FEMA'));
+  assert.ok(stored.some((item) => item.source === 'Red Cross'));
+  assert.deepEqual(await scraper.getUpdates(other.id), []);
+  assert.ok(emitted.every((entry) => entry.disasterId === nyc.id && entry.event === 'official_updates_updated'));
+
+  const broadcasts = emitted.length;
+  await scraper.pollOnce();
+  assert.equal(emitted.length, broadcasts);
+  assert.equal((await scraper.getUpdates(nyc.id)).length, stored.length);
+});
@@ -0,0 +1,318 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const { startServer } = require('./helpers');
+
+let api;
+let storage;
+let admin;
+let contributor;
+
+before(async () => {
+  api = await startServer();
+  ({ storage } = require('../server'));
+  admin = await api.login('admin');
+  contributor = await api.login('contributor');
+});
+
+after(() => api.close());
+
+const createDisaster = (fields = {}) => api.request('/disasters', {
+  method: 'POST',
+  token: admin,
+  body: { title: 'Flood', location_name: 'Manhattan', description: 'Water rising', tags: ['flood'], ...fields }
+});
+
+test('login issues a token only for valid credentials', async () => {
+  const refused = await api.request('/auth/login', { method: 'POST', body: { username: 'citizen1', password: 'wrong' } });
+  assert.equal(refused.status, 401);
+
+  const me = await api.request('/auth/me', { token: contributor });
+  assert.equal(me.status, 200);
+  assert.deepEqual(me.body, { id: 'citizen1', role: 'contributor' });
+});
+
+test('requests without a valid token are rejected', async () => {
+  assert.equal((await api.request('/disasters')).status, 401);
+
+  const forged = jwt.sign({ sub: 'netrunnerX', role: 'admin' }, 'some-other-secret');
+  assert.equal((await api.request('/contributors', { token: forged })).status, 401);
+});
+
+test('admin-only routes refuse contributors', async () => {
+  const { body: disaster } = await createDisaster();
+  const response = await api.request(`/disasters/${disaster.id}`, { method: 'DELETE', token: contributor });
+  assert.equal(response.status, 403);
+  assert.equal(response.body.error.code, 'forbidden');
+});
+
+test('invalid bodies are answered with per-field details', async () => {
+  const response = await api.request('/disasters', { method: 'POST', token: admin, body: { description: 'No title' } });
+  assert.equal(response.status, 400);
+  assert.equal(response.body.error.code, 'invalid_request');
+  assert.ok(response.body.error.details.title);
+});
+
+test('disasters are geocoded, updated with an audit entry, soft-deleted and restored', async () => {
+  const { status, body: created } = await createDisaster({ title: 'Harbor flood' });
+  assert.equal(status, 200);
+  assert.equal(created.status, 'reported');
+  assert.deepEqual(created.coordinates, { lat: 40.7831, lng: -73.9712 });
+
+  const updated = await api.request(`/disasters/${created.id}`, { method: 'PUT', token: admin, body: { title: 'Harbor flood (east)' } });
+  assert.equal(updated.body.title, 'Harbor flood (east)');
+  const entry = updated.body.audit_trail.at(-1);
+  assert.equal(entry.action, 'update');
+  assert.deepEqual(entry.changes.title, { before: 'Harbor flood', after: 'Harbor flood (east)' });
+
+  assert.equal((await api.request(`/disasters/${created.id}`, { method: 'DELETE', token: admin })).status, 200);
+  assert.equal((await api.request(`/disasters/${created.id}`, { token: admin })).status, 404);
+
+  const restored = await api.request(`/disasters/${created.id}/restore`, { method: 'POST', token: admin });
+  assert.equal(restored.status, 200);
+  assert.equal((await api.request(`/disasters/${created.id}`, { token: contributor })).body.title, 'Harbor flood (east)');
+});
+
+test('admins find deleted disasters, reports and resources by listing with include_deleted and restore them', async () => {
+  const { body: disaster } = await createDisaster({ title: 'Gone flood' });
+  const { body: report } = await api.request('/reports', {
+    method: 'POST', token: contributor, body: { disaster_id: disaster.id, content: 'Basement flooded on Gone St' }
+  });
+  const { body: resource } = await api.request(`/disasters/${disaster.id}/resources`, {
+    method: 'POST', token: admin, body: { name: 'Gone shelter', location_name: 'Red Hook', type: 'shelter' }
+  });
+  const kinds = {
+    report: { id: report.id, path: `/disasters/${disaster.id}/reports/${report.id}`, list: `/reports/${disaster.id}?` },
+    resource: { id: resource.id, path: `/disasters/${disaster.id}/resources/${resource.id}`, list: `/disasters/${disaster.id}/resources?` },
+    disaster: { id: disaster.id, path: `/disasters/${disaster.id}`, list: '/disasters?q=gone&limit=100&' }
+  };
+  const list = (kind, token, query = '') => api.request(`${kinds[kind].list}${query}`, { token });
+  const listed = async (kind, query) => (await list(kind, admin, query)).body.data.find((row) => row.id === kinds[kind].id);
+
+  for (const kind of ['report', 'resource', 'disaster']) {
+    assert.equal((await api.request(kinds[kind].path, { method: 'DELETE', token: admin })).status, 200, kind);
+    assert.equal(await listed(kind), undefined, kind);
+    assert.equal((await list(kind, contributor, 'include_deleted=true')).status, 403, kind);
+
+    const deleted = await listed(kind, 'include_deleted=true');
+    assert.ok(deleted?.deleted_at, kind);
+    assert.equal(deleted.deleted_by, 'netrunnerX');
+  }
+
+  for (const kind of ['disaster', 'resource', 'report']) {
+    assert.equal((await api.request(`${kinds[kind].path}/restore`, { method: 'POST', token: admin })).status, 200, kind);
+    assert.ok(await listed(kind), kind);
+  }
+});
+
+test('null clears a disaster\'s location or description, and blank strings change nothing', async () => {
+  const { body: created } = await createDisaster({ title: 'Clearable flood' });
+  const update = (body) => api.request(`/disasters/${created.id}`, { method: 'PUT', token: admin, body });
+
+  assert.equal((await update({ description: '' })).status, 400);
+
+  const cleared = await update({ location_name: null, description: null });
+  assert.equal(cleared.status, 200);
+  assert.equal(cleared.body.location_name, null);
+  assert.equal(cleared.body.description, null);
+  assert.equal(cleared.body.coordinates, null);
+  assert.deepEqual(cleared.body.audit_trail.at(-1).changes.location_name, { before: created.location_name, after: null });
+});
+
+test('disaster transitions follow the workflow', async () => {
+  const { body: disaster } = await createDisaster();
+  const skip = await api.request(`/disasters/${disaster.id}/transition`, {
+    method: 'POST', token: admin, body: { status: 'resolved', reason: 'Too early' }
+  });
+  assert.equal(skip.status, 409);
+
+  const verified = await api.request(`/disasters/${disaster.id}/transition`, {
+    method: 'POST', token: admin, body: { status: 'verified', reason: 'Confirmed by the city' }
+  });
+  assert.equal(verified.body.status, 'verified');
+});
+
+test('disaster search pages through results with a cursor', async () => {
+  for (const title of ['Paging quake one', 'Paging quake two', 'Paging quake three']) {
+    await createDisaster({ title, tags: ['paging'] });
+  }
+
+  const first = await api.request('/disasters?tags=paging&limit=2', { token: contributor });
+  assert.equal(first.body.data.length, 2);
+  assert.ok(first.body.next_cursor);
+
+  const second = await api.request(`/disasters?tags=paging&limit=2&cursor=${first.body.next_cursor}`, { token: contributor });
+  assert.equal(second.body.data.length, 1);
+  assert.equal(second.body.next_cursor, null);
+
+  const titles = [...first.body.data, ...second.body.data].map((disaster) => disaster.title);
+  assert.deepEqual(titles, ['Paging quake three', 'Paging quake two', 'Paging quake one']);
+});
+
+test('resources can be searched around a point, nearest first', async () => {
+  const { body: disaster } = await createDisaster();
+  for (const [name, location_name] of [['Far shelter', 'Brooklyn'], ['Near shelter', 'Lower East Side'], ['Other coast', 'Malibu']]) {
+    await api.request(`/disasters/${disaster.id}/resources`, {
+      method: 'POST', token: contributor, body: { name, location_name, type: 'shelter' }
+    });
+  }
+
+  const response = await api.request(`/disasters/${disaster.id}/resources?lat=40.7128&lng=-74.006&radius=20000`, { token: contributor });
+  assert.equal(response.body.method, 'geodesic');
+  assert.deepEqual(response.body.data.map((resource) => resource.name), ['Near shelter', 'Far shelter']);
+  assert.ok(response.body.data[0].distance_meters < response.body.data[1].distance_meters);
+});
+
+test('resources are changed only by admins and whoever added them', async () => {
+  const { body: disaster } = await createDisaster();
+  const addResource = async (token, name) => (await api.request(`/disasters/${disaster.id}/resources`, {
+    method: 'POST', token, body: { name, location_name: 'Red Hook', type: 'shelter' }
+  })).body;
+  const update = (resource, token, body) => api.request(`/disasters/${disaster.id}/resources/${resource.id}`, { method: 'PUT', token, body });
+
+  const official = await addResource(admin, 'Official shelter');
+  const own = await addResource(contributor, 'Church hall');
+
+  const refused = await update(official, contributor, { name: 'Closed' });
+  assert.equal(refused.status, 403);
+  assert.equal(refused.body.error.code, 'forbidden');
+  assert.equal((await update(own, contributor, { name: 'Church hall (cots)' })).body.name, 'Church hall (cots)');
+  assert.equal((await update(own, admin, { type: 'food' })).body.type, 'food');
+
+  const missing = await update({ id: '00000000-0000-4000-8000-000000000000' }, admin, { location_name: 'Brooklyn' });
+  assert.equal(missing.status, 404);
+});
+
+test('report submissions are idempotent per key', async () => {
+  const { body: disaster } = await createDisaster();
+  const submit = (content) => api.request('/reports', {
+    method: 'POST',
+    token: contributor,
+    headers: { 'Idempotency-Key': 'report-key-0001' },
+    body: { disaster_id: disaster.id, content }
+  });
+
+  const first = await submit('People trapped on a roof, need rescue');
+  assert.equal(first.status, 200);
+  assert.equal(first.body.priority, 'critical');
+
+  const replay = await submit('People trapped on a roof, need rescue');
+  assert.equal(replay.headers.get('idempotent-replayed'), 'true');
+  assert.equal(replay.body.id, first.body.id);
+
+  assert.equal((await submit('Something else')).status, 409);
+
+  const reports = await api.request(`/reports/${disaster.id}`, { token: contributor });
+  assert.equal(reports.body.data.length, 1);
+});
+
+test('image verification refuses URLs on internal hosts', async () => {
+  const { body: disaster } = await createDisaster();
+  for (const image_url of [`${api.baseUrl}/disasters`, 'http://169.254.169.254/latest/meta-data/']) {
+    const response = await api.request(`/disasters/${disaster.id}/verify-image`, { method: 'POST', token: contributor, body: { image_url } });
+    assert.equal(response.status, 400);
+    assert.equal(response.body.error.message, 'image_url must be an http(s) URL on a public host');
+  }
+});
+
+test('webhook subscriptions must point at public hosts', async () => {
+  const area = { type: 'circle', lat: 40.7, lng: -74, radius: 5000 };
+  for (const webhook_url of [`${api.baseUrl}/hook`, 'http://169.254.169.254/latest/meta-data/', 'http://10.0.0.5/hook']) {
+    const response = await api.request('/subscriptions', { method: 'POST', token: contributor, body: { area, webhook_url } });
+    assert.equal(response.status, 400);
+    assert.equal(response.body.error.details.webhook_url, 'Not a public http(s) URL');
+  }
+});
+
+test('subscription emails need confirming through the emailed link', async () => {
+  const created = await api.request('/subscriptions', {
+    method: 'POST',
+    token: contributor,
+    body: { area: { type: 'circle', lat: 40.7, lng: -74, radius: 5000 }, email: 'ops@example.org' }
+  });
+  assert.equal(created.status, 201);
+  assert.equal(created.body.email_confirmed, false);
+  assert.equal(created.body.email_confirmation, 'unavailable');
+  assert.equal(created.body.email_confirmation_token, undefined);
+
+  const token = (await storage.subscriptions.get(created.body.id)).email_confirmation_token;
+  const confirmUrl = `/subscriptions/${created.body.id}/confirm`;
+  assert.equal((await api.request(`${confirmUrl}?token=${'0'.repeat(token.length)}`)).status, 404);
+  assert.equal((await api.request(`${confirmUrl}?token=${token}`)).status, 200);
+  assert.equal((await api.request(`${confirmUrl}?token=${token}`)).status, 404);
+
+  const [listed] = (await api.request('/subscriptions', { token: contributor })).body;
+  assert.equal(listed.email_confirmed, true);
+});
+
+test('only admins see why a test delivery failed', async () => {
+  const created = await api.request('/subscriptions', {
+    method: 'POST',
+    token: contributor,
+    body: { area: { type: 'circle', lat: 40.7, lng: -74, radius: 5000 }, webhook_url: 'https://93.184.216.34/hook' }
+  });
+  // As if the host had since moved into the private network
+  await storage.subscriptions.update(created.body.id, { webhook_url: `${api.baseUrl}/hook` });
+
+  const [own] = (await api.request(`/subscriptions/${created.body.id}/test`, { method: 'POST', token: contributor })).body;
+  assert.equal(own.status, 'dead_letter');
+  assert.equal('last_error' in own, false);
+
+  const [asAdmin] = (await api.request(`/subscriptions/${created.body.id}/test`, { method: 'POST', token: admin })).body;
+  assert.match(asAdmin.last_error, /public host/);
+});
+
+test('a dry-run import plans without writing, and re-importing changes nothing', async () => {
+  const csv = 'id,title,location_name,tags\nimp-1,Levee breach,Red Hook,flood\nimp-2,Pier fire,Brooklyn,fire';
+  const importCsv = (query = '') => api.request(`/disasters/import?format=csv${query}`, { method: 'POST', token: admin, body: csv });
+  const titles = async () => (await api.request('/disasters?limit=100', { token: admin })).body.data.map((disaster) => disaster.title);
+
+  const dryRun = await importCsv('&dry_run=true');
+  assert.equal(dryRun.status, 200);
+  assert.equal(dryRun.body.dry_run, true);
+  assert.deepEqual(dryRun.body.summary, { create: 2, update: 0, unchanged: 0, reject: 0, skip: 0 });
+  assert.ok(!(await titles()).includes('Levee breach'));
+
+  const imported = await importCsv();
+  assert.deepEqual(imported.body.summary, { create: 2, update: 0, unchanged: 0, reject: 0, skip: 0 });
+  assert.ok((await titles()).includes('Levee breach'));
+
+  const again = await importCsv();
+  assert.deepEqual(again.body.summary, { create: 0, update: 0, unchanged: 2, reject: 0, skip: 0 });
+  assert.deepEqual(again.body.rows.map((row) => row.id), imported.body.rows.map((row) => row.id));
+});
+
+test('GeoJSON imports sent as application/json may be larger than the JSON body limit', async () => {
+  const features = Array.from({ length: 900 }, (_, index) => ({
+    type: 'Feature',
+    geometry: { type: 'Point', coordinates: [-74 + index / 10000, 40.6 + index / 10000] },
+    properties: { id: `bulk-${index}`, title: `Bulk import incident ${index}`, location_name: 'Red Hook, Brooklyn', tags: 'flood' }
+  }));
+  const body = JSON.stringify({ type: 'FeatureCollection', features });
+  assert.ok(body.length > 100 * 1024);
+
+  const response = await api.request('/disasters/import?dry_run=true', {
+    method: 'POST',
+    token: admin,
+    body,
+    headers: { 'Content-Type': 'application/geo+json' }
+  });
+  assert.equal(response.status, 200);
+  assert.equal(response.body.format, 'geojson');
+  assert.equal(response.body.summary.create, 900);
+
+  const resources = await api.request(`/disasters/${(await createDisaster()).body.id}/resources/import?format=geojson&dry_run=true`, {
+    method: 'POST',
+    token: admin,
+    body: JSON.stringify({ type: 'FeatureCollection', features: features.map((feature) => ({ ...feature, properties: { name: feature.properties.title, type: 'shelter' } })) }),
+    headers: { 'Content-Type': 'application/json' }
+  });
+  assert.equal(resources.status, 200);
+  assert.equal(resources.body.summary.create, 900);
+});
+
+test('unknown routes answer 404 in the error format', async () => {
+  const response = await api.request('/nowhere', { token: contributor });
+  assert.equal(response.status, 404);
+  assert.equal(response.body.error.code, 'not_found');
+});
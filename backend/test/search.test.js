@@ -0,0 +1,86 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { encodeCursor, decodeCursor, compareRows, isAfterCursor, toPage, keyValues } = require('../utils/pagination');
+const { DISASTER_SORTS, REPORT_SORTS, matchesDisaster, matchesReport, locate } = require('../services/search');
+const { createStorage } = require('../storage');
+
+test('cursors round-trip and malformed ones decode to null', () => {
+  const cursor = encodeCursor('newest', ['2024-01-01T00:00:00.000Z', 'id-1']);
+  assert.deepEqual(decodeCursor(cursor), { sort: 'newest', values: ['2024-01-01T00:00:00.000Z', 'id-1'] });
+  assert.equal(decodeCursor('not a cursor'), null);
+  assert.equal(decodeCursor(Buffer.from('{"sort":1}').toString('base64url')), null);
+});
+
+test('rows sort by their keys with the id as tie-breaker', () => {
+  const rows = [
+    { id: 'b', created_at: '2024-01-01' },
+    { id: 'c', created_at: '2024-01-02' },
+    { id: 'a', created_at: '2024-01-01' }
+  ];
+  const sorted = [...rows].sort(compareRows(DISASTER_SORTS.newest));
+  assert.deepEqual(sorted.map((row) => row.id), ['c', 'b', 'a']);
+
+  const cursor = keyValues(sorted[1], DISASTER_SORTS.newest);
+  assert.deepEqual(rows.filter((row) => isAfterCursor(row, DISASTER_SORTS.newest, cursor)).map((row) => row.id), ['a']);
+});
+
+test('pages only carry a cursor when another page exists', () => {
+  const keys = DISASTER_SORTS.oldest;
+  const rows = [1, 2, 3].map((n) => ({ id: `r${n}`, created_at: `2024-01-0${n}` }));
+
+  const full = toPage(rows, { sort: 'oldest', keys, limit: 2 });
+  assert.deepEqual(full.data.map((row) => row.id), ['r1', 'r2']);
+  assert.deepEqual(decodeCursor(full.next_cursor).values, ['2024-01-02', 'r2']);
+
+  assert.equal(toPage(rows.slice(0, 2), { sort: 'oldest', keys, limit: 2 }).next_cursor, null);
+});
+
+test('reports sort most urgent first', () => {
+  const reports = [
+    { id: '1', priority: 'low', created_at: '2024-01-03' },
+    { id: '2', priority: 'critical', created_at: '2024-01-01' },
+    { id: '3', priority: 'high', created_at: '2024-01-02' }
+  ];
+  assert.deepEqual([...reports].sort(compareRows(REPORT_SORTS.priority)).map((report) => report.id), ['2', '3', '1']);
+});
+
+test('disaster filters combine text prefixes, tags, statuses and dates', () => {
+  const disaster = {
+    title: 'Harbor flooding', description: 'Water over the seawall', location_name: 'Red Hook',
+    tags: ['flood', 'urgent'], status: 'active', severity: 'severe', created_at: '2024-05-01T00:00:00Z'
+  };
+  assert.ok(matchesDisaster(disaster, { q: 'flood sea' }));
+  assert.ok(!matchesDisaster(disaster, { q: 'fire' }));
+  assert.ok(matchesDisaster(disaster, { tags: ['flood', 'fire'], tagMode: 'any' }));
+  assert.ok(!matchesDisaster(disaster, { tags: ['flood', 'fire'], tagMode: 'all' }));
+  assert.ok(!matchesDisaster(disaster, { statuses: ['resolved'] }));
+  assert.ok(!matchesDisaster(disaster, { from: '2024-06-01T00:00:00Z' }));
+  assert.ok(matchesReport({ content: 'Need water', priority: 'high', created_at: '2024-05-01' }, { q: 'wat', priorities: ['high'] }));
+});
+
+test('bbox and near filters drop rows outside the area and measure distances', () => {
+  const row = { location: 'POINT(-73.9712 40.7831)' };
+  assert.equal(locate(row, { bbox: { minLat: 40, minLng: -75, maxLat: 41, maxLng: -73 } }), row);
+  assert.equal(locate(row, { bbox: { minLat: 30, minLng: -75, maxLat: 31, maxLng: -73 } }), null);
+  assert.equal(locate({ location: null }, { near: { lat: 40.7, lng: -74, radius: 1000 } }), null);
+
+  const near = locate(row, { near: { lat: 40.7128, lng: -74.006, radius: 20000 } });
+  assert.ok(near.distance_meters > 8000 && near.distance_meters < 9000);
+});
+
+test('the memory adapter pages a search without repeating or skipping rows', async () => {
+  const storage = createStorage('memory');
+  for (let n = 0; n < 5; n++) {
+    await storage.disasters.create({ title: `Storm ${n}`, tags: ['storm'], status: 'reported', created_at: `2024-01-0${n + 1}T00:00:00Z` });
+  }
+
+  const seen = [];
+  let cursor;
+  do {
+    const page = await storage.disasters.search({ tags: ['storm'], sort: 'newest', limit: 2, cursor });
+    seen.push(...page.data.map((disaster) => disaster.title));
+    cursor = page.next_cursor && decodeCursor(page.next_cursor);
+  } while (cursor);
+
+  assert.deepEqual(seen, ['Storm 4', 'Storm 3', 'Storm 2', 'Storm 1', 'Storm 0']);
+});
@@ -0,0 +1,99 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createSocialMediaPipeline, createProviders } = require('../services/socialMedia');
+const { createMemoryStorage } = require('../storage/memory');
+
+const PLACES = {
+  'Red Hook': { lat: 40.6757, lng: -74.0122 },
+  'Los Angeles': { lat: 34.0522, lng: -118.2437 }
+};
+
+// A pipeline over the memory storage with one provider serving `posts` and offline geocoding
+async function setup(disasters, posts) {
+  const storage = createMemoryStorage();
+  const stored = [];
+  for (const disaster of disasters) stored.push(await storage.disasters.create(disaster));
+
+  const emitted = [];
+  const pipeline = createSocialMediaPipeline({
+    providers: [{ name: 'fake', fetchPosts: async () => posts }],
+    storage,
+    emitToDisaster: (disasterId, event, payload) => emitted.push({ disasterId, event, payload }),
+    geocodeLocation: async (name) => PLACES[name] || null,
+    extractLocation: async (text) => Object.keys(PLACES).find((place) => text.includes(place)) || null,
+    classify: async () => ({ priority: 'high', category: 'rescue' })
+  });
+  const postsOf = async (disaster) => (await pipeline.getPosts(disaster.id)).map((post) => post.post).sort();
+
+  return { storage, pipeline, emitted, disasters: stored, postsOf };
+}
+
+const post = (id, text, fields = {}) => ({ id, post: text, user: 'citizen', timestamp: '2026-10-18T10:00:00Z', ...fields });
+
+test('posts are matched to disasters by tag, case-insensitively and inside hashtags', async () => {
+  const { pipeline, disasters: [flood, fire], postsOf } = await setup([
+    { title: 'Flood', tags: ['flood'] },
+    { title: 'Fire', tags: ['#wildfire', 'smoke'] }
+  ], [
+    post('1', 'Need boats! #FloodRelief'),
+    post('2', 'WILDFIRE jumping the ridge'),
+    post('3', 'Smoke everywhere and the river is flooding'),
+    post('4', 'Power is out downtown')
+  ]);
+
+  await pipeline.pollOnce();
+
+  assert.deepEqual(await postsOf(flood), ['Need boats! #FloodRelief', 'Smoke everywhere and the river is flooding']);
+  assert.deepEqual(await postsOf(fire), ['Smoke everywhere and the river is flooding', 'WILDFIRE jumping the ridge']);
+
+  const [stored] = (await pipeline.getPosts(flood.id)).filter((item) => item.external_id === 'fake:1');
+  assert.deepEqual(stored.matched_tags, ['flood']);
+  assert.equal(stored.distance_meters, null);
+  assert.equal(stored.priority, 'high');
+  assert.equal(stored.need_category, 'rescue');
+});
+
+test('located disasters only take posts within the radius', async () => {
+  const { pipeline, disasters: [flood, anywhere], postsOf } = await setup([
+    { title: 'Red Hook flood', tags: ['flood'], location: 'POINT(-74.0122 40.6757)' },
+    { title: 'Untagged storm', tags: [], location: 'POINT(-74.0122 40.6757)' }
+  ], [
+    post('near', 'Flood water at the pier', { lat: 40.68, lng: -74.01 }),
+    post('named', 'Flood in Red Hook, need pumps'),
+    post('far', 'Flood in Los Angeles'),
+    post('unplaced', 'Flood somewhere'),
+    post('untagged', 'Trees down in Red Hook')
+  ]);
+
+  await pipeline.pollOnce();
+
+  // Posts that cannot be placed still match on tags
+  assert.deepEqual(await postsOf(flood), ['Flood in Red Hook, need pumps', 'Flood somewhere', 'Flood water at the pier']);
+  // Without tags, only posts placed near the disaster match
+  assert.deepEqual(await postsOf(anywhere), ['Flood in Red Hook, need pumps', 'Flood water at the pier', 'Trees down in Red Hook']);
+
+  const named = (await pipeline.getPosts(flood.id)).find((item) => item.external_id === 'fake:named');
+  assert.equal(named.location_name, 'Red Hook');
+  assert.equal(named.distance_meters, 0);
+});
+
+test('each new post is stored and announced once per disaster', async () => {
+  const { pipeline, emitted, disasters: [flood] } = await setup([{ title: 'Flood', tags: ['flood'] }], [
+    post('1', 'Flood on 5th'),
+    post('2', 'Flood on 6th')
+  ]);
+
+  await Promise.all([pipeline.pollOnce(), pipeline.pollOnce()]);
+  await pipeline.pollOnce();
+
+  assert.equal((await pipeline.getPosts(flood.id)).length, 2);
+  assert.equal(emitted.length, 1);
+  assert.equal(emitted[0].disasterId, flood.id);
+  assert.equal(emitted[0].event, 'social_media_updated');
+  assert.equal(emitted[0].payload.data.length, 2);
+});
+
+test('providers are chosen by name', () => {
+  assert.deepEqual(createProviders('mock').map((provider) => provider.name), ['mock']);
+  assert.throws(() => createProviders('mock, firehose'), /Unknown social media provider "firehose"/);
+});
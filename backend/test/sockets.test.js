@@ -0,0 +1,101 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { io } = require('socket.io-client');
+const { startServer } = require('./helpers');
+
+let api;
+let contributor;
+let harbor;
+let hills;
+const sockets = [];
+
+before(async () => {
+  api = await startServer();
+  const admin = await api.login('admin');
+  contributor = await api.login('contributor');
+  const create = async (title) => (await api.request('/disasters', {
+    method: 'POST', token: admin, body: { title, location_name: 'Brooklyn', description: 'Socket test', tags: ['flood'] }
+  })).body;
+  harbor = await create('Harbor flood');
+  hills = await create('Hills flood');
+});
+
+after(async () => {
+  sockets.forEach((socket) => socket.disconnect());
+  await api.close();
+});
+
+// A connected client recording every event it receives
+async function connect(token) {
+  const socket = io(api.baseUrl, { auth: { token }, transports: ['websocket'], reconnection: false });
+  sockets.push(socket);
+  socket.received = [];
+  socket.onAny((event, payload) => socket.received.push({ event, ...payload }));
+  await new Promise((resolve, reject) => {
+    socket.once('connect', resolve);
+    socket.once('connect_error', reject);
+  });
+  return socket;
+}
+
+const follow = (socket, disaster) => socket.emitWithAck('join_disaster', disaster.id);
+const unfollow = (socket, disaster) => socket.emitWithAck('leave_disaster', disaster.id);
+
+const submitReport = async (disaster, content) => (await api.request('/reports', {
+  method: 'POST', token: contributor, body: { disaster_id: disaster.id, content }
+})).body;
+
+// Resolves with the report_created event for `report` once `socket` has received it
+function reportEvent(socket, report) {
+  const isFor = (payload) => payload.report.id === report.id;
+  const received = socket.received.find((payload) => payload.event === 'report_created' && isFor(payload));
+  if (received) return Promise.resolve(received);
+
+  return new Promise((resolve) => {
+    const listener = (payload) => {
+      if (!isFor(payload)) return;
+      socket.off('report_created', listener);
+      resolve(payload);
+    };
+    socket.on('report_created', listener);
+  });
+}
+
+const reportIds = (socket) => socket.received.filter(({ event }) => event === 'report_created').map(({ report }) => report.id);
+
+test('sockets need a valid session token', async () => {
+  await assert.rejects(connect('not-a-token'), /Authentication required/);
+  await assert.rejects(connect(undefined), /Authentication required/);
+});
+
+test('disaster events reach only the clients in that disaster\'s room', async () => {
+  const harborClient = await connect(contributor);
+  const hillsClient = await connect(contributor);
+  const idleClient = await connect(contributor);
+  await follow(harborClient, harbor);
+  await follow(hillsClient, hills);
+
+  const hillsReport = await submitReport(hills, 'Mudslide on the ridge road');
+  const harborReport = await submitReport(harbor, 'Water over the pier');
+  const [received] = await Promise.all([reportEvent(harborClient, harborReport), reportEvent(hillsClient, hillsReport)]);
+
+  assert.equal(received.disaster_id, harbor.id);
+  assert.equal(received.report.content, 'Water over the pier');
+  // Events for one disaster go out in order, so the hills report would have arrived first
+  assert.deepEqual(reportIds(harborClient), [harborReport.id]);
+  assert.deepEqual(reportIds(hillsClient), [hillsReport.id]);
+  assert.deepEqual(reportIds(idleClient), []);
+});
+
+test('leaving a room stops its events', async () => {
+  const client = await connect(contributor);
+  await follow(client, harbor);
+  await unfollow(client, harbor);
+  await follow(client, hills);
+
+  await submitReport(harbor, 'Second surge expected tonight');
+  const hillsReport = await submitReport(hills, 'Road reopened');
+  await reportEvent(client, hillsReport);
+
+  assert.deepEqual(reportIds(client), [hillsReport.id]);
+});
@@ -0,0 +1,149 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+const { canMoveTask, compareTasks, taskDefaultsFrom } = require('../services/tasks');
+
+test('tasks move only along the workflow', () => {
+  assert.equal(canMoveTask('open', 'in_progress'), true);
+  assert.equal(canMoveTask('in_progress', 'done'), true);
+  assert.equal(canMoveTask('blocked', 'in_progress'), true);
+  assert.equal(canMoveTask('done', 'in_progress'), true);
+  assert.equal(canMoveTask('open', 'done'), false);
+  assert.equal(canMoveTask('done', 'open'), false);
+  assert.equal(canMoveTask('done', 'blocked'), false);
+  // Tasks without a status are open
+  assert.equal(canMoveTask(undefined, 'in_progress'), true);
+  assert.equal(canMoveTask('archived', 'open'), false);
+});
+
+test('tasks sort by priority, then due time, then age', () => {
+  const tasks = [
+    { id: 'low', priority: 'low', created_at: '2026-10-18T08:00:00Z' },
+    { id: 'high-undated', priority: 'high', created_at: '2026-10-18T08:00:00Z' },
+    { id: 'high-later', priority: 'high', due_at: '2026-10-19T12:00:00Z', created_at: '2026-10-18T09:00:00Z' },
+    { id: 'high-sooner', priority: 'high', due_at: '2026-10-19T10:00:00Z', created_at: '2026-10-18T10:00:00Z' },
+    { id: 'critical', priority: 'critical', created_at: '2026-10-18T11:00:00Z' },
+    { id: 'high-undated-newer', priority: 'high', created_at: '2026-10-18T12:00:00Z' }
+  ];
+  assert.deepEqual(tasks.sort(compareTasks).map((task) => task.id), [
+    'critical', 'high-sooner', 'high-later', 'high-undated', 'high-undated-newer', 'low'
+  ]);
+});
+
+test('tasks from a report take its text, priority and location', () => {
+  const content = `Family of four stranded on a roof at Van Brunt St and Pioneer St, water still rising ${'fast '.repeat(5)}`;
+  const defaults = taskDefaultsFrom({ content, priority: 'critical', location_name: 'Red Hook', location: 'POINT(-74.01 40.68)' });
+  assert.equal(defaults.title.length, 80);
+  assert.ok(defaults.title.endsWith('...'));
+  assert.equal(defaults.description, content.trim());
+  assert.equal(defaults.priority, 'critical');
+  assert.equal(defaults.location_name, 'Red Hook');
+
+  const fromPost = taskDefaultsFrom({ post: 'Need water at the shelter' });
+  assert.equal(fromPost.title, 'Need water at the shelter');
+  assert.equal(fromPost.priority, 'medium');
+  assert.equal(fromPost.location_name, null);
+});
+
+// The workflow and permissions, through the API
+let api;
+let admin;
+let contributor;
+let responder;
+let disaster;
+
+before(async () => {
+  api = await startServer();
+  admin = await api.login('admin');
+  contributor = await api.login('contributor');
+  responder = await api.login('responder');
+  ({ body: disaster } = await api.request('/disasters', {
+    method: 'POST', token: admin, body: { title: 'Task flood', location_name: 'Brooklyn', description: 'Water rising', tags: ['flood'] }
+  }));
+});
+
+after(() => api.close());
+
+const tasksPath = () => `/disasters/${disaster.id}/tasks`;
+const createTask = async (token, body) => (await api.request(tasksPath(), { method: 'POST', token, body })).body;
+const updateTask = (token, task, body) => api.request(`${tasksPath()}/${task.id}`, { method: 'PUT', token, body });
+const moveTask = (token, task, status, reason) => api.request(`${tasksPath()}/${task.id}/transition`, {
+  method: 'POST', token, body: { status, reason }
+});
+
+test('a task goes through the workflow and keeps each move in its history', async () => {
+  const task = await createTask(admin, { title: 'Sandbag the clinic', priority: 'high' });
+  assert.equal(task.status, 'open');
+  assert.equal(task.assignee_id, null);
+  assert.equal(task.created_by, 'netrunnerX');
+
+  const started = await moveTask(contributor, task, 'in_progress');
+  assert.equal(started.status, 200);
+  assert.equal(started.body.assignee_id, 'citizen1');
+
+  const unexplained = await moveTask(contributor, task, 'blocked');
+  assert.equal(unexplained.status, 400);
+  assert.ok(unexplained.body.error.details.reason);
+
+  assert.equal((await moveTask(contributor, task, 'blocked', 'No sandbags left')).body.status, 'blocked');
+  assert.equal((await moveTask(contributor, task, 'in_progress')).body.status, 'in_progress');
+  assert.equal((await moveTask(contributor, task, 'done')).body.status, 'done');
+
+  const skipped = await moveTask(contributor, task, 'open');
+  assert.equal(skipped.status, 409);
+  assert.equal(skipped.body.error.code, 'conflict');
+
+  const { body: { entries } } = await api.request(`${tasksPath()}/${task.id}/history`, { token: admin });
+  const moves = entries.filter((entry) => entry.action === 'transition');
+  assert.deepEqual(moves.map((entry) => `${entry.from}>${entry.to}`), [
+    'open>in_progress', 'in_progress>blocked', 'blocked>in_progress', 'in_progress>done'
+  ]);
+  assert.equal(moves[1].reason, 'No sandbags left');
+});
+
+test('tasks list by status and assignee, most urgent first', async () => {
+  const low = await createTask(admin, { title: 'List: count cots', priority: 'low' });
+  const critical = await createTask(admin, { title: 'List: evacuate the basement', priority: 'critical', assignee_id: 'citizen2' });
+  assert.equal((await createTask(admin, { title: 'List: nobody', assignee_id: 'nobody' })).error.details.assignee_id, 'Unknown user');
+
+  const { body: open } = await api.request(`${tasksPath()}?status=open`, { token: contributor });
+  const ids = open.map((task) => task.id);
+  assert.ok(ids.indexOf(critical.id) < ids.indexOf(low.id));
+  assert.ok(open.every((task) => task.status === 'open'));
+
+  const { body: assigned } = await api.request(`${tasksPath()}?assignee=citizen2`, { token: contributor });
+  assert.deepEqual(assigned.map((task) => task.id), [critical.id]);
+});
+
+test('other contributors can only claim an unassigned task', async () => {
+  const task = await createTask(admin, { title: 'Claim: clear the drain' });
+
+  assert.equal((await updateTask(contributor, task, { title: 'Renamed' })).status, 403);
+  assert.equal((await updateTask(contributor, task, { priority: 'low', assignee_id: 'citizen1' })).status, 403);
+  assert.equal((await updateTask(contributor, task, { assignee_id: 'citizen2' })).status, 403);
+  assert.equal((await moveTask(contributor, task, 'blocked', 'Not mine')).status, 403);
+
+  const claimed = await updateTask(contributor, task, { assignee_id: 'citizen1' });
+  assert.equal(claimed.status, 200);
+  assert.equal(claimed.body.assignee_id, 'citizen1');
+
+  // Once claimed, the assignee can work on it and others cannot take it over
+  assert.equal((await updateTask(contributor, task, { title: 'Claim: clear the storm drain' })).status, 200);
+  assert.equal((await updateTask(responder, task, { assignee_id: 'citizen2' })).status, 403);
+  assert.equal((await moveTask(responder, task, 'in_progress')).status, 403);
+  assert.equal((await updateTask(admin, task, { assignee_id: 'citizen2' })).body.assignee_id, 'citizen2');
+});
+
+test('the creator keeps control of a task and only admins delete it', async () => {
+  const task = await createTask(contributor, { title: 'Creator: hand out water' });
+  assert.equal((await updateTask(responder, task, { title: 'Taken over' })).status, 403);
+
+  assert.equal((await updateTask(contributor, task, { priority: 'high', assignee_id: 'citizen2' })).status, 200);
+  assert.equal((await moveTask(responder, task, 'in_progress')).body.assignee_id, 'citizen2');
+  assert.equal((await updateTask(contributor, task, { assignee_id: null })).body.assignee_id, null);
+
+  const path = `${tasksPath()}/${task.id}`;
+  assert.equal((await api.request(path, { method: 'DELETE', token: contributor })).status, 403);
+  assert.equal((await api.request(path, { method: 'DELETE', token: admin })).status, 200);
+  assert.equal((await updateTask(admin, task, { title: 'Gone' })).status, 404);
+});
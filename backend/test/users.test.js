@@ -0,0 +1,56 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { hashPassword, verifyPassword, loadUsers, developmentUsers, createUserDirectory } = require('../services/users');
+
+test('passwords are checked against their scrypt hash', () => {
+  const hash = hashPassword('correct horse');
+  assert.match(hash, /^scrypt\$[0-9a-f]{32}\$[0-9a-f]{128}$/);
+  assert.notEqual(hashPassword('correct horse'), hash);
+  assert.equal(verifyPassword('correct horse', hash), true);
+  assert.equal(verifyPassword('correct horsE', hash), false);
+  assert.equal(verifyPassword('correct horse', 'plaintext'), false);
+  assert.equal(verifyPassword('correct horse', hash.slice(0, -2)), false);
+});
+
+test('accounts are loaded from AUTH_USERS and must carry a role and a hash', () => {
+  const users = loadUsers({ json: JSON.stringify({ ops: { role: 'admin', password_hash: hashPassword('s3cret') } }) });
+  assert.deepEqual(Object.keys(users), ['ops']);
+  assert.equal(loadUsers({ json: '', file: '' }), null);
+
+  assert.throws(() => loadUsers({ json: JSON.stringify({ ops: { role: 'admin', password: 's3cret' } }) }), /scrypt password_hash/);
+  assert.throws(() => loadUsers({ json: JSON.stringify({ ops: { role: 'root', password_hash: hashPassword('x') } }) }), /needs a role/);
+  assert.throws(() => loadUsers({ json: '[]' }), /must be a JSON object/);
+});
+
+test('the directory signs in only with the right password and never exposes hashes', () => {
+  const { users, passwords } = developmentUsers();
+  const directory = createUserDirectory(users);
+
+  assert.deepEqual(directory.authenticate('citizen1', passwords.citizen1), { id: 'citizen1', role: 'contributor' });
+  assert.equal(directory.authenticate('citizen1', passwords.netrunnerX), null);
+  assert.equal(directory.authenticate('nobody', passwords.citizen1), null);
+  assert.equal(directory.authenticate('constructor', ''), null);
+  assert.deepEqual(directory.get('netrunnerX'), { id: 'netrunnerX', role: 'admin' });
+  assert.ok(directory.list().every((user) => Object.keys(user).join() === 'id,role'));
+  assert.notEqual(developmentUsers().passwords.citizen1, passwords.citizen1);
+});
+
+test('the server refuses to start without accounts outside local runs', () => {
+  const { status, stderr } = spawnSync(process.execPath, ['-e', "require('./server')"], {
+    cwd: path.join(__dirname, '..'),
+    env: {
+      PATH: process.env.PATH,
+      NODE_ENV: 'production',
+      STORAGE_ADAPTER: 'supabase',
+      SUPABASE_URL: 'http://127.0.0.1:9',
+      SUPABASE_ANON_KEY: 'anon',
+      SESSION_SECRET: 'secret'
+    },
+    encoding: 'utf8',
+    timeout: 30000
+  });
+  assert.notEqual(status, 0);
+  assert.match(stderr, /AUTH_USERS or AUTH_USERS_FILE is not set/);
+});
@@ -0,0 +1,23 @@
+// Record diffing used for audit history and real-time patch events
+
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+// Compares two records field by field and returns { field: { before, after } } for
+// the fields that changed. Only `after`'s own defined fields are compared, minus `ignore`.
+function diffRecords(before = {}, after = {}, { ignore = [] } = {}) {
+  const diff = {};
+  for (const field of Object.keys(after || {})) {
+    if (ignore.includes(field) || after[field] === undefined) continue;
+    if (!sameValue(before?.[field], after[field])) {
+      diff[field] = { before: before?.[field] ?? null, after: after[field] ?? null };
+    }
+  }
+  return diff;
+}
+
+// Flattens a diff into the new values, which is what clients need to patch their state
+function changedValues(diff) {
+  return Object.fromEntries(Object.entries(diff).map(([field, { after }]) => [field, after]));
+}
+
+module.exports = { diffRecords, changedValues };
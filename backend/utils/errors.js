@@ -0,0 +1,58 @@
+// API errors and the single JSON error format every route responds with:
+// { error: { code, message, details? } }, where `details` maps a field to its problem
+
+class ApiError extends Error {
+  constructor(status, code, message, details) {
+    super(message);
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+const badRequest = (message, details) => new ApiError(400, 'invalid_request', message, details);
+const unauthorized = (message = 'Authentication required') => new ApiError(401, 'unauthorized', message);
+const forbidden = (message = 'Insufficient permissions') => new ApiError(403, 'forbidden', message);
+const notFound = (resource) => new ApiError(404, 'not_found', `${resource} not found`);
+const conflict = (message, details) => new ApiError(409, 'conflict', message, details);
+// An upstream service (geocoder, Gemini, image host) failed or gave no usable answer
+const upstreamError = (message) => new ApiError(502, 'upstream_error', message);
+
+function toBody(error) {
+  const body = { code: error.code, message: error.message };
+  if (error.details) body.details = error.details;
+  return { error: body };
+}
+
+// Responds with `error` if it is an ApiError, else with a 500 carrying `fallbackMessage`
+function sendError(res, error, fallbackMessage = 'Internal server error') {
+  const apiError = error instanceof ApiError ? error : new ApiError(500, 'internal_error', fallbackMessage);
+  res.status(apiError.status).json(toBody(apiError));
+}
+
+// Final Express error handler, for errors raised outside the routes (e.g. malformed JSON bodies)
+function errorHandler(error, req, res, next) {
+  if (res.headersSent) return next(error);
+  if (error.type === 'entity.parse.failed') {
+    return sendError(res, badRequest('Request body is not valid JSON'));
+  }
+  if (error.type === 'entity.too.large') {
+    return sendError(res, new ApiError(413, 'payload_too_large', 'Request body is too large'));
+  }
+  if (!(error instanceof ApiError)) {
+    console.error('Unhandled error:', error);
+  }
+  sendError(res, error);
+}
+
+module.exports = {
+  ApiError,
+  badRequest,
+  unauthorized,
+  forbidden,
+  notFound,
+  conflict,
+  upstreamError,
+  sendError,
+  errorHandler
+};
@@ -0,0 +1,81 @@
+// Geospatial helpers shared by the storage adapters and routes
+
+const EARTH_RADIUS_METERS = 6371008.8;
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+// Great-circle distance in meters between two { lat, lng } points
+function haversineDistance(a, b) {
+  const dLat = toRadians(b.lat - a.lat);
+  const dLng = toRadians(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+// Smallest { minLat, minLng, maxLat, maxLng } box around a circle, used to prefilter radius searches
+function boundsAround({ lat, lng, radius }) {
+  const dLat = (radius / EARTH_RADIUS_METERS) * 180 / Math.PI;
+  const dLng = dLat / Math.max(Math.cos(toRadians(lat)), 0.01);
+  return {
+    minLat: Math.max(-90, lat - dLat),
+    maxLat: Math.min(90, lat + dLat),
+    minLng: Math.max(-180, lng - dLng),
+    maxLng: Math.min(180, lng + dLng)
+  };
+}
+
+// Ray casting test against a GeoJSON-style ring of [lng, lat] positions
+function pointInPolygon({ lat, lng }, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [lngI, latI] = ring[i];
+    const [lngJ, latJ] = ring[j];
+    if ((latI > lat) !== (latJ > lat) && lng < (lngJ - lngI) * (lat - latI) / (latJ - latI) + lngI) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+// Reads hex-encoded (E)WKB points, which is how PostgREST returns geography columns
+function parseWkbPoint(hex) {
+  const buffer = Buffer.from(hex, 'hex');
+  if (buffer.length < 21) return null;
+
+  const littleEndian = buffer.readUInt8(0) === 1;
+  const readUInt32 = (offset) => littleEndian ? buffer.readUInt32LE(offset) : buffer.readUInt32BE(offset);
+  const readDouble = (offset) => littleEndian ? buffer.readDoubleLE(offset) : buffer.readDoubleBE(offset);
+
+  const type = readUInt32(1);
+  if ((type & 0xff) !== 1) return null;
+
+  const offset = type & 0x20000000 ? 9 : 5;
+  if (buffer.length < offset + 16) return null;
+  return { lng: readDouble(offset), lat: readDouble(offset + 8) };
+}
+
+// Turns a stored location (WKT `POINT(lng lat)`, GeoJSON or hex EWKB) into { lat, lng }
+function parsePoint(location) {
+  if (!location) return null;
+
+  if (typeof location === 'object') {
+    if (location.type === 'Point' && Array.isArray(location.coordinates)) {
+      const [lng, lat] = location.coordinates;
+      return { lat, lng };
+    }
+    return null;
+  }
+
+  const wkt = location.match(/^(?:SRID=\d+;)?\s*POINT\s*\(\s*(-?[\d.]+)\s+(-?[\d.]+)\s*\)$/i);
+  if (wkt) {
+    return { lng: parseFloat(wkt[1]), lat: parseFloat(wkt[2]) };
+  }
+
+  if (/^[0-9a-f]+$/i.test(location)) {
+    return parseWkbPoint(location);
+  }
+  return null;
+}
+
+module.exports = { haversineDistance, boundsAround, pointInPolygon, parsePoint };
@@ -0,0 +1,59 @@
+const dns = require('dns');
+const net = require('net');
+const { badRequest } = require('./errors');
+
+// Addresses a user-supplied URL must never reach: this host, the private network, link-local
+// (including the 169.254.169.254 cloud metadata service) and other non-routable ranges
+const blocked = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => blocked.addSubnet(address, prefix, 'ipv4'));
+// IPv4-mapped IPv6 addresses (::ffff:a.b.c.d) are checked against the IPv4 ranges by BlockList itself
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => blocked.addSubnet(address, prefix, 'ipv6'));
+
+function isPublicAddress(address) {
+  const family = net.isIP(address);
+  return family !== 0 && !blocked.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+// Drop-in for dns.lookup on outgoing requests: refuses internal addresses at connect time,
+// so a host cannot pass assertPublicUrl and then re-resolve somewhere internal
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    if (addresses.some(({ address }) => !isPublicAddress(address))) {
+      return callback(Object.assign(new Error(`${hostname} resolves to a non-public address`), { code: 'EADDRBLOCKED' }));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+// Throws a 400 unless `value` is an http(s) URL whose host resolves only to public addresses.
+// The message is the same whatever the reason, so it reveals nothing about the internal network.
+async function assertPublicUrl(value, field = 'url') {
+  const refuse = () => badRequest(`${field} must be an http(s) URL on a public host`, { [field]: 'Not a public http(s) URL' });
+
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    throw refuse();
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) throw refuse();
+
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+  let addresses;
+  try {
+    addresses = net.isIP(host) ? [host] : (await dns.promises.lookup(host, { all: true })).map(({ address }) => address);
+  } catch (error) {
+    throw refuse();
+  }
+  if (addresses.length === 0 || !addresses.every(isPublicAddress)) throw refuse();
+  return url;
+}
+
+module.exports = { assertPublicUrl, publicLookup, isPublicAddress };
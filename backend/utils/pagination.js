@@ -0,0 +1,50 @@
+// Keyset (cursor) pagination shared by the storage adapters.
+// A sort is a list of keys `{ column, direction, value? }` ending in a unique column (id),
+// so every row has a stable position; `value(row)` computes derived keys such as ranks.
+
+// Cursors are opaque to clients: the sort name plus the key values of the last row on a page
+function encodeCursor(sort, values) {
+  return Buffer.from(JSON.stringify({ sort, values })).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const { sort, values } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (typeof sort === 'string' && Array.isArray(values)) {
+      return { sort, values };
+    }
+  } catch (error) {
+    // Malformed cursors are reported as null
+  }
+  return null;
+}
+
+const keyValues = (row, keys) => keys.map((key) => (key.value ? key.value(row) : row[key.column]) ?? null);
+
+function compareValues(a, b, keys) {
+  for (let index = 0; index < keys.length; index++) {
+    if (a[index] === b[index]) continue;
+    const order = a[index] < b[index] ? -1 : 1;
+    return keys[index].direction === 'desc' ? -order : order;
+  }
+  return 0;
+}
+
+// Comparator putting rows in the order described by `keys`
+const compareRows = (keys) => (a, b) => compareValues(keyValues(a, keys), keyValues(b, keys), keys);
+
+// True when `row` comes strictly after the cursor position
+const isAfterCursor = (row, keys, cursorValues) => compareValues(keyValues(row, keys), cursorValues, keys) > 0;
+
+// Builds `{ data, next_cursor }` from rows already in sort order, fetched with one row more
+// than `limit` so we know whether another page exists
+function toPage(rows, { sort, keys, limit }) {
+  const data = rows.slice(0, limit);
+  const hasMore = rows.length > limit && data.length > 0;
+  return {
+    data,
+    next_cursor: hasMore ? encodeCursor(sort, keyValues(data[data.length - 1], keys)) : null
+  };
+}
+
+module.exports = { encodeCursor, decodeCursor, keyValues, compareRows, isAfterCursor, toPage };
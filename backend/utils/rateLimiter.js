@@ -0,0 +1,46 @@
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Process-wide throttle: queued tasks start one at a time, at least `intervalMs` apart.
+// Once `maxQueue` tasks are waiting, new ones are rejected instead of piling up.
+function createRateLimiter({ intervalMs = 1000, maxQueue = 50 } = {}) {
+  const queue = [];
+  let nextStart = 0;
+  let draining = false;
+
+  async function drain() {
+    if (draining) return;
+    draining = true;
+
+    while (queue.length > 0) {
+      const wait = nextStart - Date.now();
+      if (wait > 0) await sleep(wait);
+
+      const { task, resolve, reject } = queue.shift();
+      nextStart = Date.now() + intervalMs;
+      // Spacing is between starts, so a slow task does not hold up the next slot
+      Promise.resolve().then(task).then(resolve, reject);
+    }
+
+    draining = false;
+  }
+
+  function schedule(task) {
+    if (queue.length >= maxQueue) {
+      const error = new Error(`Rate limiter queue is full (${maxQueue} waiting)`);
+      error.code = 'RATE_LIMIT_QUEUE_FULL';
+      return Promise.reject(error);
+    }
+
+    return new Promise((resolve, reject) => {
+      queue.push({ task, resolve, reject });
+      drain();
+    });
+  }
+
+  return {
+    schedule,
+    stats: () => ({ queued: queue.length, intervalMs, maxQueue })
+  };
+}
+
+module.exports = { createRateLimiter };
@@ -0,0 +1,46 @@
+const { badRequest, sendError } = require('../utils/errors');
+const schemas = require('./schemas');
+
+const LOCATIONS = ['params', 'query', 'body', 'headers'];
+
+// { field: message } with the first problem of each field; object-level problems use the location name
+function formatIssues(issues, location) {
+  const details = {};
+  for (const issue of issues) {
+    const field = issue.path.join('.') || location;
+    if (!details[field]) details[field] = issue.message;
+  }
+  return details;
+}
+
+// Express middleware checking req.params, req.query, req.body and req.headers against zod schemas.
+// The parsed values (trimmed, coerced, defaulted, unknown keys dropped) replace the raw ones;
+// header schemas should pass unknown keys through so the other headers survive.
+function validate(shape) {
+  return (req, res, next) => {
+    const details = {};
+
+    for (const location of LOCATIONS) {
+      if (!shape[location]) continue;
+      const result = shape[location].safeParse(req[location] ?? {});
+      if (result.success) {
+        req[location] = result.data;
+      } else {
+        Object.assign(details, formatIssues(result.error.issues, location));
+      }
+    }
+
+    if (Object.keys(details).length > 0) {
+      return sendError(res, badRequest('Request validation failed', details));
+    }
+    next();
+  };
+}
+
+// Checks a value outside of a request (such as an imported row) -> { data } | { details }
+function checkFields(schema, value) {
+  const result = schema.safeParse(value);
+  return result.success ? { data: result.data } : { details: formatIssues(result.error.issues, 'row') };
+}
+
+module.exports = { validate, checkFields, schemas };
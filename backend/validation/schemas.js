@@ -0,0 +1,568 @@
+const { z } = require('zod');
+const { STATUSES, SEVERITIES } = require('../services/disasterLifecycle');
+const { PRIORITIES, CATEGORIES } = require('../services/classifier');
+const { DISASTER_SORTS, REPORT_SORTS } = require('../services/search');
+const { MODERATION_ACTIONS, VERIFICATION_STATUSES } = require('../services/moderation');
+const { TASK_STATUSES, TASK_SOURCES } = require('../services/tasks');
+const { MATCH_SOURCES, DEFAULT_RADIUS } = require('../services/matching');
+const { ALERT_EVENTS } = require('../services/alerts/rules');
+const { EXPORT_FORMATS, EXPORT_INCLUDES } = require('../services/exports');
+const { IMPORT_TARGETS } = require('../services/imports');
+const { decodeCursor } = require('../utils/pagination');
+
+const RESOURCE_TYPES = ['shelter', 'medical', 'food', 'water', 'supplies'];
+
+// Field building blocks
+const id = z.string().uuid('Must be a valid id');
+
+const requiredText = (max) => z.string()
+  .trim()
+  .min(1, 'Required')
+  .max(max, `Must be at most ${max} characters`);
+
+// Blank strings count as "not given"
+const optionalText = (max) => z.string()
+  .trim()
+  .max(max, `Must be at most ${max} characters`)
+  .optional()
+  .transform((value) => value || undefined);
+
+const oneOf = (values) => z.enum(values, {
+  errorMap: () => ({ message: `Must be one of: ${values.join(', ')}` })
+});
+
+// Comma-separated query list such as `status=active,contained`, kept as a string
+const listOf = (values) => z.string()
+  .refine((value) => value.split(',').every((item) => values.includes(item)), {
+    message: `Must be a comma-separated list of: ${values.join(', ')}`
+  })
+  .optional();
+
+const NUMBER = { invalid_type_error: 'Must be a number' };
+
+const booleanFlag = z.enum(['true', 'false', '1', '0'], {
+  errorMap: () => ({ message: 'Must be true or false' })
+}).transform((value) => value === 'true' || value === '1');
+
+// `include_deleted=true` also lists soft-deleted rows, for admins looking for something to restore
+const deletedFilter = { include_deleted: booleanFlag.default('false') };
+
+const httpUrl = z.string()
+  .trim()
+  .url('Must be a valid URL')
+  .refine((value) => /^https?:\/\//i.test(value), 'Must be an http(s) URL');
+
+// Blank URLs count as "not given"
+const optionalUrl = z.preprocess(
+  (value) => (typeof value === 'string' && !value.trim() ? undefined : value),
+  httpUrl.optional()
+);
+
+const tags = z.array(requiredText(50), { invalid_type_error: 'Must be a list of tags' })
+  .max(20, 'At most 20 tags');
+
+// Comma-separated numbers such as `near=40.7,-74.0`
+const numberList = (count, message) => z.string().transform((value, ctx) => {
+  const numbers = value.split(',').map((item) => (item.trim() === '' ? NaN : Number(item)));
+  if (numbers.length !== count || !numbers.every(Number.isFinite)) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, message, fatal: true });
+    return z.NEVER;
+  }
+  return numbers;
+});
+
+const validLat = (lat) => lat >= -90 && lat <= 90;
+const validLng = (lng) => lng >= -180 && lng <= 180;
+
+const BBOX_FORMAT = 'Must be minLng,minLat,maxLng,maxLat';
+const bbox = numberList(4, BBOX_FORMAT)
+  .refine(([minLng, minLat, maxLng, maxLat]) =>
+    validLng(minLng) && validLng(maxLng) && validLat(minLat) && validLat(maxLat) && minLng <= maxLng && minLat <= maxLat,
+  `${BBOX_FORMAT}, with min <= max`)
+  .transform(([minLng, minLat, maxLng, maxLat]) => ({ minLng, minLat, maxLng, maxLat }));
+
+const point = numberList(2, 'Must be lat,lng')
+  .refine(([lat, lng]) => validLat(lat) && validLng(lng), 'Must be lat,lng within -90..90 and -180..180')
+  .transform(([lat, lng]) => ({ lat, lng }));
+
+const radius = z.coerce.number(NUMBER)
+  .int('Must be a whole number of meters')
+  .min(1, 'Must be at least 1 meter')
+  .max(500000, 'Must be at most 500000 meters')
+  .default(10000);
+
+const latitude = z.coerce.number(NUMBER).min(-90, 'Must be between -90 and 90').max(90, 'Must be between -90 and 90');
+const longitude = z.coerce.number(NUMBER).min(-180, 'Must be between -180 and 180').max(180, 'Must be between -180 and 180');
+
+const date = z.string()
+  .refine((value) => !Number.isNaN(Date.parse(value)), 'Must be a date (ISO 8601)')
+  .transform((value) => new Date(value).toISOString());
+
+// Free-form comma-separated values such as `tags=flood,urgent`, as an array
+const csv = z.string().transform((value) => value.split(',').map((item) => item.trim()).filter(Boolean));
+
+const cursor = z.string().transform((value, ctx) => {
+  const decoded = decodeCursor(value);
+  if (!decoded) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, message: 'Invalid cursor', fatal: true });
+    return z.NEVER;
+  }
+  return decoded;
+});
+
+// Text, date-range, area, sort and cursor parameters shared by the paginated searches
+const searchQuery = (sorts, defaultSort) => ({
+  q: optionalText(200),
+  from: date.optional(),
+  to: date.optional(),
+  bbox: bbox.optional(),
+  near: point.optional(),
+  radius,
+  sort: oneOf(Object.keys(sorts)).default(defaultSort),
+  limit: z.coerce.number(NUMBER)
+    .int('Must be a whole number')
+    .min(1, 'Must be at least 1')
+    .max(100, 'Must be at most 100')
+    .default(20),
+  cursor: cursor.optional()
+});
+
+function checkSearch(query, ctx) {
+  if (query.cursor && query.cursor.sort !== query.sort) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, message: 'Cursor belongs to a different sort', path: ['cursor'] });
+  }
+  if (query.from && query.to && query.from > query.to) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, message: 'Must not be after `to`', path: ['from'] });
+  }
+}
+
+// Updates must change something
+const atLeastOneField = (schema) => schema.refine(
+  (value) => Object.values(value).some((field) => field !== undefined),
+  'At least one field is required'
+);
+
+// Auth
+const login = {
+  body: z.object({
+    username: requiredText(100),
+    password: z.string().min(1, 'Required')
+  })
+};
+
+// Geocoding
+const geocode = {
+  body: z.object({ text: requiredText(2000) })
+};
+
+const geocodeSearch = {
+  query: z.object({
+    q: requiredText(200),
+    limit: z.coerce.number(NUMBER)
+      .int('Must be a whole number')
+      .min(1, 'Must be at least 1')
+      .max(10, 'Must be at most 10')
+      .default(5)
+  })
+};
+
+const reverseGeocode = {
+  query: z.object({ lat: latitude, lng: longitude })
+};
+
+// Disasters
+const disasterParams = z.object({ id });
+
+const disasterFields = {
+  title: requiredText(200),
+  location_name: optionalText(200),
+  description: optionalText(5000),
+  tags: tags.optional()
+};
+
+const createDisaster = {
+  body: z.object({
+    ...disasterFields,
+    severity: oneOf(SEVERITIES).optional()
+  })
+};
+
+const disasterFilters = {
+  tag: optionalText(50),
+  tags: csv.optional(),
+  tag_mode: oneOf(['any', 'all']).default('any'),
+  status: listOf(STATUSES),
+  severity: listOf(SEVERITIES)
+};
+
+const listDisasters = {
+  query: z.object({
+    ...searchQuery(DISASTER_SORTS, 'newest'),
+    ...disasterFilters,
+    ...deletedFilter
+  }).superRefine(checkSearch)
+};
+
+// Exports: `include=none` leaves out reports and resources
+const exportOptions = {
+  format: oneOf(EXPORT_FORMATS).default('geojson'),
+  include: listOf([...EXPORT_INCLUDES, 'none']).default(EXPORT_INCLUDES.join(','))
+};
+
+// The whole filtered set is streamed, so there is no page size or cursor
+const exportDisasters = {
+  query: z.object({
+    ...searchQuery(DISASTER_SORTS, 'newest'),
+    ...disasterFilters,
+    ...exportOptions
+  }).omit({ limit: true, cursor: true }).superRefine(checkSearch)
+};
+
+// null clears the location or description
+const updateDisaster = {
+  params: disasterParams,
+  body: atLeastOneField(z.object({
+    ...disasterFields,
+    title: disasterFields.title.optional(),
+    location_name: disasterFields.location_name.nullable(),
+    description: disasterFields.description.nullable(),
+    severity: oneOf(SEVERITIES).optional()
+  }))
+};
+
+const transitionDisaster = {
+  params: disasterParams,
+  body: z.object({
+    status: oneOf(STATUSES),
+    reason: requiredText(1000),
+    severity: oneOf(SEVERITIES).optional()
+  })
+};
+
+const disasterById = { params: disasterParams };
+
+const exportDisaster = {
+  params: disasterParams,
+  query: z.object(exportOptions)
+};
+
+const nearbyDisasters = {
+  query: z.object({ lat: latitude, lng: longitude, radius })
+};
+
+// Social media and reports share the classification filters
+const classificationQuery = z.object({
+  priority: listOf(PRIORITIES),
+  category: listOf(CATEGORIES),
+  sort: z.enum(['priority'], { errorMap: () => ({ message: 'Must be: priority' }) }).optional()
+});
+
+const socialMedia = { params: disasterParams, query: classificationQuery };
+
+// Resources
+const resourceParams = z.object({ id, resourceId: id });
+
+const resourceFields = {
+  name: requiredText(200),
+  location_name: optionalText(200),
+  type: oneOf(RESOURCE_TYPES)
+};
+
+const listResources = {
+  params: disasterParams,
+  query: z.object({
+    lat: latitude.optional(),
+    lng: longitude.optional(),
+    radius,
+    ...deletedFilter
+  }).refine((query) => (query.lat === undefined) === (query.lng === undefined), {
+    message: 'lat and lng must be given together',
+    path: ['lat']
+  })
+};
+
+const createResource = {
+  params: disasterParams,
+  body: z.object(resourceFields)
+};
+
+const updateResource = {
+  params: resourceParams,
+  body: atLeastOneField(z.object({
+    name: resourceFields.name.optional(),
+    location_name: resourceFields.location_name,
+    type: resourceFields.type.optional()
+  }))
+};
+
+const resourceById = { params: resourceParams };
+
+// Reports
+const reportParams = z.object({ id, reportId: id });
+
+const createReport = {
+  body: z.object({
+    disaster_id: id,
+    content: requiredText(5000),
+    image_url: optionalUrl,
+    location_name: optionalText(200)
+  }),
+  // Client-generated, so a retried submission can be recognised (see POST /reports)
+  headers: z.object({
+    'idempotency-key': z.string().trim()
+      .regex(/^[\w.:-]{8,200}$/, 'Must be 8-200 letters, digits or . _ : -')
+      .optional()
+  }).passthrough()
+};
+
+const listReports = {
+  params: z.object({ disaster_id: id }),
+  query: z.object({
+    ...searchQuery(REPORT_SORTS, 'newest'),
+    priority: listOf(PRIORITIES),
+    category: listOf(CATEGORIES),
+    ...deletedFilter
+  }).superRefine(checkSearch)
+};
+
+const reportById = { params: reportParams };
+
+// Moderation
+const moderationQueue = {
+  query: z.object({
+    ...searchQuery(REPORT_SORTS, 'oldest'),
+    status: listOf(VERIFICATION_STATUSES),
+    priority: listOf(PRIORITIES),
+    category: listOf(CATEGORIES)
+  }).superRefine(checkSearch)
+};
+
+const moderateReport = {
+  params: reportParams,
+  body: z.object({
+    action: oneOf(Object.keys(MODERATION_ACTIONS)),
+    reason: requiredText(1000)
+  })
+};
+
+// Tasks
+const taskParams = z.object({ id, taskId: id });
+
+const taskFields = {
+  title: optionalText(200),
+  description: optionalText(5000),
+  priority: oneOf(PRIORITIES).optional(),
+  assignee_id: optionalText(100),
+  due_at: date.optional()
+};
+
+const listTasks = {
+  params: disasterParams,
+  query: z.object({
+    status: listOf(TASK_STATUSES),
+    priority: listOf(PRIORITIES),
+    assignee: optionalText(100)
+  })
+};
+
+// A task needs a title unless it is created from a report or post, which provides one
+const createTask = {
+  params: disasterParams,
+  body: z.object({
+    ...taskFields,
+    source_type: oneOf(TASK_SOURCES).optional(),
+    source_id: id.optional()
+  })
+    .refine((task) => (task.source_type === undefined) === (task.source_id === undefined), {
+      message: 'source_type and source_id must be given together',
+      path: ['source_id']
+    })
+    .refine((task) => task.title || task.source_id, { message: 'Required', path: ['title'] })
+};
+
+// null clears the assignee or due time
+const updateTask = {
+  params: taskParams,
+  body: atLeastOneField(z.object({
+    ...taskFields,
+    assignee_id: taskFields.assignee_id.nullable(),
+    due_at: date.nullable().optional()
+  }))
+};
+
+const transitionTask = {
+  params: taskParams,
+  body: z.object({
+    status: oneOf(TASK_STATUSES),
+    reason: optionalText(1000)
+  }).refine((body) => body.status !== 'blocked' || body.reason, {
+    message: 'Say what the task is blocked on',
+    path: ['reason']
+  })
+};
+
+const taskById = { params: taskParams };
+
+// Need-to-resource matching
+const listMatches = {
+  params: disasterParams,
+  query: z.object({
+    source_type: oneOf(MATCH_SOURCES).optional(),
+    source_id: id.optional(),
+    radius: radius.default(DEFAULT_RADIUS),
+    limit: z.coerce.number(NUMBER)
+      .int('Must be a whole number')
+      .min(1, 'Must be at least 1')
+      .max(20, 'Must be at most 20')
+      .default(3)
+  }).refine((query) => (query.source_type === undefined) === (query.source_id === undefined), {
+    message: 'source_type and source_id must be given together',
+    path: ['source_id']
+  })
+};
+
+const confirmMatch = {
+  params: disasterParams,
+  body: z.object({
+    source_type: oneOf(MATCH_SOURCES),
+    source_id: id,
+    resource_id: id,
+    note: optionalText(1000)
+  })
+};
+
+// Imports: the file is the raw request body; without `format` it is picked from the Content-Type
+const importQuery = (target) => z.object({
+  format: oneOf(IMPORT_TARGETS[target].formats).optional(),
+  dry_run: booleanFlag.default('false')
+});
+
+const importDisasters = { query: importQuery('disasters') };
+
+const importResources = { params: disasterParams, query: importQuery('resources') };
+
+// One imported row, checked like the create forms; coordinates are optional and go together
+const withPoint = (fields) => z.object({
+  ...fields,
+  lat: latitude.optional(),
+  lng: longitude.optional()
+}).refine((row) => (row.lat === undefined) === (row.lng === undefined), {
+  message: 'lat and lng must be given together',
+  path: ['lat']
+});
+
+const importRows = {
+  disasters: withPoint({ ...disasterFields, severity: oneOf(SEVERITIES).optional() }),
+  resources: withPoint(resourceFields)
+};
+
+// Alert subscriptions
+const subscriptionParams = z.object({ id });
+
+// A circle around a point, or a polygon ring of [lng, lat] pairs (GeoJSON order)
+const area = z.discriminatedUnion('type', [
+  z.object({
+    type: z.literal('circle'),
+    lat: latitude,
+    lng: longitude,
+    radius: radius.removeDefault()
+  }),
+  z.object({
+    type: z.literal('polygon'),
+    coordinates: z.array(
+      z.tuple([longitude, latitude], { invalid_type_error: 'Must be a [lng, lat] pair' }),
+      { invalid_type_error: 'Must be a list of [lng, lat] pairs' }
+    ).min(3, 'At least 3 points').max(500, 'At most 500 points')
+  })
+], { errorMap: () => ({ message: 'Must be { type: "circle", lat, lng, radius } or { type: "polygon", coordinates }' }) });
+
+const createSubscription = {
+  body: z.object({
+    name: optionalText(200),
+    area,
+    tags: tags.optional(),
+    min_severity: oneOf(SEVERITIES).optional(),
+    events: z.array(oneOf(ALERT_EVENTS)).max(ALERT_EVENTS.length).optional(),
+    webhook_url: optionalUrl,
+    email: z.string().trim().email('Must be a valid email address').optional()
+  }).refine((body) => body.webhook_url || body.email, {
+    message: 'Give a webhook_url, an email or both',
+    path: ['webhook_url']
+  })
+};
+
+const subscriptionById = { params: subscriptionParams };
+
+const confirmSubscription = {
+  params: subscriptionParams,
+  query: z.object({ token: z.string().trim().min(1, 'Required').max(200) })
+};
+
+const listDeliveries = {
+  query: z.object({
+    status: oneOf(['pending', 'delivered', 'dead_letter']).optional(),
+    limit: z.coerce.number(NUMBER)
+      .int('Must be a whole number')
+      .min(1, 'Must be at least 1')
+      .max(500, 'Must be at most 500')
+      .default(100)
+  })
+};
+
+const deliveryById = { params: z.object({ id }) };
+
+const verifyImage = {
+  params: disasterParams,
+  body: z.object({ image_url: httpUrl })
+};
+
+// Admin
+const cacheQuery = {
+  query: z.object({
+    key: optionalText(1000),
+    namespace: optionalText(200)
+  })
+};
+
+module.exports = {
+  RESOURCE_TYPES,
+  login,
+  geocode,
+  geocodeSearch,
+  reverseGeocode,
+  createDisaster,
+  listDisasters,
+  exportDisasters,
+  exportDisaster,
+  updateDisaster,
+  transitionDisaster,
+  disasterById,
+  nearbyDisasters,
+  socialMedia,
+  listResources,
+  createResource,
+  updateResource,
+  resourceById,
+  createReport,
+  listReports,
+  reportById,
+  moderationQueue,
+  moderateReport,
+  listTasks,
+  createTask,
+  updateTask,
+  transitionTask,
+  taskById,
+  listMatches,
+  confirmMatch,
+  importDisasters,
+  importResources,
+  importRows,
+  createSubscription,
+  subscriptionById,
+  confirmSubscription,
+  listDeliveries,
+  deliveryById,
+  verifyImage,
+  cacheQuery
+};
@@ -1,8 +1,270 @@
-import { render, screen } from '@testing-library/react';
+import { render, screen, fireEvent, within, act, waitFor } from '@testing-library/react';
 import App from './App';
+import { API_BASE_URL } from './api';
+import { socket } from './socket';
 
-test('renders learn react link', () => {
+// No socket connection or map tiles in tests
+jest.mock('./socket', () => ({
+  socket: { on: jest.fn(), off: jest.fn(), emit: jest.fn(), connect: jest.fn(), disconnect: jest.fn() }
+}));
+jest.mock('./MapPanel', () => () => null);
+
+const disaster = {
+  id: 'd1',
+  title: 'Harbor flood',
+  location_name: 'Red Hook, Brooklyn',
+  description: 'Storm surge along the waterfront',
+  status: 'active',
+  severity: 'severe',
+  tags: ['flood'],
+  owner_id: 'netrunnerX',
+  coordinates: null,
+  created_at: '2026-10-18T10:00:00.000Z'
+};
+
+const report = {
+  id: 'r1',
+  disaster_id: 'd1',
+  user_id: 'citizen1',
+  content: 'Water in the basement on Van Brunt St',
+  verification_status: 'pending',
+  created_at: '2026-10-18T11:00:00.000Z'
+};
+
+const respond = (status, body) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  headers: { get: () => null },
+  json: async () => body
+});
+
+const notFound = (resource) => respond(404, { error: { code: 'not_found', message: `${resource} not found` } });
+
+// Answers the requests the views make on load; `routes` replaces or adds answers by "METHOD /path"
+function serve(routes = {}) {
+  const answers = {
+    'POST /auth/login': () => respond(200, { token: 'session-token', user: { id: 'citizen1', role: 'contributor' } }),
+    'GET /disasters': () => respond(200, { data: [disaster], next_cursor: null }),
+    'GET /disasters/d1': () => respond(200, disaster),
+    'GET /disasters/d1/resources': () => respond(200, { data: [], method: null }),
+    'GET /disasters/d1/tasks': () => respond(200, []),
+    'GET /disasters/d1/matches': () => respond(200, { data: [] }),
+    'GET /disasters/d1/social-media': () => respond(200, []),
+    'GET /disasters/d1/official-updates': () => respond(200, []),
+    'GET /reports/d1': () => respond(200, { data: [report], next_cursor: null }),
+    'GET /users': () => respond(200, []),
+    'GET /subscriptions': () => respond(200, []),
+    'GET /moderation/queue': () => respond(200, { data: [], next_cursor: null }),
+    'GET /admin/alerts/deliveries': () => respond(200, []),
+    ...routes
+  };
+
+  global.fetch = jest.fn(async (url, { method = 'GET' } = {}) => {
+    const path = url.slice(API_BASE_URL.length).split('?')[0];
+    const answer = answers[`${method} ${path}`];
+    return answer ? answer() : notFound('Route');
+  });
+}
+
+// Delivers a socket event to the handlers the views registered
+const receive = (event, payload) => act(() => {
+  socket.on.mock.calls.filter(([name]) => name === event).forEach(([, handler]) => handler(payload));
+});
+
+// The query strings of the requests sent to `path`
+const queriesTo = (path) => global.fetch.mock.calls
+  .map(([url]) => new URL(url))
+  .filter((url) => url.pathname.endsWith(path))
+  .map((url) => url.searchParams);
+
+const signIn = (user) => localStorage.setItem('drp_session', JSON.stringify({ token: 'session-token', user }));
+const visit = (path) => window.history.pushState({}, '', path);
+
+beforeEach(() => {
+  localStorage.clear();
+  visit('/');
+  serve();
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  delete global.fetch;
+});
+
+test('signing in opens the dashboard with the disasters', async () => {
+  render(<App />);
+  fireEvent.change(screen.getByPlaceholderText('Username'), { target: { value: 'citizen1' } });
+  fireEvent.change(screen.getByPlaceholderText('Password'), { target: { value: 'citizen123' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Sign In' }));
+
+  expect(await screen.findByRole('heading', { name: 'Harbor flood', level: 3 })).toBeInTheDocument();
+  expect(screen.getByRole('heading', { name: '🔥 Disasters' })).toBeInTheDocument();
+  expect(JSON.parse(localStorage.getItem('drp_session')).token).toBe('session-token');
+  expect(screen.queryByRole('link', { name: 'Admin' })).not.toBeInTheDocument();
+});
+
+test('a failed sign in shows the reason and stays on the login form', async () => {
+  serve({ 'POST /auth/login': () => respond(401, { error: { code: 'unauthorized', message: 'Invalid username or password' } }) });
+  render(<App />);
+  fireEvent.change(screen.getByPlaceholderText('Username'), { target: { value: 'citizen1' } });
+  fireEvent.change(screen.getByPlaceholderText('Password'), { target: { value: 'wrong' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Sign In' }));
+
+  expect(await screen.findByText('Invalid username or password')).toBeInTheDocument();
+  expect(localStorage.getItem('drp_session')).toBeNull();
+});
+
+test('a disaster opens in its own view with its reports', async () => {
+  signIn({ id: 'citizen1', role: 'contributor' });
+  render(<App />);
+
+  fireEvent.click(await screen.findByRole('link', { name: /Harbor flood/ }));
+
+  expect(await screen.findByRole('heading', { name: 'Harbor flood', level: 2 })).toBeInTheDocument();
+  expect(window.location.pathname).toBe('/disasters/d1');
+  expect(await screen.findByText(report.content)).toBeInTheDocument();
+});
+
+test('tasks offer the moves their status allows', async () => {
+  signIn({ id: 'citizen1', role: 'contributor' });
+  serve({
+    'GET /disasters/d1/tasks': () => respond(200, [
+      { id: 't1', disaster_id: 'd1', title: 'Sandbag the clinic', status: 'open', priority: 'high' },
+      { id: 't2', disaster_id: 'd1', title: 'Clear the drain', status: 'blocked', priority: 'medium' }
+    ])
+  });
+  visit('/disasters/d1');
+  render(<App />);
+
+  // Only the open task is started; the blocked one is resumed or reopened
+  expect(await screen.findByText('Sandbag the clinic')).toBeInTheDocument();
+  expect(screen.getAllByRole('button', { name: 'Start' })).toHaveLength(1);
+  expect(screen.getAllByRole('button', { name: 'Block' })).toHaveLength(1);
+  expect(screen.getAllByRole('button', { name: 'Resume' })).toHaveLength(1);
+  expect(screen.getAllByRole('button', { name: 'Reopen' })).toHaveLength(1);
+});
+
+test('clearing a field while editing a disaster sends null for it', async () => {
+  signIn({ id: 'reliefAdmin', role: 'admin' });
+  const update = jest.fn(() => respond(200, { ...disaster, description: null }));
+  serve({ 'PUT /disasters/d1': update });
+  jest.spyOn(window, 'confirm').mockReturnValue(true);
+  visit('/disasters/d1');
+  render(<App />);
+
+  fireEvent.click(await screen.findByRole('button', { name: /Edit/ }));
+  fireEvent.change(screen.getByPlaceholderText('Description'), { target: { value: ' ' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Save Changes' }));
+
+  expect(await screen.findByRole('button', { name: /Edit/ })).toBeInTheDocument();
+  const [, { body }] = global.fetch.mock.calls.find(([, options]) => options?.method === 'PUT');
+  expect(JSON.parse(body)).toEqual({ description: null });
+  expect(screen.queryByText(disaster.description)).not.toBeInTheDocument();
+});
+
+test('new disasters join the dashboard, or re-run the search while one is active', async () => {
+  signIn({ id: 'citizen1', role: 'contributor' });
+  render(<App />);
+  expect(await screen.findByRole('heading', { name: 'Harbor flood', level: 3 })).toBeInTheDocument();
+
+  receive('disaster_updated', { action: 'create', disaster: { ...disaster, id: 'd2', title: 'Ridge fire' } });
+  expect(screen.getByRole('heading', { name: 'Ridge fire', level: 3 })).toBeInTheDocument();
+
+  fireEvent.change(screen.getByPlaceholderText('Search disasters...'), { target: { value: 'harbor' } });
+  await waitFor(() => expect(queriesTo('/disasters').at(-1).get('q')).toBe('harbor'));
+  const searches = queriesTo('/disasters').length;
+
+  receive('disaster_updated', { action: 'create', disaster: { ...disaster, id: 'd3', title: 'Canal fire' } });
+  await waitFor(() => expect(queriesTo('/disasters')).toHaveLength(searches + 1));
+  expect(screen.queryByRole('heading', { name: 'Canal fire', level: 3 })).not.toBeInTheDocument();
+});
+
+test('live reports join the list in priority order, and re-run an active search', async () => {
+  signIn({ id: 'citizen1', role: 'contributor' });
+  serve({
+    'GET /reports/d1': () => respond(200, { data: [{ ...report, priority: 'high' }], next_cursor: 'page-2' })
+  });
+  visit('/disasters/d1');
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+  expect(await screen.findByText(report.content)).toBeInTheDocument();
+
+  const live = (id, content, priority) => ({ ...report, id, content, priority, created_at: '2026-10-18T12:00:00.000Z' });
+  receive('report_created', { disaster_id: 'd1', report: live('r2', 'Roof collapse on Dwight St', 'critical') });
+  // A low report sorts after the loaded page, so it waits for the next one
+  receive('report_created', { disaster_id: 'd1', report: live('r3', 'Leaflets needed', 'low') });
+  receive('report_created', { disaster_id: 'other', report: live('r4', 'Another disaster', 'critical') });
+
+  const contents = screen.getAllByText(/Roof collapse|Van Brunt|Leaflets|Another disaster/).map((item) => item.textContent);
+  expect(contents).toEqual(['Roof collapse on Dwight St', report.content]);
+
+  fireEvent.change(screen.getByPlaceholderText('Search reports...'), { target: { value: 'basement' } });
+  await waitFor(() => expect(queriesTo('/reports/d1').at(-1).get('q')).toBe('basement'));
+  const searches = queriesTo('/reports/d1').length;
+
+  receive('report_created', { disaster_id: 'd1', report: live('r5', 'Gas leak on Court St', 'critical') });
+  await waitFor(() => expect(queriesTo('/reports/d1')).toHaveLength(searches + 1));
+  expect(queriesTo('/reports/d1').at(-1).get('q')).toBe('basement');
+  expect(screen.queryByText('Gas leak on Court St')).not.toBeInTheDocument();
+});
+
+test('live resources re-run the area search instead of joining the list', async () => {
+  signIn({ id: 'citizen1', role: 'contributor' });
+  serve({ 'GET /disasters/d1': () => respond(200, { ...disaster, coordinates: { lat: 40.6757, lng: -74.0122 } }) });
+  visit('/disasters/d1');
+  render(<App />);
+  await waitFor(() => expect(queriesTo('/disasters/d1/resources')).toHaveLength(1));
+  expect(queriesTo('/disasters/d1/resources')[0].get('radius')).toBe('10000');
+
+  receive('resources_updated', {
+    disaster_id: 'd1', action: 'create', resource: { id: 'far', name: 'Shelter in Queens', type: 'shelter' }
+  });
+  await waitFor(() => expect(queriesTo('/disasters/d1/resources')).toHaveLength(2));
+  expect(screen.queryByText('Shelter in Queens')).not.toBeInTheDocument();
+});
+
+test('a link to a disaster that does not exist says so', async () => {
+  signIn({ id: 'citizen1', role: 'contributor' });
+  serve({ 'GET /disasters/missing': () => notFound('Disaster') });
+  visit('/disasters/missing');
+  render(<App />);
+
+  expect(await screen.findByText('Disaster not found')).toBeInTheDocument();
+  expect(screen.getByRole('link', { name: '← Back to all disasters' })).toHaveAttribute('href', '/');
+});
+
+test('the admin view is only open to admins', async () => {
+  signIn({ id: 'citizen1', role: 'contributor' });
+  visit('/admin');
+  const { unmount } = render(<App />);
+
+  expect(await screen.findByRole('heading', { name: '🔥 Disasters' })).toBeInTheDocument();
+  expect(window.location.pathname).toBe('/');
+  unmount();
+
+  signIn({ id: 'reliefAdmin', role: 'admin' });
+  visit('/admin');
+  render(<App />);
+
+  expect(await screen.findByRole('heading', { name: '🛡️ Moderation Queue' })).toBeInTheDocument();
+  const nav = screen.getByRole('navigation');
+  expect(within(nav).getByRole('link', { name: 'Admin' })).toHaveAttribute('aria-current', 'page');
+});
+
+test('unknown paths go back to the dashboard', async () => {
+  signIn({ id: 'citizen1', role: 'contributor' });
+  visit('/no/such/page');
+  render(<App />);
+
+  expect(await screen.findByRole('heading', { name: '🔥 Disasters' })).toBeInTheDocument();
+  expect(window.location.pathname).toBe('/');
+});
+
+test('a rejected session signs the user out', async () => {
+  signIn({ id: 'citizen1', role: 'contributor' });
+  serve({ 'GET /disasters': () => respond(401, { error: { code: 'unauthorized', message: 'Invalid or expired token' } }) });
+  render(<App />);
+
+  expect(await screen.findByRole('heading', { name: /Disaster Response Login/ })).toBeInTheDocument();
+  expect(localStorage.getItem('drp_session')).toBeNull();
 });
@@ -0,0 +1,150 @@
+import React, { useEffect } from 'react';
+import { MapContainer, TileLayer, CircleMarker, Circle, Popup, useMap, useMapEvents } from 'react-leaflet';
+import 'leaflet/dist/leaflet.css';
+
+const DEFAULT_CENTER = [40.7128, -74.006];
+
+const resourceColors = {
+  shelter: '#2563eb',
+  medical: '#dc2626',
+  food: '#ea580c',
+  water: '#0891b2',
+  supplies: '#7c3aed'
+};
+
+const reportColors = {
+  critical: '#b91c1c',
+  high: '#f97316',
+  medium: '#eab308',
+  low: '#6b7280'
+};
+
+// Moves the search area center to wherever the map is clicked
+function SearchAreaPicker({ onPick }) {
+  useMapEvents({
+    click: (e) => onPick({ lat: e.latlng.lat, lng: e.latlng.lng })
+  });
+  return null;
+}
+
+// Pans to the selected disaster when it changes
+function FlyToSelection({ coordinates }) {
+  const map = useMap();
+  const lat = coordinates?.lat;
+  const lng = coordinates?.lng;
+
+  useEffect(() => {
+    if (lat != null && lng != null) {
+      map.flyTo([lat, lng], Math.max(map.getZoom(), 12));
+    }
+  }, [map, lat, lng]);
+
+  return null;
+}
+
+function MapPanel({ disasters, resources, reports, selectedDisaster, onSelectDisaster, searchArea, onSearchAreaChange }) {
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6">
+      <div className="flex justify-between items-center mb-3">
+        <h2 className="text-xl font-semibold text-gray-800">🗺️ Map</h2>
+        {selectedDisaster && searchArea && (
+          <label className="flex items-center gap-2 text-sm text-gray-600">
+            Resource radius: {(searchArea.radius / 1000).toFixed(1)} km
+            <input
+              type="range"
+              min="1000"
+              max="50000"
+              step="500"
+              value={searchArea.radius}
+              onChange={(e) => onSearchAreaChange({ ...searchArea, radius: Number(e.target.value) })}
+            />
+          </label>
+        )}
+      </div>
+
+      <MapContainer center={DEFAULT_CENTER} zoom={10} className="h-96 w-full rounded-md z-0">
+        <TileLayer
+          attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
+          url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
+        />
+        <FlyToSelection coordinates={selectedDisaster?.coordinates} />
+
+        {selectedDisaster && (
+          <SearchAreaPicker onPick={(center) => onSearchAreaChange({ ...center, radius: searchArea?.radius || 10000 })} />
+        )}
+
+        {searchArea && (
+          <Circle
+            center={[searchArea.lat, searchArea.lng]}
+            radius={searchArea.radius}
+            pathOptions={{ color: '#2563eb', weight: 1, fillOpacity: 0.05 }}
+          />
+        )}
+
+        {disasters.filter((disaster) => disaster.coordinates).map((disaster) => (
+          <CircleMarker
+            key={`disaster-${disaster.id}`}
+            center={[disaster.coordinates.lat, disaster.coordinates.lng]}
+            radius={selectedDisaster?.id === disaster.id ? 12 : 9}
+            pathOptions={{
+              color: '#991b1b',
+              fillColor: selectedDisaster?.id === disaster.id ? '#ef4444' : '#fca5a5',
+              fillOpacity: 0.8
+            }}
+            eventHandlers={{ click: () => onSelectDisaster(disaster) }}
+          >
+            <Popup>
+              <strong>{disaster.title}</strong>
+              <br />
+              📍 {disaster.location_name}
+            </Popup>
+          </CircleMarker>
+        ))}
+
+        {resources.filter((resource) => resource.coordinates).map((resource) => (
+          <CircleMarker
+            key={`resource-${resource.id}`}
+            center={[resource.coordinates.lat, resource.coordinates.lng]}
+            radius={7}
+            pathOptions={{ color: resourceColors[resource.type] || '#374151', fillOpacity: 0.7 }}
+          >
+            <Popup>
+              <strong>{resource.name}</strong> ({resource.type})
+              <br />
+              📍 {resource.location_name}
+            </Popup>
+          </CircleMarker>
+        ))}
+
+        {reports.filter((report) => report.coordinates).map((report) => (
+          <CircleMarker
+            key={`report-${report.id}`}
+            center={[report.coordinates.lat, report.coordinates.lng]}
+            radius={5}
+            pathOptions={{ color: reportColors[report.priority] || '#6b7280', fillOpacity: 0.9 }}
+          >
+            <Popup>
+              {report.content}
+              <br />
+              <em>{report.priority} · {report.user_id}</em>
+            </Popup>
+          </CircleMarker>
+        ))}
+      </MapContainer>
+
+      <div className="flex flex-wrap gap-3 mt-3 text-xs text-gray-600">
+        <span><span className="inline-block w-3 h-3 rounded-full mr-1 bg-red-400" />Disaster</span>
+        {Object.entries(resourceColors).map(([type, color]) => (
+          <span key={type}>
+            <span className="inline-block w-3 h-3 rounded-full mr-1" style={{ backgroundColor: color }} />
+            {type}
+          </span>
+        ))}
+        <span>· small dots are reports, colored by priority</span>
+        {selectedDisaster && <span>· click the map to move the resource search area</span>}
+      </div>
+    </div>
+  );
+}
+
+export default MapPanel;
@@ -0,0 +1,141 @@
+// The backend API. Every request the app makes goes through a client from createApiClient, which
+// sends the session token and turns error responses into ApiErrors.
+export const API_BASE_URL = process.env.REACT_APP_API_URL;
+
+// API errors come back as { error: { code, message, details: { field: problem } } }; `status` is 0
+// when the server could not be reached. FieldError renders these directly.
+export class ApiError extends Error {
+  constructor(message, { status = 0, code = null, details = {} } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+const readError = async (response) => {
+  try {
+    const { error } = await response.json();
+    return new ApiError(error?.message || 'Request failed', { status: response.status, code: error?.code, details: error?.details });
+  } catch (error) {
+    return new ApiError(`Request failed (${response.status})`, { status: response.status });
+  }
+};
+
+// Drops unset parameters so callers can pass optional filters as they are
+const queryString = (params = {}) => {
+  const query = new URLSearchParams(Object.entries(params).filter(([, value]) => value != null && value !== ''));
+  return query.toString() ? `?${query}` : '';
+};
+
+// `getToken()` reads the current session token; `onUnauthorized()` runs when the server rejects it
+export function createApiClient({ getToken = () => null, onUnauthorized = () => {} } = {}) {
+  // -> the parsed JSON body, or the Response itself with `raw` (downloads)
+  async function request(path, { method = 'GET', query, body, headers = {}, raw = false, auth = true } = {}) {
+    const token = auth ? getToken() : null;
+    const isText = typeof body === 'string';
+
+    let response;
+    try {
+      response = await fetch(`${API_BASE_URL}${path}${queryString(query)}`, {
+        method,
+        headers: {
+          ...(body !== undefined && { 'Content-Type': isText ? 'text/plain' : 'application/json' }),
+          ...(token && { Authorization: `Bearer ${token}` }),
+          ...headers
+        },
+        body: body === undefined || isText ? body : JSON.stringify(body)
+      });
+    } catch (error) {
+      throw new ApiError('Unable to reach server');
+    }
+
+    if (!response.ok) {
+      if (response.status === 401 && auth) onUnauthorized();
+      throw await readError(response);
+    }
+    return raw ? response : response.json();
+  }
+
+  // Exports stream a file; the name comes from Content-Disposition
+  async function download(path, query) {
+    const response = await request(path, { query, raw: true });
+    const filename = response.headers.get('Content-Disposition')?.match(/filename="(.+)"/)?.[1] || `export.${query.format}`;
+    return { filename, blob: await response.blob() };
+  }
+
+  const disasterPath = (id) => `/disasters/${id}`;
+
+  return {
+    auth: {
+      login: (credentials) => request('/auth/login', { method: 'POST', body: credentials, auth: false })
+    },
+    users: {
+      list: () => request('/users')
+    },
+    disasters: {
+      list: (query) => request('/disasters', { query }),
+      get: (id) => request(disasterPath(id)),
+      create: (fields) => request('/disasters', { method: 'POST', body: fields }),
+      update: (id, fields) => request(disasterPath(id), { method: 'PUT', body: fields }),
+      remove: (id) => request(disasterPath(id), { method: 'DELETE' }),
+      transition: (id, { status, reason }) => request(`${disasterPath(id)}/transition`, { method: 'POST', body: { status, reason } }),
+      socialMedia: (id, query) => request(`${disasterPath(id)}/social-media`, { query }),
+      officialUpdates: (id) => request(`${disasterPath(id)}/official-updates`),
+      verifyImage: (id, imageUrl) => request(`${disasterPath(id)}/verify-image`, { method: 'POST', body: { image_url: imageUrl } }),
+      exportAll: (query) => download('/disasters/export', query),
+      exportOne: (id, query) => download(`${disasterPath(id)}/export`, query),
+      import: (text, query) => request('/disasters/import', { method: 'POST', query, body: text })
+    },
+    reports: {
+      list: (disasterId, query) => request(`/reports/${disasterId}`, { query }),
+      // The idempotency key makes the submission safe to retry (see the outbox)
+      create: (report, { idempotencyKey } = {}) => request('/reports', {
+        method: 'POST',
+        body: report,
+        headers: idempotencyKey ? { 'Idempotency-Key': idempotencyKey } : {}
+      }),
+      moderate: (report, { action, reason }) => request(
+        `${disasterPath(report.disaster_id)}/reports/${report.id}/moderate`,
+        { method: 'POST', body: { action, reason } }
+      ),
+      moderationQueue: (query) => request('/moderation/queue', { query })
+    },
+    resources: {
+      // With an { lat, lng, radius } area only the resources inside it, nearest first
+      list: (disasterId, area) => request(`${disasterPath(disasterId)}/resources`, { query: area }),
+      create: (disasterId, fields) => request(`${disasterPath(disasterId)}/resources`, { method: 'POST', body: fields }),
+      update: (disasterId, id, fields) => request(`${disasterPath(disasterId)}/resources/${id}`, { method: 'PUT', body: fields }),
+      remove: (disasterId, id) => request(`${disasterPath(disasterId)}/resources/${id}`, { method: 'DELETE' }),
+      import: (disasterId, text, query) => request(`${disasterPath(disasterId)}/resources/import`, { method: 'POST', query, body: text })
+    },
+    tasks: {
+      list: (disasterId) => request(`${disasterPath(disasterId)}/tasks`),
+      create: (disasterId, fields) => request(`${disasterPath(disasterId)}/tasks`, { method: 'POST', body: fields }),
+      update: (disasterId, id, fields) => request(`${disasterPath(disasterId)}/tasks/${id}`, { method: 'PUT', body: fields }),
+      transition: (disasterId, id, { status, reason }) => request(
+        `${disasterPath(disasterId)}/tasks/${id}/transition`,
+        { method: 'POST', body: { status, reason } }
+      )
+    },
+    matches: {
+      list: (disasterId) => request(`${disasterPath(disasterId)}/matches`),
+      confirm: (disasterId, fields) => request(`${disasterPath(disasterId)}/matches`, { method: 'POST', body: fields })
+    },
+    geocode: {
+      extract: (text) => request('/geocode', { method: 'POST', body: { text } }),
+      reverse: ({ lat, lng }) => request('/geocode/reverse', { query: { lat, lng } })
+    },
+    subscriptions: {
+      list: () => request('/subscriptions'),
+      create: (fields) => request('/subscriptions', { method: 'POST', body: fields }),
+      remove: (id) => request(`/subscriptions/${id}`, { method: 'DELETE' }),
+      test: (id) => request(`/subscriptions/${id}/test`, { method: 'POST' })
+    },
+    alertDeliveries: {
+      list: (query) => request('/admin/alerts/deliveries', { query }),
+      retry: (id) => request(`/admin/alerts/deliveries/${id}/retry`, { method: 'POST' })
+    }
+  };
+}
@@ -0,0 +1,103 @@
+import { createApiClient, ApiError, API_BASE_URL } from './api';
+
+const respond = (status, body, headers = {}) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  headers: { get: (name) => headers[name] ?? null },
+  json: async () => body,
+  blob: async () => new Blob([JSON.stringify(body)])
+});
+
+beforeEach(() => {
+  global.fetch = jest.fn(async () => respond(200, {}));
+});
+
+afterEach(() => {
+  delete global.fetch;
+});
+
+const lastCall = () => {
+  const [url, options] = global.fetch.mock.calls[global.fetch.mock.calls.length - 1];
+  return { url, options };
+};
+
+test('requests carry the session token and only the parameters that are set', async () => {
+  const api = createApiClient({ getToken: () => 'session-token' });
+  await api.disasters.list({ q: 'flood', cursor: null, limit: 20, tag: '' });
+
+  const { url, options } = lastCall();
+  expect(url).toBe(`${API_BASE_URL}/disasters?q=flood&limit=20`);
+  expect(options.method).toBe('GET');
+  expect(options.headers).toEqual({ Authorization: 'Bearer session-token' });
+  expect(options.body).toBeUndefined();
+});
+
+test('JSON and text bodies are sent with their content type, and reports with their idempotency key', async () => {
+  const api = createApiClient({ getToken: () => 'session-token' });
+
+  await api.reports.create({ disaster_id: 'd1', content: 'Water rising' }, { idempotencyKey: 'key-1' });
+  expect(lastCall().options).toMatchObject({
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'Idempotency-Key': 'key-1' },
+    body: JSON.stringify({ disaster_id: 'd1', content: 'Water rising' })
+  });
+
+  await api.disasters.import('title\nFlood', { format: 'csv', dry_run: true });
+  expect(lastCall().url).toBe(`${API_BASE_URL}/disasters/import?format=csv&dry_run=true`);
+  expect(lastCall().options).toMatchObject({ headers: { 'Content-Type': 'text/plain' }, body: 'title\nFlood' });
+});
+
+test('login is sent without a token', async () => {
+  const api = createApiClient({ getToken: () => 'stale-token' });
+  await api.auth.login({ username: 'citizen1', password: 'citizen123' });
+  expect(lastCall().options.headers.Authorization).toBeUndefined();
+});
+
+test('error responses become ApiErrors with the status, code and field details', async () => {
+  global.fetch.mockResolvedValueOnce(respond(400, {
+    error: { code: 'invalid_request', message: 'Invalid request', details: { title: 'Required' } }
+  }));
+  const api = createApiClient();
+
+  const error = await api.disasters.create({}).catch((caught) => caught);
+  expect(error).toBeInstanceOf(ApiError);
+  expect(error).toMatchObject({ message: 'Invalid request', status: 400, code: 'invalid_request', details: { title: 'Required' } });
+});
+
+test('a body that is not the error format still gives an ApiError', async () => {
+  global.fetch.mockResolvedValueOnce({ ...respond(502), json: async () => { throw new SyntaxError('Unexpected token <'); } });
+  const error = await createApiClient().disasters.get('d1').catch((caught) => caught);
+  expect(error).toMatchObject({ message: 'Request failed (502)', status: 502, details: {} });
+});
+
+test('an unreachable server is an ApiError with status 0', async () => {
+  global.fetch.mockRejectedValueOnce(new TypeError('Failed to fetch'));
+  const error = await createApiClient().disasters.get('d1').catch((caught) => caught);
+  expect(error).toMatchObject({ message: 'Unable to reach server', status: 0 });
+});
+
+test('a rejected session runs onUnauthorized, but a failed login does not', async () => {
+  const onUnauthorized = jest.fn();
+  const api = createApiClient({ getToken: () => 'expired', onUnauthorized });
+  const unauthorized = respond(401, { error: { code: 'unauthorized', message: 'Authentication required' } });
+
+  global.fetch.mockResolvedValueOnce(unauthorized);
+  await expect(api.disasters.list()).rejects.toMatchObject({ status: 401 });
+  expect(onUnauthorized).toHaveBeenCalledTimes(1);
+
+  global.fetch.mockResolvedValueOnce(unauthorized);
+  await expect(api.auth.login({ username: 'x', password: 'y' })).rejects.toMatchObject({ status: 401 });
+  expect(onUnauthorized).toHaveBeenCalledTimes(1);
+});
+
+test('downloads are named from Content-Disposition, else after the format', async () => {
+  const api = createApiClient();
+
+  global.fetch.mockResolvedValueOnce(respond(200, {}, { 'Content-Disposition': 'attachment; filename="disaster-d1.kml"' }));
+  expect((await api.disasters.exportOne('d1', { format: 'kml' })).filename).toBe('disaster-d1.kml');
+
+  global.fetch.mockResolvedValueOnce(respond(200, {}));
+  const { filename, blob } = await api.disasters.exportAll({ format: 'csv' });
+  expect(filename).toBe('export.csv');
+  expect(blob).toBeInstanceOf(Blob);
+});
@@ -0,0 +1,82 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { FieldError } from '../shared';
+
+const deliveryStyles = {
+  pending: 'bg-yellow-100 text-yellow-700',
+  delivered: 'bg-green-100 text-green-700',
+  dead_letter: 'bg-red-100 text-red-700'
+};
+
+// Admin log of area alert deliveries, newest first; dead-lettered ones can be sent again
+function AlertDeliveries({ api }) {
+  const [deliveries, setDeliveries] = useState([]);
+  const [status, setStatus] = useState('');
+  const [error, setError] = useState(null);
+
+  const fetchDeliveries = useCallback(async () => {
+    try {
+      setDeliveries(await api.alertDeliveries.list({ status, limit: 100 }));
+    } catch (error) {
+      console.error('Error fetching alert deliveries:', error);
+    }
+  }, [api, status]);
+
+  useEffect(() => {
+    fetchDeliveries();
+  }, [fetchDeliveries]);
+
+  const retry = async (delivery) => {
+    setError(null);
+    try {
+      const data = await api.alertDeliveries.retry(delivery.id);
+      setDeliveries((list) => list.map((item) => (item.id === data.id ? data : item)));
+    } catch (error) {
+      console.error('Error retrying alert delivery:', error);
+      setError(error);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6">
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-xl font-semibold text-amber-600">📨 Alert Deliveries</h2>
+        <div className="flex gap-2">
+          <select value={status} onChange={(e) => setStatus(e.target.value)} className="p-1 border rounded-md text-sm">
+            <option value="">All</option>
+            <option value="pending">Pending</option>
+            <option value="delivered">Delivered</option>
+            <option value="dead_letter">Dead letter</option>
+          </select>
+          <button onClick={fetchDeliveries} className="text-sm bg-gray-200 px-2 py-1 rounded hover:bg-gray-300">
+            Refresh
+          </button>
+        </div>
+      </div>
+      <FieldError error={error} />
+      {deliveries.length === 0 && <p className="text-gray-500 text-sm">No deliveries</p>}
+      <div className="space-y-2 max-h-96 overflow-y-auto">
+        {deliveries.map((delivery) => (
+          <div key={delivery.id} className="border rounded-md p-2 text-sm">
+            <div className="flex justify-between items-center">
+              <span>
+                <span className={`text-xs px-2 py-0.5 rounded-full mr-1 ${deliveryStyles[delivery.status]}`}>{delivery.status}</span>
+                {delivery.event_type} · {delivery.channel}
+              </span>
+              {delivery.status === 'dead_letter' && (
+                <button onClick={() => retry(delivery)} className="text-xs bg-gray-200 px-2 py-1 rounded hover:bg-gray-300">
+                  Retry
+                </button>
+              )}
+            </div>
+            <p className="text-xs text-gray-500">
+              {new Date(delivery.created_at).toLocaleString()} · {delivery.attempts} attempt{delivery.attempts === 1 ? '' : 's'}
+              {delivery.last_error && ` · ${delivery.last_error}`}
+            </p>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default AlertDeliveries;
@@ -0,0 +1,198 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { FieldError, SEVERITIES } from '../shared';
+
+// Area alert subscriptions: a circle around a point, delivered by webhook and/or email
+const emptySubscriptionForm = { name: '', lat: '', lng: '', radius_km: '10', tags: '', min_severity: '', webhook_url: '', email: '' };
+
+function AlertSubscriptions({ api }) {
+  const [subscriptions, setSubscriptions] = useState([]);
+  const [form, setForm] = useState(emptySubscriptionForm);
+  const [error, setError] = useState(null);
+  const [secret, setSecret] = useState(null);
+  const [testResults, setTestResults] = useState({});
+
+  const fetchSubscriptions = useCallback(async () => {
+    try {
+      setSubscriptions(await api.subscriptions.list());
+    } catch (error) {
+      console.error('Error fetching subscriptions:', error);
+    }
+  }, [api]);
+
+  useEffect(() => {
+    fetchSubscriptions();
+  }, [fetchSubscriptions]);
+
+  const fillMyLocation = () => {
+    navigator.geolocation?.getCurrentPosition(({ coords }) => {
+      setForm((current) => ({ ...current, lat: coords.latitude.toFixed(5), lng: coords.longitude.toFixed(5) }));
+    });
+  };
+
+  const subscribe = async (e) => {
+    e.preventDefault();
+    setError(null);
+    try {
+      const { webhook_secret, email_confirmation, ...subscription } = await api.subscriptions.create({
+        name: form.name,
+        area: { type: 'circle', lat: form.lat, lng: form.lng, radius: Math.round(Number(form.radius_km) * 1000) },
+        tags: form.tags ? form.tags.split(',').map((tag) => tag.trim()).filter(Boolean) : undefined,
+        min_severity: form.min_severity || undefined,
+        webhook_url: form.webhook_url,
+        email: form.email || undefined
+      });
+      setSubscriptions((list) => [subscription, ...list]);
+      setSecret(webhook_secret);
+      setForm(emptySubscriptionForm);
+    } catch (error) {
+      console.error('Error creating subscription:', error);
+      setError(error);
+    }
+  };
+
+  const unsubscribe = async (subscription) => {
+    if (!window.confirm(`Stop alerts for "${subscription.name || 'Unnamed alert'}"?`)) return;
+    try {
+      await api.subscriptions.remove(subscription.id);
+      setSubscriptions((list) => list.filter((item) => item.id !== subscription.id));
+    } catch (error) {
+      console.error('Error deleting subscription:', error);
+    }
+  };
+
+  const sendTest = async (subscription) => {
+    let result;
+    try {
+      const deliveries = await api.subscriptions.test(subscription.id);
+      result = deliveries.map((delivery) => `${delivery.channel}: ${delivery.status}`).join(', ');
+    } catch (error) {
+      console.error('Error sending test alert:', error);
+      result = error.message;
+    }
+    setTestResults((current) => ({ ...current, [subscription.id]: result }));
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6">
+      <h2 className="text-xl font-semibold mb-4 text-amber-600">🔔 Area Alerts</h2>
+      <form onSubmit={subscribe} className="space-y-2">
+        <input
+          type="text"
+          placeholder="Name (optional)"
+          value={form.name}
+          onChange={(e) => setForm({ ...form, name: e.target.value })}
+          className="w-full p-2 border rounded-md"
+        />
+        <div className="flex gap-2">
+          <input
+            type="number"
+            step="any"
+            placeholder="Lat"
+            value={form.lat}
+            onChange={(e) => setForm({ ...form, lat: e.target.value })}
+            className="w-1/3 p-2 border rounded-md"
+            required
+          />
+          <input
+            type="number"
+            step="any"
+            placeholder="Lng"
+            value={form.lng}
+            onChange={(e) => setForm({ ...form, lng: e.target.value })}
+            className="w-1/3 p-2 border rounded-md"
+            required
+          />
+          <input
+            type="number"
+            min="1"
+            placeholder="km"
+            value={form.radius_km}
+            onChange={(e) => setForm({ ...form, radius_km: e.target.value })}
+            className="w-1/3 p-2 border rounded-md"
+            required
+          />
+        </div>
+        <FieldError error={error} field="area.lat" />
+        <FieldError error={error} field="area.lng" />
+        <FieldError error={error} field="area.radius" />
+        <button type="button" onClick={fillMyLocation} className="text-sm bg-gray-200 px-2 py-1 rounded hover:bg-gray-300">
+          📍 Use my location
+        </button>
+        <input
+          type="text"
+          placeholder="Tags (optional, comma separated)"
+          value={form.tags}
+          onChange={(e) => setForm({ ...form, tags: e.target.value })}
+          className="w-full p-2 border rounded-md"
+        />
+        <select
+          value={form.min_severity}
+          onChange={(e) => setForm({ ...form, min_severity: e.target.value })}
+          className="w-full p-2 border rounded-md"
+        >
+          <option value="">Any severity</option>
+          {SEVERITIES.map((severity) => (
+            <option key={severity} value={severity}>At least {severity}</option>
+          ))}
+        </select>
+        <input
+          type="url"
+          placeholder="Webhook URL"
+          value={form.webhook_url}
+          onChange={(e) => setForm({ ...form, webhook_url: e.target.value })}
+          className="w-full p-2 border rounded-md"
+        />
+        <FieldError error={error} field="webhook_url" />
+        <input
+          type="email"
+          placeholder="Email"
+          value={form.email}
+          onChange={(e) => setForm({ ...form, email: e.target.value })}
+          className="w-full p-2 border rounded-md"
+        />
+        <FieldError error={error} field="email" />
+        <FieldError error={error} />
+        <button type="submit" className="w-full bg-amber-600 text-white p-2 rounded-md hover:bg-amber-700">
+          Subscribe
+        </button>
+      </form>
+      {secret && (
+        <div className="mt-3 p-2 bg-amber-50 rounded-md text-xs break-all">
+          <p className="font-medium">Webhook signing secret (shown once):</p>
+          <code>{secret}</code>
+        </div>
+      )}
+      <div className="mt-4 space-y-2">
+        {subscriptions.map((subscription) => (
+          <div key={subscription.id} className="border rounded-md p-2 text-sm">
+            <p className="font-medium">{subscription.name || 'Unnamed alert'}</p>
+            <p className="text-xs text-gray-500">
+              {subscription.area.type === 'circle'
+                ? `${subscription.area.radius / 1000} km around ${subscription.area.lat}, ${subscription.area.lng}`
+                : `Polygon of ${subscription.area.coordinates.length} points`}
+              {subscription.min_severity && ` · ≥ ${subscription.min_severity}`}
+              {subscription.tags.length > 0 && ` · ${subscription.tags.join(', ')}`}
+            </p>
+            <p className="text-xs text-gray-500">
+              {[
+                subscription.webhook_url && '🔗 webhook',
+                subscription.email && `✉️ ${subscription.email}${subscription.email_confirmed ? '' : ' (check your inbox to confirm)'}`
+              ].filter(Boolean).join(' · ')}
+            </p>
+            <div className="flex gap-2 mt-1">
+              <button onClick={() => sendTest(subscription)} className="text-xs bg-gray-200 px-2 py-1 rounded hover:bg-gray-300">
+                Send test
+              </button>
+              <button onClick={() => unsubscribe(subscription)} className="text-xs bg-red-100 text-red-700 px-2 py-1 rounded hover:bg-red-200">
+                Unsubscribe
+              </button>
+            </div>
+            {testResults[subscription.id] && <p className="text-xs text-gray-600 mt-1">{testResults[subscription.id]}</p>}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default AlertSubscriptions;
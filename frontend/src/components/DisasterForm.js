@@ -0,0 +1,105 @@
+import React, { useState } from 'react';
+import { FieldError, SEVERITIES } from '../shared';
+
+const formFrom = (disaster) => ({
+  title: disaster?.title || '',
+  location_name: disaster?.location_name || '',
+  description: disaster?.description || '',
+  tags: disaster?.tags?.join(', ') || '',
+  severity: disaster?.severity || 'moderate'
+});
+
+// Fields an edit can clear; blank ones are sent as null
+const CLEARABLE_FIELDS = ['location_name', 'description'];
+
+// Creates a disaster, or edits `disaster`. `onSave(fields)` throws the API error when the server refuses
+// the fields; a create form is cleared after saving.
+function DisasterForm({ disaster, onSave, onCancel }) {
+  const [form, setForm] = useState(() => formFrom(disaster));
+  const [error, setError] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const submit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError(null);
+    try {
+      const fields = { ...form, tags: form.tags.split(',').map((tag) => tag.trim()).filter(Boolean) };
+      if (disaster) {
+        CLEARABLE_FIELDS.forEach((field) => { fields[field] = fields[field].trim() || null; });
+      }
+      await onSave(fields);
+      if (!disaster) setForm(formFrom());
+    } catch (error) {
+      console.error('Error saving disaster:', error);
+      setError(error);
+    }
+    setSaving(false);
+  };
+
+  return (
+    <form onSubmit={submit} className="space-y-3">
+      <input
+        type="text"
+        placeholder="Disaster Title"
+        value={form.title}
+        onChange={(e) => setForm({ ...form, title: e.target.value })}
+        className="w-full p-2 border rounded-md"
+        required
+      />
+      <FieldError error={error} field="title" />
+      <input
+        type="text"
+        placeholder="Location (e.g., Manhattan, NYC)"
+        value={form.location_name}
+        onChange={(e) => setForm({ ...form, location_name: e.target.value })}
+        className="w-full p-2 border rounded-md"
+        required={!disaster}
+      />
+      <FieldError error={error} field="location_name" />
+      <textarea
+        placeholder="Description"
+        value={form.description}
+        onChange={(e) => setForm({ ...form, description: e.target.value })}
+        className="w-full p-2 border rounded-md h-20"
+        required={!disaster}
+      />
+      <FieldError error={error} field="description" />
+      <input
+        type="text"
+        placeholder="Tags (comma separated, e.g., flood, urgent)"
+        value={form.tags}
+        onChange={(e) => setForm({ ...form, tags: e.target.value })}
+        className="w-full p-2 border rounded-md"
+      />
+      <FieldError error={error} field="tags" />
+      <select
+        value={form.severity}
+        onChange={(e) => setForm({ ...form, severity: e.target.value })}
+        className="w-full p-2 border rounded-md"
+      >
+        {SEVERITIES.map((severity) => (
+          <option key={severity} value={severity}>Severity: {severity}</option>
+        ))}
+      </select>
+      <FieldError error={error} field="severity" />
+      <FieldError error={error} />
+      <div className="flex gap-2">
+        <button
+          type="submit"
+          disabled={saving}
+          className="flex-1 bg-red-600 text-white p-2 rounded-md hover:bg-red-700 disabled:opacity-50"
+        >
+          {saving ? 'Saving...' : disaster ? 'Save Changes' : 'Create Disaster'}
+        </button>
+        {onCancel && (
+          <button type="button" onClick={onCancel} className="px-3 bg-gray-200 rounded-md hover:bg-gray-300">
+            Cancel
+          </button>
+        )}
+      </div>
+    </form>
+  );
+}
+
+export default DisasterForm;
@@ -0,0 +1,55 @@
+import React, { useState } from 'react';
+
+const EXPORT_FORMATS = [
+  { format: 'geojson', label: 'GeoJSON' },
+  { format: 'csv', label: 'CSV' },
+  { format: 'kml', label: 'KML' },
+  { format: 'cap', label: 'CAP 1.2' }
+];
+
+// Downloads an export: `disasterId` for one disaster, else every disaster matching `params`.
+// The file is fetched through the API client because exports need the session token.
+function ExportMenu({ api, disasterId, params = {} }) {
+  const [format, setFormat] = useState('geojson');
+  const [downloading, setDownloading] = useState(false);
+
+  const download = async (e) => {
+    e.stopPropagation();
+    setDownloading(true);
+    try {
+      const query = { ...params, format };
+      const { filename, blob } = disasterId
+        ? await api.disasters.exportOne(disasterId, query)
+        : await api.disasters.exportAll(query);
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = filename;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Error downloading export:', error);
+      alert(error.message);
+    }
+    setDownloading(false);
+  };
+
+  return (
+    <div className="flex gap-1 items-center" onClick={(e) => e.stopPropagation()}>
+      <select value={format} onChange={(e) => setFormat(e.target.value)} className="p-1 border rounded-md text-xs">
+        {EXPORT_FORMATS.map(({ format: value, label }) => (
+          <option key={value} value={value}>{label}</option>
+        ))}
+      </select>
+      <button
+        onClick={download}
+        disabled={downloading}
+        className="text-xs bg-gray-200 px-2 py-1 rounded hover:bg-gray-300 disabled:opacity-50"
+      >
+        {downloading ? 'Exporting...' : '⬇️ Export'}
+      </button>
+    </div>
+  );
+}
+
+export default ExportMenu;
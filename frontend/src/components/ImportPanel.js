@@ -0,0 +1,95 @@
+import React, { useState } from 'react';
+import { FieldError } from '../shared';
+
+// Bulk import of CAP, GeoJSON or CSV files; the format comes from the file extension
+const IMPORT_FORMATS = { xml: 'cap', cap: 'cap', geojson: 'geojson', json: 'geojson', csv: 'csv' };
+const importActionStyles = {
+  create: 'bg-green-100 text-green-700',
+  update: 'bg-blue-100 text-blue-700',
+  unchanged: 'bg-gray-100 text-gray-600',
+  reject: 'bg-red-100 text-red-700',
+  skip: 'bg-yellow-100 text-yellow-700'
+};
+
+// Without a disaster it imports disasters, with one it imports that disaster's resources
+function ImportPanel({ api, disaster }) {
+  const [file, setFile] = useState(null);
+  const [dryRun, setDryRun] = useState(true);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+  const [importing, setImporting] = useState(false);
+
+  const runImport = async (e) => {
+    e.preventDefault();
+    const format = IMPORT_FORMATS[file.name.split('.').pop().toLowerCase()];
+    if (!format) {
+      setError({ message: 'Choose a .xml (CAP), .geojson, .json or .csv file', details: {} });
+      return;
+    }
+
+    setImporting(true);
+    setError(null);
+    try {
+      const text = await file.text();
+      const query = { format, dry_run: dryRun };
+      setResult(disaster
+        ? await api.resources.import(disaster.id, text, query)
+        : await api.disasters.import(text, query));
+    } catch (error) {
+      console.error('Error importing file:', error);
+      setError(error);
+    }
+    setImporting(false);
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6">
+      <h2 className="text-xl font-semibold mb-1 text-teal-700">📥 Import {disaster ? 'Resources' : 'Disasters'}</h2>
+      <p className="text-xs text-gray-500 mb-3">{disaster ? 'GeoJSON or CSV' : 'CAP, GeoJSON or CSV'}</p>
+      <form onSubmit={runImport} className="flex flex-wrap gap-2 items-center">
+        <input
+          type="file"
+          accept={disaster ? '.geojson,.json,.csv' : '.xml,.cap,.geojson,.json,.csv'}
+          onChange={(e) => setFile(e.target.files[0] || null)}
+          className="text-sm"
+          required
+        />
+        <label className="text-sm flex items-center gap-1">
+          <input type="checkbox" checked={dryRun} onChange={(e) => setDryRun(e.target.checked)} />
+          Dry run
+        </label>
+        <button
+          type="submit"
+          disabled={importing || !file}
+          className="bg-teal-600 text-white px-3 py-1 rounded-md text-sm hover:bg-teal-700 disabled:opacity-50"
+        >
+          {importing ? 'Importing...' : dryRun ? 'Preview' : 'Import'}
+        </button>
+      </form>
+      <FieldError error={error} />
+      {result && (
+        <div className="mt-4">
+          <p className="text-sm font-medium mb-2">
+            {result.dry_run ? 'Plan' : 'Imported'} ({result.format}):{' '}
+            {Object.entries(result.summary).map(([action, count]) => `${count} ${action}`).join(', ')}
+          </p>
+          <div className="max-h-64 overflow-y-auto space-y-1">
+            {result.rows.map((row) => (
+              <div key={row.row} className="text-xs border rounded p-1">
+                <span className="text-gray-500 mr-1">Row {row.row}</span>
+                <span className={`px-1 rounded mr-1 ${importActionStyles[row.action]}`}>{row.action}</span>
+                {row.record?.title || row.record?.name}
+                {row.changes && Object.keys(row.changes).length > 0 && ` changes: ${Object.keys(row.changes).join(', ')}`}
+                {row.reason && ` ${row.reason}`}
+                {row.errors && ` (${Object.entries(row.errors).map(([field, problem]) => `${field}: ${problem}`).join('; ')})`}
+                {row.warnings.length > 0 && <span className="text-yellow-700"> ⚠️ {row.warnings.join('; ')}</span>}
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ImportPanel;
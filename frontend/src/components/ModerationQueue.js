@@ -0,0 +1,115 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { FieldError, LoadMore, PAGE_SIZE, appendPage, priorityStyles, verificationStyles } from '../shared';
+
+const MODERATION_ACTIONS = [
+  { action: 'approve', label: '✅ Approve', style: 'bg-green-600 hover:bg-green-700' },
+  { action: 'reject', label: '✖️ Reject', style: 'bg-gray-600 hover:bg-gray-700' },
+  { action: 'misinformation', label: '⚠️ Misinformation', style: 'bg-red-600 hover:bg-red-700' }
+];
+
+// Admin view of pending and flagged reports across disasters, with a reason required per decision
+function ModerationQueue({ api }) {
+  const [queue, setQueue] = useState([]);
+  const [cursor, setCursor] = useState(null);
+  const [sort, setSort] = useState('oldest');
+  const [reasons, setReasons] = useState({});
+  const [errors, setErrors] = useState({});
+
+  const fetchQueue = useCallback(async (after) => {
+    try {
+      const page = await api.reports.moderationQueue({ limit: PAGE_SIZE, sort, cursor: after });
+      setQueue((list) => (after ? appendPage(list, page.data) : page.data));
+      setCursor(page.next_cursor);
+    } catch (error) {
+      console.error('Error fetching moderation queue:', error);
+    }
+  }, [api, sort]);
+
+  useEffect(() => {
+    fetchQueue();
+  }, [fetchQueue]);
+
+  const moderate = async (report, action) => {
+    setErrors((current) => ({ ...current, [report.id]: null }));
+    try {
+      const { contributor } = await api.reports.moderate(report, { action, reason: reasons[report.id] || '' });
+      // Drop the decided report and show the author's new trust score on the rest of their reports
+      setQueue((list) => list
+        .filter((item) => item.id !== report.id)
+        .map((item) => (item.user_id === contributor.user_id ? { ...item, contributor } : item)));
+    } catch (error) {
+      console.error('Error moderating report:', error);
+      setErrors((current) => ({ ...current, [report.id]: error }));
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6">
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-xl font-semibold text-indigo-700">🛡️ Moderation Queue</h2>
+        <div className="flex gap-2">
+          <select value={sort} onChange={(e) => setSort(e.target.value)} className="p-1 border rounded-md text-sm">
+            <option value="oldest">Oldest first</option>
+            <option value="priority">Most urgent first</option>
+          </select>
+          <button onClick={() => fetchQueue()} className="text-sm bg-gray-200 px-2 py-1 rounded hover:bg-gray-300">
+            Refresh
+          </button>
+        </div>
+      </div>
+      {queue.length === 0 && <p className="text-gray-500 text-sm">Nothing to review</p>}
+      <div className="space-y-3 max-h-96 overflow-y-auto">
+        {queue.map((report) => (
+          <div key={report.id} className="border rounded-md p-3">
+            <div className="flex gap-1 mb-1">
+              {report.priority && (
+                <span className={`text-xs px-2 py-0.5 rounded-full font-semibold ${priorityStyles[report.priority]}`}>
+                  {report.priority}
+                </span>
+              )}
+              <span className={`text-xs px-2 py-0.5 rounded-full ${verificationStyles[report.verification_status]}`}>
+                {report.verification_status}
+                {report.verification_score != null && ` · ${report.verification_score}/10`}
+              </span>
+            </div>
+            <p className="text-sm">{report.content}</p>
+            {report.image_url && (
+              <a href={report.image_url} target="_blank" rel="noreferrer" className="text-xs text-blue-600 underline">
+                View image
+              </a>
+            )}
+            <p className="text-xs text-gray-500 mt-1">
+              By: {report.user_id} · trust {Math.round(report.contributor.trust_score * 100)}%
+              ({report.contributor.approved} approved, {report.contributor.rejected} rejected,
+              {' '}{report.contributor.misinformation} misinformation)
+              {report.location_name && ` · 📍 ${report.location_name}`}
+            </p>
+            <input
+              type="text"
+              placeholder="Reason (required)"
+              value={reasons[report.id] || ''}
+              onChange={(e) => setReasons((current) => ({ ...current, [report.id]: e.target.value }))}
+              className="w-full p-1 border rounded-md text-sm mt-2"
+            />
+            <FieldError error={errors[report.id]} field="reason" />
+            <FieldError error={errors[report.id]} />
+            <div className="flex gap-2 mt-2">
+              {MODERATION_ACTIONS.map(({ action, label, style }) => (
+                <button
+                  key={action}
+                  onClick={() => moderate(report, action)}
+                  className={`text-xs text-white px-2 py-1 rounded ${style}`}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+          </div>
+        ))}
+        <LoadMore cursor={cursor} onLoadMore={fetchQueue} />
+      </div>
+    </div>
+  );
+}
+
+export default ModerationQueue;
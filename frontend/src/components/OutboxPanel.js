@@ -0,0 +1,42 @@
+import React from 'react';
+
+// Reports waiting to be sent: queued while offline, or when the server could not be reached
+function OutboxPanel({ items, online, syncing, onSync, onDiscard }) {
+  if (items.length === 0) return null;
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6">
+      <h2 className="text-xl font-semibold mb-2 text-gray-700">📤 Outbox ({items.length})</h2>
+      <p className="text-xs text-gray-500 mb-3">
+        {online ? 'These reports are sent automatically while you are online.' : 'You are offline. These reports will be sent when the connection returns.'}
+      </p>
+      <div className="space-y-2">
+        {items.map((item) => (
+          <div key={item.key} className="border rounded-md p-2 text-sm">
+            <p className="truncate">{item.report.content}</p>
+            <p className="text-xs text-gray-500">
+              {item.disaster_title} · queued {new Date(item.queued_at).toLocaleString()}
+            </p>
+            {item.error && (
+              <div className="flex items-center justify-between gap-2 mt-1">
+                <p className="text-xs text-red-600">{item.error.message}</p>
+                <button onClick={() => onDiscard(item)} className="text-xs bg-red-100 text-red-700 px-2 py-1 rounded hover:bg-red-200">
+                  Discard
+                </button>
+              </div>
+            )}
+          </div>
+        ))}
+      </div>
+      <button
+        onClick={onSync}
+        disabled={!online || syncing}
+        className="w-full mt-3 bg-gray-200 p-2 rounded-md text-sm hover:bg-gray-300 disabled:opacity-50"
+      >
+        {syncing ? 'Sending...' : 'Send now'}
+      </button>
+    </div>
+  );
+}
+
+export default OutboxPanel;
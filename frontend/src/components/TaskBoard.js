@@ -0,0 +1,102 @@
+import React, { useState } from 'react';
+import { FieldError, priorityStyles } from '../shared';
+
+// Task workflow, mirroring backend/services/tasks.js
+const TASK_COLUMNS = [
+  { status: 'open', label: '📥 Open' },
+  { status: 'in_progress', label: '🚧 In progress' },
+  { status: 'blocked', label: '⛔ Blocked' },
+  { status: 'done', label: '✅ Done' }
+];
+const TASK_TRANSITIONS = {
+  open: ['in_progress', 'blocked'],
+  in_progress: ['done', 'blocked', 'open'],
+  blocked: ['in_progress', 'open'],
+  done: ['in_progress']
+};
+const taskStatusLabels = { open: 'Reopen', in_progress: 'Start', blocked: 'Block', done: 'Done' };
+
+// Blocked and done tasks are resumed rather than started
+const moveLabel = (from, to) => (to === 'in_progress' && from !== 'open' ? 'Resume' : taskStatusLabels[to]);
+
+// Kanban board of a disaster's tasks; moves follow TASK_TRANSITIONS and blocking asks for a reason
+function TaskBoard({ tasks, users, error, onCreate, onMove, onAssign }) {
+  const [title, setTitle] = useState('');
+
+  const submit = async (e) => {
+    e.preventDefault();
+    if (await onCreate({ title })) setTitle('');
+  };
+
+  const move = (task, status) => {
+    const reason = status === 'blocked' ? window.prompt('What is this task blocked on?') : undefined;
+    if (status === 'blocked' && !reason) return;
+    onMove(task, status, reason);
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6">
+      <h3 className="text-lg font-semibold mb-3 text-gray-800">🗂️ Tasks</h3>
+      <form onSubmit={submit} className="flex gap-2 mb-1">
+        <input
+          type="text"
+          placeholder="New task..."
+          value={title}
+          onChange={(e) => setTitle(e.target.value)}
+          className="flex-1 p-2 border rounded-md text-sm"
+        />
+        <button type="submit" className="px-3 bg-indigo-600 text-white rounded-md text-sm hover:bg-indigo-700">
+          Add
+        </button>
+      </form>
+      <FieldError error={error} field="title" />
+      <FieldError error={error} />
+      <div className="grid grid-cols-2 gap-2 mt-2">
+        {TASK_COLUMNS.map(({ status, label }) => (
+          <div key={status} className="bg-gray-50 rounded-md p-2">
+            <p className="text-xs font-semibold text-gray-600 mb-1">
+              {label} ({tasks.filter((task) => task.status === status).length})
+            </p>
+            <div className="space-y-2 max-h-48 overflow-y-auto">
+              {tasks.filter((task) => task.status === status).map((task) => (
+                <div key={task.id} className="bg-white border rounded p-2">
+                  <p className="text-sm font-medium">{task.title}</p>
+                  <div className="flex flex-wrap gap-1 mt-1">
+                    <span className={`text-xs px-1 rounded ${priorityStyles[task.priority]}`}>{task.priority}</span>
+                    {task.source_type && <span className="text-xs text-gray-500">from {task.source_type.replace('_', ' ')}</span>}
+                  </div>
+                  {task.due_at && (
+                    <p className={`text-xs mt-1 ${new Date(task.due_at) < new Date() && status !== 'done' ? 'text-red-600' : 'text-gray-500'}`}>
+                      ⏰ {new Date(task.due_at).toLocaleString()}
+                    </p>
+                  )}
+                  <select
+                    value={task.assignee_id || ''}
+                    onChange={(e) => onAssign(task, e.target.value || null)}
+                    className="w-full text-xs border rounded mt-1"
+                  >
+                    <option value="">Unassigned</option>
+                    {users.map((user) => <option key={user.id} value={user.id}>{user.id}</option>)}
+                  </select>
+                  <div className="flex flex-wrap gap-1 mt-1">
+                    {TASK_TRANSITIONS[task.status].map((next) => (
+                      <button
+                        key={next}
+                        onClick={() => move(task, next)}
+                        className="text-xs bg-gray-200 px-1 rounded hover:bg-gray-300"
+                      >
+                        {moveLabel(task.status, next)}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default TaskBoard;
@@ -0,0 +1,78 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { loadOutbox, saveOutbox, shouldRetry } from '../offline';
+
+// The signed-in user's report outbox (see offline.js). Tracks connectivity and sends queued reports
+// when the app starts and whenever the connection comes back.
+function useOutbox(api, user) {
+  const [items, setItems] = useState(loadOutbox);
+  const [online, setOnline] = useState(navigator.onLine);
+  const [syncing, setSyncing] = useState(false);
+  const running = useRef(false);
+
+  // localStorage is the source of truth so the queue survives reloads; state mirrors it for rendering
+  const update = useCallback((change) => {
+    const next = change(loadOutbox());
+    saveOutbox(next);
+    setItems(next);
+  }, []);
+
+  const queue = (key, report, disasterTitle) => {
+    update((list) => [...list, {
+      key,
+      user_id: user.id,
+      report,
+      disaster_title: disasterTitle,
+      queued_at: new Date().toISOString(),
+      error: null
+    }]);
+  };
+
+  // Sends queued reports oldest first, stopping at the first that still cannot get through.
+  // Reports the server rejects stay queued with the reason until they are discarded.
+  const sync = useCallback(async () => {
+    if (running.current || !navigator.onLine) return;
+    running.current = true;
+    setSyncing(true);
+
+    const pending = loadOutbox().filter((item) => item.user_id === user.id && !item.error);
+    for (const item of pending) {
+      try {
+        await api.reports.create(item.report, { idempotencyKey: item.key });
+        update((list) => list.filter((queued) => queued.key !== item.key));
+      } catch (error) {
+        console.error('Error sending queued report:', error);
+        if (shouldRetry(error) || error.status === 401) break;
+        const reason = { message: error.message, details: error.details };
+        update((list) => list.map((queued) => (queued.key === item.key ? { ...queued, error: reason } : queued)));
+      }
+    }
+
+    running.current = false;
+    setSyncing(false);
+  }, [api, user.id, update]);
+
+  const discard = (item) => {
+    if (!window.confirm('Discard this report? It has not been sent.')) return;
+    update((list) => list.filter((queued) => queued.key !== item.key));
+  };
+
+  useEffect(() => {
+    const goOnline = () => {
+      setOnline(true);
+      sync();
+    };
+    const goOffline = () => setOnline(false);
+    window.addEventListener('online', goOnline);
+    window.addEventListener('offline', goOffline);
+    sync();
+
+    return () => {
+      window.removeEventListener('online', goOnline);
+      window.removeEventListener('offline', goOffline);
+    };
+  }, [sync]);
+
+  return { items: items.filter((item) => item.user_id === user.id), online, syncing, queue, sync, discard };
+}
+
+export default useOutbox;
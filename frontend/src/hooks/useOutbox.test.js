@@ -0,0 +1,99 @@
+import { renderHook, act, waitFor } from '@testing-library/react';
+import useOutbox from './useOutbox';
+import { loadOutbox, saveOutbox } from '../offline';
+import { ApiError } from '../api';
+
+const user = { id: 'citizen1' };
+
+const queued = (key, { userId = user.id, error = null } = {}) => ({
+  key,
+  user_id: userId,
+  report: { disaster_id: 'd1', content: `Report ${key}` },
+  disaster_title: 'Harbor flood',
+  queued_at: '2026-10-18T10:00:00.000Z',
+  error
+});
+
+const fakeApi = (create = async (report) => ({ id: `saved-${report.content}`, ...report })) => ({
+  reports: { create: jest.fn(create) }
+});
+
+let onLine;
+
+beforeEach(() => {
+  localStorage.clear();
+  onLine = jest.spyOn(window.navigator, 'onLine', 'get').mockReturnValue(true);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+test('reports queued offline stay on the device and are sent when the connection returns', async () => {
+  onLine.mockReturnValue(false);
+  const api = fakeApi();
+  const { result } = renderHook(() => useOutbox(api, user));
+  expect(result.current.online).toBe(false);
+
+  act(() => result.current.queue('key-1', { disaster_id: 'd1', content: 'Water rising' }, 'Harbor flood'));
+  expect(result.current.items).toHaveLength(1);
+  expect(loadOutbox()[0]).toMatchObject({ key: 'key-1', user_id: 'citizen1', disaster_title: 'Harbor flood', error: null });
+  expect(api.reports.create).not.toHaveBeenCalled();
+
+  onLine.mockReturnValue(true);
+  act(() => {
+    window.dispatchEvent(new Event('online'));
+  });
+
+  await waitFor(() => expect(result.current.items).toHaveLength(0));
+  expect(result.current.online).toBe(true);
+  expect(api.reports.create).toHaveBeenCalledWith({ disaster_id: 'd1', content: 'Water rising' }, { idempotencyKey: 'key-1' });
+  expect(loadOutbox()).toEqual([]);
+});
+
+test('rejected reports keep the reason and sending stops at one that cannot get through yet', async () => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  saveOutbox([queued('rejected'), queued('sent'), queued('unreachable'), queued('later')]);
+  const api = fakeApi(async (report, { idempotencyKey }) => {
+    if (idempotencyKey === 'rejected') {
+      throw new ApiError('Invalid request', { status: 400, details: { content: 'Too long' } });
+    }
+    if (idempotencyKey === 'unreachable') throw new ApiError('Unable to reach server');
+    return { id: idempotencyKey, ...report };
+  });
+
+  const { result } = renderHook(() => useOutbox(api, user));
+  await waitFor(() => expect(result.current.syncing).toBe(false));
+  await waitFor(() => expect(result.current.items.map((item) => item.key)).toEqual(['rejected', 'unreachable', 'later']));
+
+  expect(api.reports.create.mock.calls.map(([, options]) => options.idempotencyKey)).toEqual(['rejected', 'sent', 'unreachable']);
+  expect(result.current.items[0].error).toEqual({ message: 'Invalid request', details: { content: 'Too long' } });
+  expect(result.current.items[1].error).toBeNull();
+});
+
+test('only the signed-in user\'s reports are shown and sent', async () => {
+  saveOutbox([queued('mine'), queued('theirs', { userId: 'netrunnerX' })]);
+  const api = fakeApi();
+
+  const { result } = renderHook(() => useOutbox(api, user));
+  await waitFor(() => expect(result.current.items).toHaveLength(0));
+
+  expect(api.reports.create).toHaveBeenCalledTimes(1);
+  expect(loadOutbox().map((item) => item.key)).toEqual(['theirs']);
+});
+
+test('a report is only discarded once the user confirms', async () => {
+  saveOutbox([queued('failed', { error: { message: 'Invalid request' } })]);
+  const confirm = jest.spyOn(window, 'confirm');
+  const { result } = renderHook(() => useOutbox(fakeApi(), user));
+  const [item] = result.current.items;
+
+  confirm.mockReturnValueOnce(false);
+  act(() => result.current.discard(item));
+  expect(result.current.items).toHaveLength(1);
+
+  confirm.mockReturnValueOnce(true);
+  act(() => result.current.discard(item));
+  expect(result.current.items).toHaveLength(0);
+  confirm.mockRestore();
+});
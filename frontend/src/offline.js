@@ -0,0 +1,38 @@
+// Offline support shared by the app and the service worker: the API cache and the report outbox,
+// a queue of report submissions kept in localStorage until they reach the server
+export const API_CACHE = 'drp-api';
+const OUTBOX_STORAGE_KEY = 'drp_outbox';
+const LAST_DISASTER_STORAGE_KEY = 'drp_last_disaster';
+
+const readJson = (key, fallback) => {
+  try {
+    return JSON.parse(localStorage.getItem(key)) ?? fallback;
+  } catch (error) {
+    return fallback;
+  }
+};
+
+// [{ key, user_id, report: { disaster_id, content, location_name, image_url }, disaster_title, queued_at, error }]
+// Reports wait for their author: they are only sent with that user's session
+export const loadOutbox = () => readJson(OUTBOX_STORAGE_KEY, []);
+export const saveOutbox = (items) => localStorage.setItem(OUTBOX_STORAGE_KEY, JSON.stringify(items));
+
+// The last disaster viewed, linked from the dashboard; the service worker has its data cached
+export const loadLastDisaster = () => readJson(LAST_DISASTER_STORAGE_KEY, null);
+export const saveLastDisaster = (disaster) => (disaster
+  ? localStorage.setItem(LAST_DISASTER_STORAGE_KEY, JSON.stringify(disaster))
+  : localStorage.removeItem(LAST_DISASTER_STORAGE_KEY));
+
+// Sent as the Idempotency-Key header, so a submission retried after a lost response is stored once
+export const newIdempotencyKey = () => crypto.randomUUID();
+
+// No response at all (status 0), or one saying the server is unavailable for now: worth trying again later
+export const shouldRetry = (error) => [0, 408, 429, 502, 503, 504].includes(error.status);
+
+// Drops cached API responses on logout, so the next user of the device does not see them
+export const clearOfflineData = () => {
+  localStorage.removeItem(LAST_DISASTER_STORAGE_KEY);
+  if (window.caches) {
+    window.caches.delete(API_CACHE);
+  }
+};
@@ -0,0 +1,60 @@
+/* eslint-disable no-restricted-globals */
+// Service worker, built by react-scripts (Workbox InjectManifest) in production builds only.
+// The app shell is precached; API reads are network-first, so the last disasters viewed stay
+// available offline, and map tiles are served from cache once seen.
+import { clientsClaim } from 'workbox-core';
+import { ExpirationPlugin } from 'workbox-expiration';
+import { precacheAndRoute, createHandlerBoundToURL } from 'workbox-precaching';
+import { registerRoute } from 'workbox-routing';
+import { CacheFirst, NetworkFirst } from 'workbox-strategies';
+import { CacheableResponsePlugin } from 'workbox-cacheable-response';
+import { API_CACHE } from './offline';
+
+const API_ORIGIN = new URL(process.env.REACT_APP_API_URL || self.location.origin, self.location.href).origin;
+const DAY = 24 * 60 * 60;
+
+clientsClaim();
+
+precacheAndRoute(self.__WB_MANIFEST);
+
+// Navigations get index.html, except for files and /_ paths
+const fileExtension = /\/[^/?]+\.[^/]+$/;
+registerRoute(
+  ({ request, url }) => request.mode === 'navigate' && !url.pathname.startsWith('/_') && !fileExtension.test(url.pathname),
+  createHandlerBoundToURL(`${process.env.PUBLIC_URL}/index.html`)
+);
+
+// Disasters, reports, resources and the rest of the data views; exports and admin calls are not kept
+const isCachedApiRead = (url) => url.origin === API_ORIGIN &&
+  !/^\/(auth|admin|moderation)\b/.test(url.pathname) &&
+  !url.pathname.endsWith('/export');
+
+registerRoute(
+  ({ request, url }) => request.method === 'GET' && isCachedApiRead(url),
+  new NetworkFirst({
+    cacheName: API_CACHE,
+    networkTimeoutSeconds: 10,
+    plugins: [
+      new CacheableResponsePlugin({ statuses: [200] }),
+      new ExpirationPlugin({ maxEntries: 100, maxAgeSeconds: 7 * DAY })
+    ]
+  })
+);
+
+registerRoute(
+  ({ url }) => url.hostname.endsWith('tile.openstreetmap.org'),
+  new CacheFirst({
+    cacheName: 'drp-map-tiles',
+    plugins: [
+      new CacheableResponsePlugin({ statuses: [0, 200] }),
+      new ExpirationPlugin({ maxEntries: 500, maxAgeSeconds: 7 * DAY, purgeOnQuotaError: true })
+    ]
+  })
+);
+
+// Lets the page activate a waiting update (see serviceWorkerRegistration.js)
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
+});
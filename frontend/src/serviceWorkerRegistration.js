@@ -0,0 +1,30 @@
+// Registers src/service-worker.js (emitted as /service-worker.js by production builds).
+// Development builds have no service worker, so nothing is cached while working on the app.
+export function register() {
+  if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) return;
+
+  window.addEventListener('load', async () => {
+    try {
+      const registration = await navigator.serviceWorker.register(`${process.env.PUBLIC_URL}/service-worker.js`);
+
+      // A new version takes over straight away; open pages pick up its shell on their next load
+      registration.addEventListener('updatefound', () => {
+        const worker = registration.installing;
+        worker?.addEventListener('statechange', () => {
+          if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+            worker.postMessage({ type: 'SKIP_WAITING' });
+          }
+        });
+      });
+    } catch (error) {
+      console.error('Error registering service worker:', error);
+    }
+  });
+}
+
+export async function unregister() {
+  if (!('serviceWorker' in navigator)) return;
+
+  const registration = await navigator.serviceWorker.getRegistration();
+  await registration?.unregister();
+}
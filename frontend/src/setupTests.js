@@ -3,3 +3,14 @@
 // expect(element).toHaveTextContent(/react/i)
 // learn more: https://github.com/testing-library/jest-dom
 import '@testing-library/jest-dom';
+
+// react-router 7 needs TextEncoder, which the jsdom of react-scripts 5 does not provide
+import { TextEncoder, TextDecoder } from 'util';
+
+Object.assign(global, { TextEncoder, TextDecoder });
+
+// Nor IntersectionObserver, which the infinite scroll of paged lists uses; nothing scrolls into view in tests
+global.IntersectionObserver = class {
+  observe() {}
+  disconnect() {}
+};
@@ -0,0 +1,92 @@
+import React, { useEffect, useRef } from 'react';
+
+// Styles, workflows and list helpers shared by the views and components
+
+export const PAGE_SIZE = 20;
+
+export const priorityStyles = {
+  critical: 'bg-red-100 text-red-700',
+  high: 'bg-orange-100 text-orange-700',
+  medium: 'bg-yellow-100 text-yellow-700',
+  low: 'bg-gray-100 text-gray-600'
+};
+
+// Disaster lifecycle, mirroring backend/services/disasterLifecycle.js
+export const DISASTER_STATUSES = ['reported', 'verified', 'active', 'contained', 'resolved', 'archived'];
+export const STATUS_TRANSITIONS = {
+  reported: ['verified', 'archived'],
+  verified: ['active', 'archived'],
+  active: ['contained', 'resolved'],
+  contained: ['active', 'resolved'],
+  resolved: ['active', 'archived'],
+  archived: []
+};
+export const SEVERITIES = ['minor', 'moderate', 'severe', 'catastrophic'];
+
+export const statusLabels = {
+  reported: '📣 Reported',
+  verified: '✔️ Verified',
+  active: '🔥 Active',
+  contained: '🧯 Contained',
+  resolved: '✅ Resolved',
+  archived: '🗄️ Archived'
+};
+
+// Report verification and moderation outcomes, mirroring backend/services/moderation.js
+export const verificationStyles = {
+  pending: 'bg-yellow-100 text-yellow-700',
+  verified: 'bg-green-100 text-green-700',
+  flagged: 'bg-red-100 text-red-700',
+  rejected: 'bg-gray-200 text-gray-700',
+  misinformation: 'bg-red-200 text-red-800'
+};
+
+export const severityStyles = {
+  minor: 'bg-gray-100 text-gray-700',
+  moderate: 'bg-yellow-100 text-yellow-700',
+  severe: 'bg-orange-100 text-orange-700',
+  catastrophic: 'bg-red-200 text-red-800'
+};
+
+// Inserts an item, or merges it into the existing one with the same id
+export const upsertById = (items, item) => (
+  items.some((existing) => existing.id === item.id)
+    ? items.map((existing) => (existing.id === item.id ? { ...existing, ...item } : existing))
+    : [item, ...items]
+);
+
+// Appends the next page, skipping items that already arrived through socket events
+export const appendPage = (items, page) => [
+  ...items,
+  ...page.filter((item) => !items.some((existing) => existing.id === item.id))
+];
+
+export const patchById = (items, id, changes) => (
+  items.map((item) => (item.id === id ? { ...item, ...changes } : item))
+);
+
+// The problem with one field, or the error's overall message when no field is given
+export function FieldError({ error, field }) {
+  const message = field ? error?.details?.[field] : error?.message;
+  if (!message) return null;
+  return <p className="text-xs text-red-600 mt-1">{message}</p>;
+}
+
+// Infinite scroll: asks for the page after `cursor` whenever the end of the list comes into view
+export function LoadMore({ cursor, onLoadMore }) {
+  const sentinel = useRef(null);
+  const loadMore = useRef(onLoadMore);
+  loadMore.current = onLoadMore;
+
+  useEffect(() => {
+    if (!cursor) return;
+    const observer = new IntersectionObserver(([entry]) => {
+      if (entry.isIntersecting) loadMore.current(cursor);
+    });
+    observer.observe(sentinel.current);
+    return () => observer.disconnect();
+  }, [cursor]);
+
+  if (!cursor) return null;
+  return <div ref={sentinel} className="text-center text-xs text-gray-400 py-2">Loading more...</div>;
+}
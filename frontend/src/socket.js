@@ -0,0 +1,6 @@
+import io from 'socket.io-client';
+import { API_BASE_URL } from './api';
+
+// One connection for the whole app, opened with the session token after login (see App.js).
+// Views subscribe to the events they show and join a disaster's room to get its updates.
+export const socket = io(API_BASE_URL, { autoConnect: false });
@@ -0,0 +1,19 @@
+import React from 'react';
+import ModerationQueue from '../components/ModerationQueue';
+import ImportPanel from '../components/ImportPanel';
+import AlertDeliveries from '../components/AlertDeliveries';
+
+// Admin-only tools that span every disaster: report moderation, disaster imports and alert deliveries
+function Admin({ api }) {
+  return (
+    <div className="space-y-6">
+      <ModerationQueue api={api} />
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        <ImportPanel api={api} />
+        <AlertDeliveries api={api} />
+      </div>
+    </div>
+  );
+}
+
+export default Admin;
@@ -0,0 +1,228 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import MapPanel from '../MapPanel';
+import DisasterForm from '../components/DisasterForm';
+import AlertSubscriptions from '../components/AlertSubscriptions';
+import ExportMenu from '../components/ExportMenu';
+import { socket } from '../socket';
+import { loadLastDisaster } from '../offline';
+import {
+  FieldError, LoadMore, PAGE_SIZE, DISASTER_STATUSES, statusLabels, severityStyles, upsertById, appendPage, patchById
+} from '../shared';
+
+// Overview: every disaster on the map and in a searchable list grouped by status, plus the tools
+// that are not tied to one disaster (creating disasters, location extraction, area alerts)
+function Dashboard({ api }) {
+  const navigate = useNavigate();
+  const [disasters, setDisasters] = useState([]);
+  const [disasterSearch, setDisasterSearch] = useState('');
+  const [disastersCursor, setDisastersCursor] = useState(null);
+  const [geocodeText, setGeocodeText] = useState('');
+  const [geocodeResult, setGeocodeResult] = useState(null);
+  const [geocodeError, setGeocodeError] = useState(null);
+  const [geocoding, setGeocoding] = useState(false);
+  const lastDisaster = loadLastDisaster();
+
+  // Loads the first page of disasters matching the search, or the page after `cursor`
+  const fetchDisasters = useCallback(async (cursor) => {
+    try {
+      const page = await api.disasters.list({ limit: PAGE_SIZE, q: disasterSearch.trim(), cursor });
+      setDisasters((list) => (cursor ? appendPage(list, page.data) : page.data));
+      setDisastersCursor(page.next_cursor);
+    } catch (error) {
+      console.error('Error fetching disasters:', error);
+    }
+  }, [api, disasterSearch]);
+
+  // (Re)load the first page whenever the search text changes
+  useEffect(() => {
+    const timer = setTimeout(() => fetchDisasters(), 300);
+    return () => clearTimeout(timer);
+  }, [fetchDisasters]);
+
+  // Read by the socket handler without resubscribing
+  const liveQuery = useRef();
+  liveQuery.current = { disasterSearch, fetchDisasters };
+
+  // Disaster events carry the changed fields, so the list is patched in place. While a search is
+  // active the server decides what matches, so new and changed disasters re-run it instead.
+  useEffect(() => {
+    const onDisasterUpdated = (data) => {
+      const { disasterSearch, fetchDisasters } = liveQuery.current;
+      if (disasterSearch.trim() && data.action !== 'delete') {
+        fetchDisasters();
+      } else if (data.action === 'create') {
+        setDisasters((list) => upsertById(list, data.disaster));
+      } else if (data.action === 'update') {
+        setDisasters((list) => patchById(list, data.id, data.changes));
+      } else if (data.action === 'delete') {
+        setDisasters((list) => list.filter((disaster) => disaster.id !== data.id));
+      }
+    };
+    socket.on('disaster_updated', onDisasterUpdated);
+    return () => socket.off('disaster_updated', onDisasterUpdated);
+  }, []);
+
+  const createDisaster = async (fields) => {
+    const data = await api.disasters.create(fields);
+    setDisasters((list) => upsertById(list, data));
+  };
+
+  const geocodeLocation = async (e) => {
+    e.preventDefault();
+    setGeocoding(true);
+    setGeocodeError(null);
+    setGeocodeResult(null);
+    try {
+      setGeocodeResult(await api.geocode.extract(geocodeText));
+    } catch (error) {
+      console.error('Error geocoding:', error);
+      setGeocodeError(error);
+    }
+    setGeocoding(false);
+  };
+
+  const openDisaster = (disaster) => navigate(`/disasters/${disaster.id}`);
+
+  return (
+    <>
+      <div className="mb-6">
+        <MapPanel
+          disasters={disasters}
+          resources={[]}
+          reports={[]}
+          selectedDisaster={null}
+          onSelectDisaster={openDisaster}
+          searchArea={null}
+          onSearchAreaChange={() => {}}
+        />
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        <div className="space-y-6">
+          <div className="bg-white rounded-lg shadow-md p-6">
+            <h2 className="text-xl font-semibold mb-4 text-red-600">Create Disaster</h2>
+            <DisasterForm onSave={createDisaster} />
+          </div>
+
+          {/* Geocoding Tool */}
+          <div className="bg-white rounded-lg shadow-md p-6">
+            <h2 className="text-xl font-semibold mb-4 text-blue-600">🌍 Location Extraction</h2>
+            <form onSubmit={geocodeLocation} className="space-y-3">
+              <textarea
+                placeholder="Enter text to extract location from..."
+                value={geocodeText}
+                onChange={(e) => setGeocodeText(e.target.value)}
+                className="w-full p-2 border rounded-md h-20"
+                required
+              />
+              <FieldError error={geocodeError} field="text" />
+              <FieldError error={geocodeError} />
+              <button
+                type="submit"
+                disabled={geocoding}
+                className="w-full bg-blue-600 text-white p-2 rounded-md hover:bg-blue-700 disabled:opacity-50"
+              >
+                {geocoding ? 'Processing...' : 'Extract & Geocode'}
+              </button>
+            </form>
+            {geocodeResult && (
+              <div className="mt-4 p-3 bg-green-50 rounded-md">
+                <p><strong>Location:</strong> {geocodeResult.locationName}</p>
+                <p><strong>Coordinates:</strong> {geocodeResult.coordinates.lat}, {geocodeResult.coordinates.lng}</p>
+                {geocodeResult.locations?.length > 1 && (
+                  <div className="mt-2 text-sm text-gray-600">
+                    <p className="font-medium">All locations ({geocodeResult.method}):</p>
+                    {geocodeResult.locations.map((location) => (
+                      <p key={`${location.role}:${location.name}`}>
+                        <span className="px-1 mr-1 bg-gray-200 rounded text-xs">{location.role}</span>
+                        {location.name}
+                        {location.coordinates
+                          ? ` (${location.coordinates.lat}, ${location.coordinates.lng})`
+                          : ' (not found)'}
+                      </p>
+                    ))}
+                  </div>
+                )}
+              </div>
+            )}
+          </div>
+
+          <AlertSubscriptions api={api} />
+        </div>
+
+        {/* Disasters List */}
+        <div className="bg-white rounded-lg shadow-md p-6 lg:col-span-2">
+          <div className="flex justify-between items-center mb-4">
+            <h2 className="text-xl font-semibold text-gray-800">🔥 Disasters</h2>
+            <ExportMenu api={api} params={disasterSearch.trim() ? { q: disasterSearch.trim() } : {}} />
+          </div>
+          {lastDisaster && (
+            <p className="text-sm mb-3">
+              ↩️ Continue with{' '}
+              <Link to={`/disasters/${lastDisaster.id}`} className="text-blue-700 hover:underline">{lastDisaster.title}</Link>
+            </p>
+          )}
+          <input
+            type="search"
+            placeholder="Search disasters..."
+            value={disasterSearch}
+            onChange={(e) => setDisasterSearch(e.target.value)}
+            className="w-full p-2 border rounded-md text-sm mb-3"
+          />
+          <div className="space-y-3 max-h-[48rem] overflow-y-auto">
+            {disasters.length === 0 && (
+              <p className="text-sm text-gray-500">
+                {disasterSearch.trim() ? 'No disasters match your search' : 'No disasters yet'}
+              </p>
+            )}
+            {DISASTER_STATUSES.map((status) => ({
+              status,
+              items: disasters.filter((disaster) => (disaster.status || 'reported') === status)
+            })).filter(({ items }) => items.length > 0).map(({ status, items }) => (
+              <div key={status} className="space-y-3">
+                <h3 className="text-sm font-semibold text-gray-500 uppercase tracking-wide">
+                  {statusLabels[status]} ({items.length})
+                </h3>
+                {items.map((disaster) => (
+                  <Link
+                    key={disaster.id}
+                    to={`/disasters/${disaster.id}`}
+                    className="block p-4 rounded-lg border bg-gray-50 border-gray-200 hover:bg-gray-100 transition-colors"
+                  >
+                    <div className="flex justify-between items-start">
+                      <h3 className="font-semibold text-lg">{disaster.title}</h3>
+                      {disaster.severity && (
+                        <span className={`text-xs px-2 py-1 rounded-full ${severityStyles[disaster.severity]}`}>
+                          {disaster.severity}
+                        </span>
+                      )}
+                    </div>
+                    <p className="text-sm text-gray-600">📍 {disaster.location_name}</p>
+                    <p className="text-sm text-gray-700 mt-1">{disaster.description}</p>
+                    <div className="flex flex-wrap gap-1 mt-2">
+                      {disaster.tags?.map((tag, index) => (
+                        <span
+                          key={index}
+                          className="px-2 py-1 bg-red-100 text-red-700 text-xs rounded-full"
+                        >
+                          {tag}
+                        </span>
+                      ))}
+                    </div>
+                    <p className="text-xs text-gray-500 mt-2">
+                      Created: {new Date(disaster.created_at).toLocaleDateString()}
+                    </p>
+                  </Link>
+                ))}
+              </div>
+            ))}
+            <LoadMore cursor={disastersCursor} onLoadMore={fetchDisasters} />
+          </div>
+        </div>
+      </div>
+    </>
+  );
+}
+
+export default Dashboard;
@@ -0,0 +1,866 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import MapPanel from '../MapPanel';
+import DisasterForm from '../components/DisasterForm';
+import ExportMenu from '../components/ExportMenu';
+import ImportPanel from '../components/ImportPanel';
+import TaskBoard from '../components/TaskBoard';
+import { socket } from '../socket';
+import { loadLastDisaster, saveLastDisaster, newIdempotencyKey, shouldRetry } from '../offline';
+import {
+  FieldError, LoadMore, PAGE_SIZE, STATUS_TRANSITIONS, statusLabels, severityStyles, priorityStyles,
+  verificationStyles, upsertById, appendPage, patchById
+} from '../shared';
+
+const emptyReportForm = { content: '', location_name: '', image_url: '' };
+const emptyResourceForm = { name: '', location_name: '', type: 'shelter' };
+const EDITABLE_FIELDS = ['title', 'location_name', 'description', 'tags', 'severity'];
+
+// The report list's order (sort=priority), mirroring REPORT_SORTS in backend/services/search.js
+const PRIORITY_ORDER = ['critical', 'high', 'medium', 'low'];
+const priorityRank = (report) => (PRIORITY_ORDER.includes(report.priority) ? PRIORITY_ORDER.indexOf(report.priority) : PRIORITY_ORDER.length);
+const compareReports = (a, b) => priorityRank(a) - priorityRank(b) || new Date(b.created_at) - new Date(a.created_at);
+
+// Puts a live report where the sorted list would have it. While more pages remain, a report that
+// sorts after the last loaded one is left for its page.
+const insertReport = (reports, report, hasMore) => {
+  if (hasMore && reports.length > 0 && compareReports(report, reports[reports.length - 1]) > 0) return reports;
+  return [...reports.filter((existing) => existing.id !== report.id), report].sort(compareReports);
+};
+
+// The fields of an edit that differ from the disaster
+const changedFields = (disaster, fields) => Object.fromEntries(EDITABLE_FIELDS
+  .filter((field) => JSON.stringify(fields[field] ?? null) !== JSON.stringify(disaster[field] ?? null))
+  .map((field) => [field, fields[field]]));
+
+// One disaster at /disasters/:id: its reports, tasks, resource matches, resources, social media and
+// official updates, followed live through the disaster's socket room. Admins can edit, delete and
+// move it through its workflow.
+function DisasterDetail({ api, user, outbox }) {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const isAdmin = user.role === 'admin';
+
+  const [disaster, setDisaster] = useState(null);
+  // Why the disaster cannot be shown (not found, deleted or unreachable)
+  const [loadError, setLoadError] = useState(null);
+  const [editing, setEditing] = useState(false);
+  const [reports, setReports] = useState([]);
+  const [reportSearch, setReportSearch] = useState('');
+  const [reportsCursor, setReportsCursor] = useState(null);
+  const [resources, setResources] = useState([]);
+  // How the server answered the proximity search: 'postgis', 'geodesic' or null (no search area)
+  const [resourcesMethod, setResourcesMethod] = useState(null);
+  const [socialMedia, setSocialMedia] = useState([]);
+  const [officialUpdates, setOfficialUpdates] = useState([]);
+  const [tasks, setTasks] = useState([]);
+  // Open needs from reports and posts, each with its best resource matches
+  const [needs, setNeeds] = useState([]);
+  const [users, setUsers] = useState([]);
+  const [searchArea, setSearchArea] = useState(null);
+  const [loading, setLoading] = useState(false);
+  // Last API error per form (disaster, report, resource, task, match, verify)
+  const [formErrors, setFormErrors] = useState({});
+  const setFormError = (form, error) => setFormErrors((errors) => ({ ...errors, [form]: error }));
+
+  const [reportForm, setReportForm] = useState(emptyReportForm);
+  const [locating, setLocating] = useState(false);
+  const [resourceForm, setResourceForm] = useState(emptyResourceForm);
+  const [editingResourceId, setEditingResourceId] = useState(null);
+
+  // Most urgent reports first; `cursor` loads the next page
+  const fetchReports = useCallback(async (cursor) => {
+    try {
+      const page = await api.reports.list(id, { sort: 'priority', limit: PAGE_SIZE, q: reportSearch.trim(), cursor });
+      setReports((list) => (cursor ? appendPage(list, page.data) : page.data));
+      setReportsCursor(page.next_cursor);
+    } catch (error) {
+      console.error('Error fetching reports:', error);
+    }
+  }, [api, id, reportSearch]);
+
+  const fetchResources = useCallback(async (area) => {
+    try {
+      const result = await api.resources.list(id, area);
+      setResources(result.data);
+      setResourcesMethod(result.method);
+    } catch (error) {
+      console.error('Error fetching resources:', error);
+    }
+  }, [api, id]);
+
+  const fetchTasks = useCallback(async () => {
+    try {
+      setTasks(await api.tasks.list(id));
+    } catch (error) {
+      console.error('Error fetching tasks:', error);
+    }
+  }, [api, id]);
+
+  const fetchMatches = useCallback(async () => {
+    try {
+      setNeeds((await api.matches.list(id)).data);
+    } catch (error) {
+      console.error('Error fetching matches:', error);
+    }
+  }, [api, id]);
+
+  // Load the disaster and everything shown with it (reports follow below) whenever the route's id changes
+  useEffect(() => {
+    setDisaster(null);
+    setLoadError(null);
+    setEditing(false);
+    setReports([]);
+    setReportsCursor(null);
+    setResources([]);
+    setSearchArea(null);
+    setTasks([]);
+    setNeeds([]);
+    setSocialMedia([]);
+    setOfficialUpdates([]);
+    setFormErrors({});
+    setEditingResourceId(null);
+    setResourceForm(emptyResourceForm);
+
+    const load = async () => {
+      setLoading(true);
+      let data;
+      try {
+        data = await api.disasters.get(id);
+      } catch (error) {
+        console.error('Error fetching disaster:', error);
+        if (error.status === 404 && loadLastDisaster()?.id === id) saveLastDisaster(null);
+        setLoadError(error);
+        setLoading(false);
+        return;
+      }
+      setDisaster(data);
+      saveLastDisaster(data);
+
+      // Resources around the disaster when it has coordinates (see the search area effect)
+      if (data.coordinates) {
+        setSearchArea({ ...data.coordinates, radius: 10000 });
+      } else {
+        await fetchResources();
+      }
+
+      await Promise.all([
+        fetchTasks(),
+        fetchMatches(),
+        api.disasters.socialMedia(id, { sort: 'priority' }).then(setSocialMedia),
+        api.disasters.officialUpdates(id).then(setOfficialUpdates)
+      ]).catch((error) => console.error('Error fetching disaster details:', error));
+      setLoading(false);
+    };
+    load();
+  }, [api, id, fetchResources, fetchTasks, fetchMatches]);
+
+  // Users tasks can be assigned to
+  useEffect(() => {
+    api.users.list()
+      .then(setUsers)
+      .catch((error) => console.error('Error fetching users:', error));
+  }, [api]);
+
+  // The active report search and resource area, read by the socket handlers without resubscribing
+  const liveQuery = useRef();
+  liveQuery.current = { reportSearch, reportsCursor, fetchReports, searchArea, fetchResources };
+
+  // Follow the disaster's room and patch it and its reports, resources, tasks, social media and official updates.
+  // Live rows only join the lists the active search, sort and area would show them in.
+  useEffect(() => {
+    const join = () => socket.emit('join_disaster', id);
+    join();
+
+    const handlers = {
+      connect: join,
+      disaster_updated: (data) => {
+        if (data.id !== id) return;
+        if (data.action === 'update') {
+          setDisaster((current) => (current ? { ...current, ...data.changes } : current));
+        } else if (data.action === 'delete') {
+          setDisaster(null);
+          setLoadError({ message: 'This disaster has been deleted', details: {} });
+        }
+      },
+      report_created: (data) => {
+        const { reportSearch, reportsCursor, fetchReports } = liveQuery.current;
+        // Text search runs on the server, so a search is re-run rather than guessed at
+        if (reportSearch.trim()) {
+          fetchReports();
+        } else {
+          setReports((list) => insertReport(list, data.report, Boolean(reportsCursor)));
+        }
+      },
+      report_verified: (data) => {
+        setReports((list) => list.map((report) => (
+          data.report_ids.includes(report.id) ? { ...report, ...data.changes } : report
+        )));
+      },
+      report_deleted: (data) => {
+        setReports((list) => list.filter((report) => report.id !== data.id));
+      },
+      social_media_updated: (data) => {
+        setSocialMedia((posts) => [...data.data, ...posts]);
+      },
+      resources_updated: (data) => {
+        // New and moved resources can fall inside or outside the search area, which the server decides
+        const { searchArea, fetchResources } = liveQuery.current;
+        if (searchArea && (data.action === 'create' || (data.action === 'update' && 'location' in data.changes))) {
+          fetchResources(searchArea);
+        } else if (data.action === 'create') {
+          setResources((list) => upsertById(list, data.resource));
+        } else if (data.action === 'update') {
+          setResources((list) => patchById(list, data.id, data.changes));
+        } else if (data.action === 'delete') {
+          setResources((list) => list.filter((resource) => resource.id !== data.id));
+        }
+      },
+      tasks_updated: (data) => {
+        if (data.action === 'create') {
+          setTasks((list) => upsertById(list, data.task));
+        } else if (data.action === 'update') {
+          setTasks((list) => patchById(list, data.id, data.changes));
+        } else if (data.action === 'delete') {
+          setTasks((list) => list.filter((task) => task.id !== data.id));
+        }
+      },
+      matches_updated: (data) => {
+        if (data.action === 'create') {
+          setNeeds((list) => list.filter((need) => need.source_id !== data.match.source_id));
+        }
+      },
+      official_updates_updated: (data) => {
+        setOfficialUpdates((updates) => [...data.data, ...updates]);
+      }
+    };
+
+    // Room events name their disaster; the disaster_updated broadcast is filtered by id above
+    const listeners = Object.entries(handlers).map(([event, handler]) => [
+      event,
+      event === 'connect' || event === 'disaster_updated' ? handler : (data) => data.disaster_id === id && handler(data)
+    ]);
+    listeners.forEach(([event, listener]) => socket.on(event, listener));
+
+    return () => {
+      socket.emit('leave_disaster', id);
+      listeners.forEach(([event, listener]) => socket.off(event, listener));
+    };
+  }, [id]);
+
+  // Load the reports once the disaster is there, and search them as the user types
+  const loadedId = disaster?.id;
+  useEffect(() => {
+    if (!loadedId) return;
+
+    const timer = setTimeout(() => fetchReports(), reportSearch ? 300 : 0);
+    return () => clearTimeout(timer);
+  }, [loadedId, reportSearch, fetchReports]);
+
+  // Refetch resources when the map search area moves (debounced for the radius slider)
+  useEffect(() => {
+    if (!searchArea) return;
+
+    const timer = setTimeout(() => fetchResources(searchArea), 300);
+    return () => clearTimeout(timer);
+  }, [searchArea, fetchResources]);
+
+  const transitionDisaster = async (status) => {
+    const reason = window.prompt(`Reason for moving "${disaster.title}" to ${status}:`);
+    if (!reason || !reason.trim()) return;
+
+    try {
+      const data = await api.disasters.transition(id, { status, reason });
+      setDisaster((current) => ({ ...current, ...data }));
+    } catch (error) {
+      console.error('Error changing disaster status:', error);
+      alert([error.message, ...Object.values(error.details || {})].join('\n'));
+    }
+  };
+
+  // Only the changed fields are sent, after the admin confirms them
+  const saveDisaster = async (fields) => {
+    const changes = changedFields(disaster, fields);
+    if (Object.keys(changes).length === 0) {
+      setEditing(false);
+      return;
+    }
+    const labels = Object.keys(changes).map((field) => field.replace('_', ' ')).join(', ');
+    if (!window.confirm(`Save changes to the ${labels} of "${disaster.title}"?`)) return;
+
+    const data = await api.disasters.update(id, changes);
+    setDisaster((current) => ({ ...current, ...data }));
+    setEditing(false);
+  };
+
+  const deleteDisaster = async () => {
+    if (!window.confirm(`Delete "${disaster.title}"? It will disappear from every list.`)) return;
+
+    setFormError('disaster', null);
+    try {
+      await api.disasters.remove(id);
+      saveLastDisaster(null);
+      navigate('/', { replace: true });
+    } catch (error) {
+      console.error('Error deleting disaster:', error);
+      setFormError('disaster', error);
+    }
+  };
+
+  // Offline, or when the request gets no usable answer, the report goes to the outbox under the same
+  // idempotency key, so a retry of a submission the server did receive is not stored twice
+  const createReport = async (e) => {
+    e.preventDefault();
+
+    const key = newIdempotencyKey();
+    const report = { disaster_id: id, ...reportForm };
+    setFormError('report', null);
+
+    if (!navigator.onLine) {
+      outbox.queue(key, report, disaster.title);
+      setReportForm(emptyReportForm);
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const data = await api.reports.create(report, { idempotencyKey: key });
+      setReportForm(emptyReportForm);
+      setReports((list) => upsertById(list, data));
+    } catch (error) {
+      console.error('Error creating report:', error);
+      if (shouldRetry(error)) {
+        outbox.queue(key, report, disaster.title);
+        setReportForm(emptyReportForm);
+      } else {
+        setFormError('report', error);
+      }
+    }
+    setLoading(false);
+  };
+
+  // Fills the report location with the place name around the browser's position
+  const fillReportLocation = () => {
+    if (!navigator.geolocation) {
+      setFormError('report', { message: 'Location is not available in this browser', details: {} });
+      return;
+    }
+
+    setLocating(true);
+    setFormError('report', null);
+    navigator.geolocation.getCurrentPosition(async ({ coords }) => {
+      try {
+        const { location_name } = await api.geocode.reverse({ lat: coords.latitude, lng: coords.longitude });
+        setReportForm((form) => ({ ...form, location_name }));
+      } catch (error) {
+        console.error('Error reverse geocoding:', error);
+        setFormError('report', error);
+      }
+      setLocating(false);
+    }, (error) => {
+      setFormError('report', { message: `Could not get your location: ${error.message}`, details: {} });
+      setLocating(false);
+    }, { timeout: 10000 });
+  };
+
+  const saveResource = async (e) => {
+    e.preventDefault();
+
+    setLoading(true);
+    setFormError('resource', null);
+    try {
+      const data = editingResourceId
+        ? await api.resources.update(id, editingResourceId, resourceForm)
+        : await api.resources.create(id, resourceForm);
+      setResourceForm(emptyResourceForm);
+      setEditingResourceId(null);
+      setResources((list) => upsertById(list, data));
+    } catch (error) {
+      console.error('Error saving resource:', error);
+      setFormError('resource', error);
+    }
+    setLoading(false);
+  };
+
+  // The server lets admins and whoever added a resource change it
+  const canChangeResource = (resource) => isAdmin
+    || resource.audit_trail?.find((entry) => entry.action === 'create')?.user_id === user.id;
+
+  const editResource = (resource) => {
+    setEditingResourceId(resource.id);
+    setResourceForm({
+      name: resource.name || '',
+      location_name: resource.location_name || '',
+      type: resource.type || 'shelter'
+    });
+  };
+
+  const cancelResourceEdit = () => {
+    setEditingResourceId(null);
+    setResourceForm(emptyResourceForm);
+    setFormError('resource', null);
+  };
+
+  const deleteResource = async (resource) => {
+    if (!window.confirm(`Delete the resource "${resource.name}"?`)) return;
+
+    setFormError('resource', null);
+    try {
+      await api.resources.remove(id, resource.id);
+      setResources((list) => list.filter((item) => item.id !== resource.id));
+      if (editingResourceId === resource.id) cancelResourceEdit();
+    } catch (error) {
+      console.error('Error deleting resource:', error);
+      setFormError('resource', error);
+    }
+  };
+
+  // Sends a task change and merges the saved task into the board; true when it worked
+  const saveTask = async (send) => {
+    setFormError('task', null);
+    try {
+      const data = await send();
+      setTasks((list) => upsertById(list, data));
+      return true;
+    } catch (error) {
+      console.error('Error saving task:', error);
+      setFormError('task', error);
+      return false;
+    }
+  };
+
+  const createTask = (fields) => saveTask(() => api.tasks.create(id, fields));
+  const createTaskFrom = (sourceType, source) => saveTask(() => api.tasks.create(id, { source_type: sourceType, source_id: source.id }));
+  const moveTask = (task, status, reason) => saveTask(() => api.tasks.transition(id, task.id, { status, reason }));
+  const assignTask = (task, assigneeId) => saveTask(() => api.tasks.update(id, task.id, { assignee_id: assigneeId }));
+
+  const confirmMatch = async (need, match) => {
+    setFormError('match', null);
+    try {
+      await api.matches.confirm(id, { source_type: need.source_type, source_id: need.source_id, resource_id: match.resource.id });
+      setNeeds((list) => list.filter((item) => item.source_id !== need.source_id));
+    } catch (error) {
+      console.error('Error confirming match:', error);
+      setFormError('match', error);
+    }
+  };
+
+  const verifyImage = async (imageUrl) => {
+    setFormError('verify', null);
+    try {
+      const verification = await api.disasters.verifyImage(id, imageUrl);
+      alert(`Verification Score: ${verification.score ?? 'n/a'}/10 (${verification.status})\nReasoning: ${verification.reasoning}`);
+    } catch (error) {
+      console.error('Error verifying image:', error);
+      setFormError('verify', { message: error.message, details: error.details, imageUrl });
+    }
+  };
+
+  if (!disaster) {
+    return (
+      <div className="bg-white rounded-lg shadow-md p-6 text-center">
+        <p className="text-gray-500 mb-2">{loadError ? loadError.message : 'Loading disaster...'}</p>
+        <Link to="/" className="text-sm text-blue-700 hover:underline">← Back to all disasters</Link>
+      </div>
+    );
+  }
+
+  return (
+    <>
+      <div className="bg-white rounded-lg shadow-md p-6 mb-6">
+        <Link to="/" className="text-sm text-blue-700 hover:underline">← All disasters</Link>
+        {editing ? (
+          <div className="mt-3">
+            <h2 className="text-xl font-semibold mb-4 text-red-600">Edit Disaster</h2>
+            <DisasterForm disaster={disaster} onSave={saveDisaster} onCancel={() => setEditing(false)} />
+          </div>
+        ) : (
+          <div className="mt-2">
+            <div className="flex flex-wrap justify-between items-start gap-2">
+              <h2 className="text-2xl font-bold text-gray-800">{disaster.title}</h2>
+              <div className="flex gap-1">
+                <span className="text-xs px-2 py-1 rounded-full bg-gray-100 text-gray-700">
+                  {statusLabels[disaster.status || 'reported']}
+                </span>
+                {disaster.severity && (
+                  <span className={`text-xs px-2 py-1 rounded-full ${severityStyles[disaster.severity]}`}>
+                    {disaster.severity}
+                  </span>
+                )}
+              </div>
+            </div>
+            <p className="text-sm text-gray-600">📍 {disaster.location_name}</p>
+            <p className="text-sm text-gray-700 mt-1">{disaster.description}</p>
+            <div className="flex flex-wrap gap-1 mt-2">
+              {disaster.tags?.map((tag, index) => (
+                <span key={index} className="px-2 py-1 bg-red-100 text-red-700 text-xs rounded-full">
+                  {tag}
+                </span>
+              ))}
+            </div>
+            <p className="text-xs text-gray-500 mt-2">
+              Created: {new Date(disaster.created_at).toLocaleDateString()}
+            </p>
+            <div className="flex flex-wrap gap-2 items-center mt-3">
+              <ExportMenu api={api} disasterId={disaster.id} />
+              {isAdmin && (
+                <>
+                  {STATUS_TRANSITIONS[disaster.status || 'reported'].map((next) => (
+                    <button
+                      key={next}
+                      onClick={() => transitionDisaster(next)}
+                      className="text-xs bg-gray-200 px-2 py-1 rounded hover:bg-gray-300"
+                    >
+                      → {next}
+                    </button>
+                  ))}
+                  <button onClick={() => setEditing(true)} className="text-xs bg-blue-100 text-blue-700 px-2 py-1 rounded hover:bg-blue-200">
+                    ✏️ Edit
+                  </button>
+                  <button onClick={deleteDisaster} className="text-xs bg-red-100 text-red-700 px-2 py-1 rounded hover:bg-red-200">
+                    🗑️ Delete
+                  </button>
+                </>
+              )}
+            </div>
+            <FieldError error={formErrors.disaster} />
+          </div>
+        )}
+      </div>
+
+      <div className="mb-6">
+        <MapPanel
+          disasters={[disaster]}
+          resources={resources}
+          reports={reports}
+          selectedDisaster={disaster}
+          onSelectDisaster={() => {}}
+          searchArea={searchArea}
+          onSearchAreaChange={setSearchArea}
+        />
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        <div className="space-y-6">
+          {/* Create Report Form */}
+          <div className="bg-white rounded-lg shadow-md p-6">
+            <h2 className="text-xl font-semibold mb-4 text-green-600">📝 Submit Report</h2>
+            <form onSubmit={createReport} className="space-y-3">
+              <textarea
+                placeholder="Report content..."
+                value={reportForm.content}
+                onChange={(e) => setReportForm({ ...reportForm, content: e.target.value })}
+                className="w-full p-2 border rounded-md h-20"
+                required
+              />
+              <FieldError error={formErrors.report} field="content" />
+              <div className="flex gap-2">
+                <input
+                  type="text"
+                  placeholder="Location (optional)"
+                  value={reportForm.location_name}
+                  onChange={(e) => setReportForm({ ...reportForm, location_name: e.target.value })}
+                  className="flex-1 p-2 border rounded-md"
+                />
+                <button
+                  type="button"
+                  onClick={fillReportLocation}
+                  disabled={locating}
+                  className="px-3 bg-gray-200 rounded-md text-sm hover:bg-gray-300 disabled:opacity-50"
+                >
+                  {locating ? 'Locating...' : '📍 Use my location'}
+                </button>
+              </div>
+              <FieldError error={formErrors.report} field="location_name" />
+              <input
+                type="url"
+                placeholder="Image URL (optional)"
+                value={reportForm.image_url}
+                onChange={(e) => setReportForm({ ...reportForm, image_url: e.target.value })}
+                className="w-full p-2 border rounded-md"
+              />
+              <FieldError error={formErrors.report} field="image_url" />
+              <FieldError error={formErrors.report} />
+              <button
+                type="submit"
+                disabled={loading}
+                className="w-full bg-green-600 text-white p-2 rounded-md hover:bg-green-700 disabled:opacity-50"
+              >
+                {loading ? 'Submitting...' : outbox.online ? 'Submit Report' : 'Save to outbox'}
+              </button>
+            </form>
+          </div>
+
+          {/* Resources */}
+          <div className="bg-white rounded-lg shadow-md p-6">
+            <h3 className="text-lg font-semibold mb-3 text-gray-800">🏥 Resources</h3>
+            {resourcesMethod && searchArea && (
+              <p className="text-xs text-gray-500 mb-2">
+                Within {(searchArea.radius / 1000).toFixed(1)} km, nearest first
+                {resourcesMethod === 'geodesic' && ' (server-side distance fallback)'}
+              </p>
+            )}
+            <div className="space-y-2 max-h-64 overflow-y-auto">
+              {resources.map((resource) => (
+                <div key={resource.id} className="p-2 bg-blue-50 rounded-md">
+                  <p className="font-medium text-sm">{resource.name}</p>
+                  <p className="text-xs text-gray-600">
+                    📍 {resource.location_name}
+                    {resource.distance_meters != null && ` · ${(resource.distance_meters / 1000).toFixed(1)} km`}
+                  </p>
+                  <div className="flex justify-between items-center">
+                    <span className="text-xs bg-blue-100 text-blue-700 px-2 py-1 rounded-full">
+                      {resource.type}
+                    </span>
+                    <span className="flex gap-2">
+                      {canChangeResource(resource) && (
+                        <button onClick={() => editResource(resource)} className="text-xs text-blue-700 hover:underline">
+                          ✏️ Edit
+                        </button>
+                      )}
+                      {isAdmin && (
+                        <button onClick={() => deleteResource(resource)} className="text-xs text-red-700 hover:underline">
+                          🗑️ Delete
+                        </button>
+                      )}
+                    </span>
+                  </div>
+                </div>
+              ))}
+            </div>
+            <form onSubmit={saveResource} className="space-y-2 mt-3 pt-3 border-t">
+              <input
+                type="text"
+                placeholder="Resource name (e.g., Red Cross Shelter)"
+                value={resourceForm.name}
+                onChange={(e) => setResourceForm({ ...resourceForm, name: e.target.value })}
+                className="w-full p-2 border rounded-md text-sm"
+                required
+              />
+              <FieldError error={formErrors.resource} field="name" />
+              <input
+                type="text"
+                placeholder="Location (e.g., Lower East Side, NYC)"
+                value={resourceForm.location_name}
+                onChange={(e) => setResourceForm({ ...resourceForm, location_name: e.target.value })}
+                className="w-full p-2 border rounded-md text-sm"
+                required
+              />
+              <FieldError error={formErrors.resource} field="location_name" />
+              <select
+                value={resourceForm.type}
+                onChange={(e) => setResourceForm({ ...resourceForm, type: e.target.value })}
+                className="w-full p-2 border rounded-md text-sm"
+              >
+                <option value="shelter">Shelter</option>
+                <option value="medical">Medical</option>
+                <option value="food">Food</option>
+                <option value="water">Water</option>
+                <option value="supplies">Supplies</option>
+              </select>
+              <FieldError error={formErrors.resource} field="type" />
+              <FieldError error={formErrors.resource} />
+              <div className="flex gap-2">
+                <button
+                  type="submit"
+                  disabled={loading}
+                  className="flex-1 bg-blue-600 text-white p-2 rounded-md text-sm hover:bg-blue-700 disabled:opacity-50"
+                >
+                  {editingResourceId ? 'Update Resource' : 'Add Resource'}
+                </button>
+                {editingResourceId && (
+                  <button
+                    type="button"
+                    onClick={cancelResourceEdit}
+                    className="px-3 bg-gray-200 rounded-md text-sm hover:bg-gray-300"
+                  >
+                    Cancel
+                  </button>
+                )}
+              </div>
+            </form>
+          </div>
+        </div>
+
+        <div className="space-y-6">
+          {/* Reports */}
+          <div className="bg-white rounded-lg shadow-md p-6">
+            <h3 className="text-lg font-semibold mb-3 text-gray-800">📋 Reports</h3>
+            <input
+              type="search"
+              placeholder="Search reports..."
+              value={reportSearch}
+              onChange={(e) => setReportSearch(e.target.value)}
+              className="w-full p-2 border rounded-md text-sm mb-2"
+            />
+            <div className="space-y-2 max-h-96 overflow-y-auto">
+              {reports.map((report) => (
+                <div
+                  key={report.id}
+                  className={`p-3 rounded-md ${
+                    report.priority === 'critical' ? 'bg-red-50 border-2 border-red-400' : 'bg-gray-50'
+                  }`}
+                >
+                  {report.priority && (
+                    <div className="flex gap-1 mb-1">
+                      <span className={`text-xs px-2 py-0.5 rounded-full font-semibold ${priorityStyles[report.priority]}`}>
+                        {report.priority === 'critical' ? '🚨 CRITICAL' : report.priority}
+                      </span>
+                      <span className="text-xs px-2 py-0.5 rounded-full bg-purple-100 text-purple-700">
+                        {report.need_category}
+                      </span>
+                    </div>
+                  )}
+                  <p className="text-sm">{report.content}</p>
+                  <div className="flex justify-between items-center mt-2">
+                    <span className="text-xs text-gray-500">By: {report.user_id}</span>
+                    <span
+                      title={report.moderation?.reason || report.verification_reasoning || undefined}
+                      className={`text-xs px-2 py-1 rounded-full ${
+                        verificationStyles[report.verification_status] || verificationStyles.pending
+                      }`}
+                    >
+                      {report.verification_status}
+                      {report.verification_score != null && ` · ${report.verification_score}/10`}
+                    </span>
+                  </div>
+                  <button
+                    onClick={() => createTaskFrom('report', report)}
+                    className="mt-2 mr-2 text-xs bg-indigo-100 text-indigo-700 px-2 py-1 rounded"
+                  >
+                    📌 Create task
+                  </button>
+                  {report.image_url && (
+                    <button
+                      onClick={() => verifyImage(report.image_url)}
+                      className="mt-2 text-xs bg-blue-100 text-blue-700 px-2 py-1 rounded"
+                    >
+                      🔍 Verify Image
+                    </button>
+                  )}
+                  {formErrors.verify?.imageUrl === report.image_url && (
+                    <FieldError error={formErrors.verify} />
+                  )}
+                </div>
+              ))}
+              <LoadMore cursor={reportsCursor} onLoadMore={fetchReports} />
+            </div>
+          </div>
+
+          {/* Tasks */}
+          <TaskBoard
+            tasks={tasks}
+            users={users}
+            error={formErrors.task}
+            onCreate={createTask}
+            onMove={moveTask}
+            onAssign={assignTask}
+          />
+        </div>
+
+        <div className="space-y-6">
+          {/* Resource Matches */}
+          <div className="bg-white rounded-lg shadow-md p-6">
+            <div className="flex justify-between items-center mb-3">
+              <h3 className="text-lg font-semibold text-gray-800">🔗 Resource Matches</h3>
+              <button onClick={fetchMatches} className="text-xs bg-gray-200 px-2 py-1 rounded hover:bg-gray-300">
+                Refresh
+              </button>
+            </div>
+            <FieldError error={formErrors.match} />
+            {needs.length === 0 && <p className="text-sm text-gray-500">No open needs with matching resources</p>}
+            <div className="space-y-2 max-h-64 overflow-y-auto">
+              {needs.map((need) => (
+                <div key={`${need.source_type}:${need.source_id}`} className="p-2 bg-indigo-50 rounded-md">
+                  <p className="text-sm">{need.text}</p>
+                  <p className="text-xs text-gray-500">
+                    Needs {need.need.type}
+                    {need.need.location_name && ` near ${need.need.location_name}`} · {need.source_type.replace('_', ' ')}
+                  </p>
+                  {need.matches.map((match) => (
+                    <div key={match.resource.id} className="flex justify-between items-center mt-1 text-xs">
+                      <span>
+                        {match.resource.name} ({match.resource.type})
+                        {match.distance_meters != null && ` · ${(match.distance_meters / 1000).toFixed(1)} km`}
+                        {' '}· {Math.round(match.score * 100)}%
+                      </span>
+                      {isAdmin && (
+                        <button
+                          onClick={() => confirmMatch(need, match)}
+                          className="bg-indigo-600 text-white px-2 py-0.5 rounded hover:bg-indigo-700"
+                        >
+                          Confirm
+                        </button>
+                      )}
+                    </div>
+                  ))}
+                </div>
+              ))}
+            </div>
+          </div>
+
+          {/* Social Media */}
+          <div className="bg-white rounded-lg shadow-md p-6">
+            <h3 className="text-lg font-semibold mb-3 text-gray-800">📱 Social Media</h3>
+            <div className="space-y-2 max-h-64 overflow-y-auto">
+              {socialMedia.map((post) => (
+                <div
+                  key={post.id}
+                  className={`p-2 rounded-md ${
+                    post.priority === 'critical' ? 'bg-red-50 border-2 border-red-400' : 'bg-twitter-blue-50'
+                  }`}
+                >
+                  <p className="text-sm">{post.post}</p>
+                  <div className="flex justify-between items-center">
+                    <p className="text-xs text-gray-500">
+                      @{post.user}
+                      <button onClick={() => createTaskFrom('social_post', post)} className="ml-2 text-indigo-700 hover:underline">
+                        📌 Task
+                      </button>
+                    </p>
+                    {post.priority && (
+                      <span className={`text-xs px-2 py-0.5 rounded-full font-semibold ${priorityStyles[post.priority]}`}>
+                        {post.priority === 'critical' ? '🚨 CRITICAL' : post.priority} · {post.need_category}
+                      </span>
+                    )}
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+
+          {/* Official Updates */}
+          <div className="bg-white rounded-lg shadow-md p-6">
+            <h3 className="text-lg font-semibold mb-3 text-gray-800">🏛️ Official Updates</h3>
+            <div className="space-y-2 max-h-64 overflow-y-auto">
+              {officialUpdates.map((update) => (
+                <div key={update.id} className="p-2 bg-green-50 rounded-md">
+                  <p className="font-medium text-sm">
+                    {update.url ? (
+                      <a href={update.url} target="_blank" rel="noopener noreferrer" className="hover:underline">
+                        {update.title}
+                      </a>
+                    ) : update.title}
+                  </p>
+                  <p className="text-xs text-gray-600">
+                    {update.source}
+                    {update.timestamp && ` · ${new Date(update.timestamp).toLocaleDateString()}`}
+                  </p>
+                  <p className="text-xs">{update.content}</p>
+                </div>
+              ))}
+            </div>
+          </div>
+        </div>
+      </div>
+
+      {isAdmin && (
+        <div className="mt-6">
+          <ImportPanel api={api} disaster={disaster} />
+        </div>
+      )}
+    </>
+  );
+}
+
+export default DisasterDetail;